@@ -4,23 +4,102 @@
  */
 
 const axios = require('axios');
-const { ApiError } = require('../exceptions');
+const { AirTapError, ApiError } = require('../exceptions');
+
+const DEFAULT_BASE_URL = 'https://api.airtap.ai/v1';
+const DEFAULT_TIMEOUT_MS = 10000;
+const CLIENT_VERSION = '1.0.0'; // Replace with package.version
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 30000,
+  retryableStatuses: [408, 429, 500, 502, 503, 504]
+};
+
+// Methods that are safe to repeat without an idempotency key
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Header value (seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read extra headers from the AIRTAP_HEADERS environment variable
+ * @returns {Object} Headers object (empty if the variable is unset)
+ * @throws {AirTapError} If the variable is not a JSON object
+ */
+function headersFromEnv() {
+  const raw = process.env.AIRTAP_HEADERS;
+  if (!raw) {
+    return {};
+  }
+
+  let headers;
+  try {
+    headers = JSON.parse(raw);
+  } catch (error) {
+    throw new AirTapError(`AIRTAP_HEADERS is not valid JSON: ${error.message}`);
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new AirTapError('AIRTAP_HEADERS must be a JSON object');
+  }
+  return headers;
+}
 
 class ApiClient {
   /**
    * Create a new API client
    * @param {string} apiKey - AirTap API key
-   * @param {string} baseUrl - Base URL for the API
+   * @param {Object|string} [options] - Transport options (or the base URL, for backwards compatibility)
+   * @param {string} [options.baseUrl] - Base URL for the API (defaults to AIRTAP_BASE_URL env variable)
+   * @param {number} [options.timeout] - Default request timeout in milliseconds (defaults to AIRTAP_TIMEOUT_MS env variable)
+   * @param {Object} [options.headers] - Extra headers sent with every request, merged over AIRTAP_HEADERS
+   * @param {Object|boolean} [options.retry] - Retry policy overrides, or false to make a single attempt
+   * @param {number} [options.retry.maxAttempts=3] - Total attempts per request (defaults to AIRTAP_MAX_ATTEMPTS env variable)
+   * @param {number} [options.retry.baseDelayMs=250] - Backoff before the second attempt; doubles on each retry
+   * @param {number} [options.retry.maxDelayMs=30000] - Upper bound for any single delay, including Retry-After
+   * @param {Array<number>} [options.retry.retryableStatuses] - HTTP statuses worth retrying
    */
-  constructor(apiKey, baseUrl = 'https://api.airtap.dev/v1') {
+  constructor(apiKey, options = {}) {
+    if (typeof options === 'string') {
+      options = { baseUrl: options };
+    }
+
     this.apiKey = apiKey;
-    this.baseUrl = baseUrl;
+    this.baseUrl = (options.baseUrl || process.env.AIRTAP_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout || parseInt(process.env.AIRTAP_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.headers = {
+      'Content-Type': 'application/json',
+      'X-Client-Version': CLIENT_VERSION,
+      ...headersFromEnv(),
+      ...(options.headers || {}),
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+    this.retry = {
+      ...DEFAULT_RETRY_POLICY,
+      maxAttempts: parseInt(process.env.AIRTAP_MAX_ATTEMPTS, 10) || DEFAULT_RETRY_POLICY.maxAttempts,
+      ...(options.retry || {})
+    };
+    if (options.retry === false) {
+      this.retry.maxAttempts = 1;
+    }
     this.client = axios.create({
       baseURL: this.baseUrl,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      }
+      timeout: this.timeout,
+      headers: this.headers
     });
   }
 
@@ -28,59 +107,155 @@ class ApiClient {
    * Make a GET request to the API
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
+   * @param {Object} [config] - Per-request overrides (e.g. timeout)
    * @returns {Promise<Object>} Response data
    */
-  async get(endpoint, params = {}) {
-    try {
-      const response = await this.client.get(endpoint, { params });
-      return response.data;
-    } catch (error) {
-      throw new ApiError(`GET request failed: ${error.message}`, error);
-    }
+  async get(endpoint, params = {}, config = {}) {
+    return this.request({ ...config, method: 'GET', url: endpoint, params });
   }
 
   /**
    * Make a POST request to the API
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request body
+   * @param {Object} [config] - Per-request overrides (e.g. timeout)
+   * @param {string} [config.idempotencyKey] - Sent as Idempotency-Key; POSTs are only retried when one is given
    * @returns {Promise<Object>} Response data
    */
-  async post(endpoint, data = {}) {
-    try {
-      const response = await this.client.post(endpoint, data);
-      return response.data;
-    } catch (error) {
-      throw new ApiError(`POST request failed: ${error.message}`, error);
-    }
+  async post(endpoint, data = {}, config = {}) {
+    return this.request({ ...config, method: 'POST', url: endpoint, data });
   }
 
   /**
    * Make a PUT request to the API
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request body
+   * @param {Object} [config] - Per-request overrides (e.g. timeout)
    * @returns {Promise<Object>} Response data
    */
-  async put(endpoint, data = {}) {
-    try {
-      const response = await this.client.put(endpoint, data);
-      return response.data;
-    } catch (error) {
-      throw new ApiError(`PUT request failed: ${error.message}`, error);
-    }
+  async put(endpoint, data = {}, config = {}) {
+    return this.request({ ...config, method: 'PUT', url: endpoint, data });
   }
 
   /**
    * Make a DELETE request to the API
    * @param {string} endpoint - API endpoint
+   * @param {Object} [config] - Per-request overrides (e.g. timeout)
+   * @returns {Promise<Object>} Response data
+   */
+  async delete(endpoint, config = {}) {
+    return this.request({ ...config, method: 'DELETE', url: endpoint });
+  }
+
+  /**
+   * Make a request to the API, retrying transient failures according to the retry policy.
+   * GET, PUT and DELETE are retried freely; POST only when an idempotency key is given.
+   * @param {Object} config - axios request config plus an optional idempotencyKey
    * @returns {Promise<Object>} Response data
+   * @throws {ApiError} If the request fails and cannot (or can no longer) be retried
    */
-  async delete(endpoint) {
-    try {
-      const response = await this.client.delete(endpoint);
-      return response.data;
-    } catch (error) {
-      throw new ApiError(`DELETE request failed: ${error.message}`, error);
+  async request(config) {
+    const { idempotencyKey, ...axiosConfig } = config;
+    const method = axiosConfig.method.toUpperCase();
+    if (idempotencyKey) {
+      axiosConfig.headers = { ...axiosConfig.headers, 'Idempotency-Key': idempotencyKey };
     }
+
+    // Device-scoped endpoints carry the ID in the path; the older manager endpoints send it as a field
+    const pathMatch = /^\/devices\/([^/]+)/.exec(axiosConfig.url);
+    const fields = axiosConfig.params || axiosConfig.data || {};
+    const details = {
+      method,
+      endpoint: axiosConfig.url,
+      deviceId: pathMatch ? pathMatch[1] : fields.deviceId || null
+    };
+
+    const canRetry = IDEMPOTENT_METHODS.includes(method) || !!idempotencyKey;
+    const response = await this._withRetry(
+      () => this.client.request(axiosConfig),
+      canRetry,
+      details
+    );
+    return response.data;
+  }
+
+  /**
+   * Download binary content from an absolute URL (e.g. a signed screenshot URL).
+   * The API key is not sent, since the URL may point outside the AirTap API.
+   * @param {string} url - URL to download
+   * @param {Object} [config] - Per-request overrides (e.g. timeout)
+   * @returns {Promise<Buffer>} Downloaded content
+   */
+  async download(url, config = {}) {
+    const response = await this._withRetry(
+      () => axios.get(url, { timeout: this.timeout, ...config, responseType: 'arraybuffer' }),
+      true,
+      { method: 'GET', endpoint: url }
+    );
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Run a request function, retrying transient failures with exponential backoff and jitter
+   * @private
+   * @param {Function} send - Function returning the axios response promise
+   * @param {boolean} canRetry - Whether the request is safe to repeat
+   * @param {Object} details - Request context for errors ({ method, endpoint, deviceId })
+   * @returns {Promise<Object>} axios response
+   * @throws {ApiError} On the final failure
+   */
+  async _withRetry(send, canRetry, details) {
+    const maxAttempts = canRetry ? Math.max(1, this.retry.maxAttempts) : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= maxAttempts || !this._isRetryable(error)) {
+          const serverMessage = error.response && error.response.data && error.response.data.error;
+          const reason = serverMessage ? `${error.message} (${serverMessage})` : error.message;
+          const apiError = new ApiError(`${details.method} ${details.endpoint} failed: ${reason}`, error, details);
+          apiError.attempts = attempt;
+          throw apiError;
+        }
+        await new Promise(resolve => setTimeout(resolve, this._retryDelay(attempt, error)));
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed request is worth retrying
+   * @private
+   * @param {Error} error - axios error
+   * @returns {boolean} True for network errors, timeouts and retryable statuses
+   */
+  _isRetryable(error) {
+    if (error.response) {
+      return this.retry.retryableStatuses.includes(error.response.status);
+    }
+    // No response at all: connection reset, refused, DNS hiccup or timeout
+    return !!error.request || error.code === 'ECONNABORTED';
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @private
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @param {Error} error - axios error
+   * @returns {number} Delay in milliseconds
+   */
+  _retryDelay(attempt, error) {
+    const status = error.response && error.response.status;
+    if (status === 429 || status === 503) {
+      const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, this.retry.maxDelayMs);
+      }
+    }
+
+    // Full jitter: a random delay between 0 and the exponential backoff ceiling
+    const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
   }
 }
 
@@ -3,8 +3,23 @@
  * Handles installing, launching, and managing Android applications
  */
 
+const { sh } = require('../shell');
 const { AppError } = require('../exceptions');
 
+// Java-style package name: two or more dot-separated identifiers
+const PACKAGE_NAME = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/;
+
+/**
+ * Reject anything that is not a valid package name before it reaches the shell
+ * @param {string} packageName - Package name
+ * @throws {AppError} If the package name is invalid
+ */
+function validatePackageName(packageName) {
+  if (typeof packageName !== 'string' || !PACKAGE_NAME.test(packageName)) {
+    throw new AppError(`Invalid package name: ${JSON.stringify(packageName)}`);
+  }
+}
+
 class AppManager {
   /**
    * Create a new app manager
@@ -21,10 +36,12 @@ class AppManager {
    */
   async install(packageName) {
     try {
-      await this.sandbox.executeShellCommand(`pm install-existing ${packageName}`);
-      const isInstalled = await this.isInstalled(packageName);
-      if (!isInstalled) {
-        await this.sandbox.executeShellCommand(`am start -a android.intent.action.VIEW -d market://details?id=${packageName}`);
+      validatePackageName(packageName);
+      const { exitCode } = await this.sandbox.exec(sh`pm install-existing ${packageName}`);
+      // Older API versions report no exit code, so look at the package list instead
+      const installed = exitCode === null ? await this.isInstalled(packageName) : exitCode === 0;
+      if (!installed) {
+        await this.sandbox.exec(sh`am start -a android.intent.action.VIEW -d ${`market://details?id=${packageName}`}`, { throw_on_error: true });
         // Wait for installation to complete
         await new Promise(resolve => setTimeout(resolve, 15000));
       }
@@ -41,20 +58,21 @@ class AppManager {
    */
   async launch(packageName) {
     try {
+      validatePackageName(packageName);
       if (!await this.isInstalled(packageName)) {
         throw new AppError(`App ${packageName} is not installed`);
       }
       
       // Get the main activity of the package
-      const output = await this.sandbox.executeShellCommand(`cmd package resolve-activity --brief ${packageName}`);
-      const match = output.match(/^\s*([^\s]+)\s*$/m);
+      const { stdout } = await this.sandbox.exec(sh`cmd package resolve-activity --brief ${packageName}`, { throw_on_error: true });
+      const match = stdout.match(/^\s*([^\s]+)\s*$/m);
       
       if (!match || !match[1]) {
         throw new AppError(`Could not find main activity for ${packageName}`);
       }
       
       const activity = match[1];
-      await this.sandbox.executeShellCommand(`am start -n ${activity}`);
+      await this.sandbox.exec(sh`am start -n ${activity}`, { throw_on_error: true });
       return true;
     } catch (error) {
       throw new AppError(`Failed to launch app ${packageName}: ${error.message}`, error);
@@ -68,8 +86,10 @@ class AppManager {
    */
   async isInstalled(packageName) {
     try {
-      const output = await this.sandbox.executeShellCommand(`pm list packages ${packageName}`);
-      return output.includes(`package:${packageName}`);
+      validatePackageName(packageName);
+      const { stdout } = await this.sandbox.exec(sh`pm list packages ${packageName}`, { throw_on_error: true });
+      // The argument is a substring filter, so match whole lines
+      return stdout.split('\n').some(line => line.trim() === `package:${packageName}`);
     } catch (error) {
       throw new AppError(`Failed to check if app ${packageName} is installed: ${error.message}`, error);
     }
@@ -82,12 +102,13 @@ class AppManager {
    */
   async uninstall(packageName) {
     try {
+      validatePackageName(packageName);
       if (!await this.isInstalled(packageName)) {
         return true; // Already uninstalled
       }
       
-      await this.sandbox.executeShellCommand(`pm uninstall ${packageName}`);
-      return !(await this.isInstalled(packageName));
+      const { exitCode } = await this.sandbox.exec(sh`pm uninstall ${packageName}`);
+      return exitCode === null ? !await this.isInstalled(packageName) : exitCode === 0;
     } catch (error) {
       throw new AppError(`Failed to uninstall app ${packageName}: ${error.message}`, error);
     }
@@ -100,8 +121,10 @@ class AppManager {
    */
   async forceStop(packageName) {
     try {
-      await this.sandbox.executeShellCommand(`am force-stop ${packageName}`);
-      return true;
+      validatePackageName(packageName);
+      const { exitCode } = await this.sandbox.exec(sh`am force-stop ${packageName}`);
+      // am prints nothing either way, so without an exit code there is nothing to check
+      return exitCode === null || exitCode === 0;
     } catch (error) {
       throw new AppError(`Failed to force stop app ${packageName}: ${error.message}`, error);
     }
@@ -114,8 +137,9 @@ class AppManager {
    */
   async clearData(packageName) {
     try {
-      await this.sandbox.executeShellCommand(`pm clear ${packageName}`);
-      return true;
+      validatePackageName(packageName);
+      const { stdout, exitCode } = await this.sandbox.exec(sh`pm clear ${packageName}`);
+      return exitCode === null ? stdout.trim() === 'Success' : exitCode === 0;
     } catch (error) {
       throw new AppError(`Failed to clear data for app ${packageName}: ${error.message}`, error);
     }
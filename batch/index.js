@@ -0,0 +1,10 @@
+/**
+ * Batch Module for AirTap Android SDK
+ * Exports the action sequence for running input steps in a single request
+ */
+
+const ActionSequence = require('./sequence');
+
+module.exports = {
+  ActionSequence
+};
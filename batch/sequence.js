@@ -0,0 +1,255 @@
+/**
+ * Action Sequences for AirTap Android SDK
+ * Collects input steps so they run on the device in a single request
+ */
+
+const { presets } = require('../gesture');
+const { normalizeKey, metaStateOf } = require('../keys');
+const { BatchError, KeyError } = require('../exceptions');
+
+/**
+ * Convert a step result from the API
+ * @param {Object} step - Step as sent
+ * @param {Object} [result] - Step result as returned by the API
+ * @param {number} index - Position of the step
+ * @returns {Object} Result of the form { index, name, status, durationMs, error }
+ */
+function toStepResult(step, result = {}, index) {
+  return {
+    index,
+    name: step.name,
+    status: result.status || 'skipped',
+    durationMs: result.duration_ms !== undefined ? result.duration_ms : null,
+    error: result.error || null
+  };
+}
+
+class ActionSequence {
+  /**
+   * Create an empty sequence
+   * @param {Object} sandbox - AndroidSandbox running the sequence
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+    this.steps = [];
+    // Keys held by keyDown steps so far, applying their meta state to later key steps
+    this.heldKeys = new Set();
+  }
+
+  /**
+   * Append a key step, with the meta state of the modifiers held at that point
+   * @private
+   * @param {Object} step - Step of the form { name, type, ... }
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  _key(step) {
+    const metaState = metaStateOf(this.heldKeys);
+    this.steps.push(metaState ? { ...step, meta_state: metaState } : step);
+    return this;
+  }
+
+  /**
+   * Append a gesture step
+   * @private
+   * @param {string} name - Step name, reported in the results
+   * @param {Gesture} gesture - The gesture
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  _gesture(name, gesture) {
+    const { pointers } = gesture.toJSON();
+    this.steps.push({ name, type: 'gesture', pointers, duration_ms: gesture.durationMs });
+    return this;
+  }
+
+  /**
+   * Tap a point
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  tap(x, y) {
+    return this._gesture('tap', presets.tap(...this.sandbox._point(x, y)));
+  }
+
+  /**
+   * Double tap a point
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  doubleTap(x, y) {
+    return this._gesture('doubleTap', presets.doubleTap(...this.sandbox._point(x, y)));
+  }
+
+  /**
+   * Touch and hold a point
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @param {number} [durationMs=1000] - Hold time
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  longPress(x, y, durationMs = 1000) {
+    return this._gesture('longPress', presets.longPress(...this.sandbox._point(x, y), durationMs));
+  }
+
+  /**
+   * Swipe in a straight line
+   * @param {Array<number|Length>} start - Starting [x, y]
+   * @param {Array<number|Length>} end - Ending [x, y]
+   * @param {number} [durationMs=500] - Duration of the swipe
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  swipe(start, end, durationMs = 500) {
+    const { sandbox } = this;
+    return this._gesture('swipe', presets.swipe(sandbox._point(...start), sandbox._point(...end), durationMs));
+  }
+
+  /**
+   * Perform a gesture built with the Gesture class or sandbox.gesture()
+   * @param {Gesture} gesture - The gesture
+   * @returns {ActionSequence} This sequence, for chaining
+   */
+  gesture(gesture) {
+    return this._gesture('gesture', gesture);
+  }
+
+  /**
+   * Type text
+   * @param {string} text - Text to type
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {BatchError} If the text is not a string
+   */
+  type(text) {
+    if (typeof text !== 'string') {
+      throw new BatchError(`Text to type must be a string, got ${typeof text}`);
+    }
+    this.steps.push({ name: 'type', type: 'text', text });
+    return this;
+  }
+
+  /**
+   * Press a key
+   * @param {string|number} key - Key to press (e.g. Keys.ENTER, "ENTER", "KEYCODE_HOME")
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {KeyError} If the key is unknown
+   */
+  pressKey(key) {
+    return this._key({ name: 'pressKey', type: 'key', key: normalizeKey(key) });
+  }
+
+  /**
+   * Press keys together
+   * @param {Array<string|number>} keys - Keys to press
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {KeyError} If keys is not a non-empty array or a key is unknown
+   */
+  pressCombo(keys) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new KeyError('A key combination needs at least one key');
+    }
+    return this._key({ name: 'pressCombo', type: 'combo', keys: keys.map(key => normalizeKey(key)) });
+  }
+
+  /**
+   * Press and hold a key until a keyUp step, e.g. to keep a game control down during a wait
+   * @param {string|number} key - Key to hold
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {KeyError} If the key is unknown or already held
+   */
+  keyDown(key) {
+    key = normalizeKey(key);
+    if (this.heldKeys.has(key)) {
+      throw new KeyError(`Key ${key} is already held`);
+    }
+    this._key({ name: 'keyDown', type: 'key', key, action: 'down' });
+    this.heldKeys.add(key);
+    return this;
+  }
+
+  /**
+   * Release a key held by an earlier keyDown step
+   * @param {string|number} key - Key to release
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {KeyError} If the key is unknown or not held
+   */
+  keyUp(key) {
+    key = normalizeKey(key);
+    if (!this.heldKeys.has(key)) {
+      throw new KeyError(`Key ${key} is not held by an earlier keyDown step`);
+    }
+    this.heldKeys.delete(key);
+    return this._key({ name: 'keyUp', type: 'key', key, action: 'up' });
+  }
+
+  /**
+   * Pause on the device before the next step
+   * @param {number} durationMs - Pause duration
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {BatchError} If the duration is invalid
+   */
+  wait(durationMs) {
+    if (typeof durationMs !== 'number' || !Number.isFinite(durationMs) || durationMs < 0) {
+      throw new BatchError(`Invalid wait duration ${JSON.stringify(durationMs)}: expected a non-negative number of milliseconds`);
+    }
+    this.steps.push({ name: 'wait', type: 'wait', duration_ms: durationMs });
+    return this;
+  }
+
+  /**
+   * Append steps described as plain objects, e.g. { action: "tap", x: 10, y: 20 }. Each action
+   * names a method of the sequence and carries its arguments as snake_case fields.
+   * @param {Object} step - Step of the form { action, ...arguments }
+   * @returns {ActionSequence} This sequence, for chaining
+   * @throws {BatchError} If the action is unknown
+   */
+  add(step) {
+    const { action } = step || {};
+    const calls = {
+      tap: ({ x, y }) => this.tap(x, y),
+      doubleTap: ({ x, y }) => this.doubleTap(x, y),
+      longPress: ({ x, y, duration_ms }) => this.longPress(x, y, duration_ms),
+      swipe: ({ start, end, duration_ms }) => this.swipe(start, end, duration_ms),
+      gesture: ({ gesture }) => this.gesture(gesture),
+      type: ({ text }) => this.type(text),
+      pressKey: ({ key }) => this.pressKey(key),
+      pressCombo: ({ keys }) => this.pressCombo(keys),
+      keyDown: ({ key }) => this.keyDown(key),
+      keyUp: ({ key }) => this.keyUp(key),
+      wait: ({ duration_ms }) => this.wait(duration_ms)
+    };
+    if (!Object.prototype.hasOwnProperty.call(calls, action)) {
+      throw new BatchError(`Unknown batch action ${JSON.stringify(action)}: expected one of ${Object.keys(calls).join(', ')}`);
+    }
+    return calls[action](step);
+  }
+
+  /**
+   * Total time the steps take on the device
+   * @type {number}
+   */
+  get durationMs() {
+    return this.steps.reduce((total, step) => total + (step.duration_ms || 0), 0);
+  }
+
+  /**
+   * Run the steps on the device, in order, in a single request
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.stopOnError=true] - Skip the remaining steps after a failed step
+   * @returns {Promise<Array<Object>>} Results of the form { index, name, status, durationMs, error }
+   *   where status is "ok", "error" or "skipped"
+   * @throws {BatchError} If the sequence is empty or leaves keys held
+   */
+  async run({ stopOnError = true } = {}) {
+    if (this.steps.length === 0) {
+      throw new BatchError('Nothing to run: the sequence has no steps');
+    }
+    if (this.heldKeys.size > 0) {
+      throw new BatchError(`The sequence leaves ${[...this.heldKeys].join(', ')} held; release them with keyUp()`);
+    }
+    const response = await this.sandbox._runBatch(this.steps, stopOnError, this.durationMs);
+    const results = response.results || [];
+    return this.steps.map((step, index) => toStepResult(step, results[index], index));
+  }
+}
+
+module.exports = ActionSequence;
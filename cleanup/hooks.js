@@ -0,0 +1,127 @@
+/**
+ * Cleanup Hooks for AirTap Android SDK
+ * Tracks live sandboxes so they can be released when the process ends
+ */
+
+// Symbol used by `await using`; older runtimes fall back to the registered symbol used by polyfills
+const asyncDispose = Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose');
+
+const DEFAULT_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+// Sandboxes connected to a device, in this process
+const live = new Set();
+
+// Uninstall function of the installed exit hooks, if any
+let uninstallHooks = null;
+
+/**
+ * Start tracking a sandbox connected to a device
+ * @param {Object} sandbox - AndroidSandbox
+ */
+function track(sandbox) {
+  live.add(sandbox);
+}
+
+/**
+ * Stop tracking a sandbox, once it is closed or detached
+ * @param {Object} sandbox - AndroidSandbox
+ */
+function untrack(sandbox) {
+  live.delete(sandbox);
+}
+
+/**
+ * Sandboxes connected to a device in this process
+ * @returns {Array<Object>} Live sandboxes
+ */
+function liveSandboxes() {
+  return [...live];
+}
+
+/**
+ * Close a sandbox, giving up after a timeout
+ * @param {Object} sandbox - AndroidSandbox
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<void>} Resolves once closed
+ * @throws {Error} If closing fails or times out
+ */
+function closeWithin(sandbox, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    timer.unref();
+  });
+  return Promise.race([sandbox.close(), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Release every live sandbox of the process. Failures are logged through each sandbox's logger.
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs=10000] - Maximum time to wait for each release
+ * @returns {Promise<number>} Number of devices released
+ */
+async function releaseAll({ timeoutMs = 10000 } = {}) {
+  const results = await Promise.all(liveSandboxes().map(async sandbox => {
+    const deviceId = sandbox.deviceId;
+    try {
+      await closeWithin(sandbox, timeoutMs);
+      return !sandbox.deviceId;
+    } catch (error) {
+      sandbox.logger.error(`Error releasing device ${deviceId}: ${error.message}`);
+      return false;
+    }
+  }));
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Release all live sandboxes when the process receives a termination signal or runs out of work
+ * with sandboxes still open. Once released, a signal is re-raised unless the application listens
+ * for it itself. The hooks run once: whichever fires first removes them, so a release that fails
+ * is not retried forever. Installing twice returns the existing hooks.
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.signals=['SIGINT', 'SIGTERM', 'SIGHUP']] - Signals to handle
+ * @param {number} [options.timeoutMs=10000] - Maximum time to wait for each release
+ * @returns {Function} Function removing the hooks
+ */
+function installExitHooks({ signals = DEFAULT_SIGNALS, timeoutMs = 10000 } = {}) {
+  if (uninstallHooks) {
+    return uninstallHooks;
+  }
+
+  const onSignal = async signal => {
+    uninstall();
+    await releaseAll({ timeoutMs });
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  };
+  const onBeforeExit = () => {
+    if (live.size > 0) {
+      // Sandboxes that fail to close stay in the registry; the release work would trigger
+      // beforeExit again and keep the process alive if the hooks were still installed
+      uninstall();
+      releaseAll({ timeoutMs });
+    }
+  };
+
+  function uninstall() {
+    signals.forEach(signal => process.removeListener(signal, onSignal));
+    process.removeListener('beforeExit', onBeforeExit);
+    uninstallHooks = null;
+  }
+
+  signals.forEach(signal => process.on(signal, onSignal));
+  process.on('beforeExit', onBeforeExit);
+  uninstallHooks = uninstall;
+  return uninstall;
+}
+
+module.exports = {
+  asyncDispose,
+  track,
+  untrack,
+  liveSandboxes,
+  releaseAll,
+  installExitHooks
+};
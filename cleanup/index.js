@@ -0,0 +1,15 @@
+/**
+ * Cleanup Module for AirTap Android SDK
+ * Exports the process exit hooks and the registry of live sandboxes
+ */
+
+const { asyncDispose, track, untrack, liveSandboxes, releaseAll, installExitHooks } = require('./hooks');
+
+module.exports = {
+  asyncDispose,
+  track,
+  untrack,
+  liveSandboxes,
+  releaseAll,
+  installExitHooks
+};
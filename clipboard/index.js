@@ -0,0 +1,10 @@
+/**
+ * Clipboard Module for AirTap Android SDK
+ * Exports the clipboard manager for moving text between apps
+ */
+
+const ClipboardManager = require('./manager');
+
+module.exports = {
+  ClipboardManager
+};
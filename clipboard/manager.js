@@ -0,0 +1,81 @@
+/**
+ * Clipboard Manager for AirTap Android SDK
+ * Reads and writes the device clipboard to move text between apps
+ */
+
+const { Keys } = require('../keys');
+const { ClipboardError } = require('../exceptions');
+
+class ClipboardManager {
+  /**
+   * Create a new clipboard manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+  }
+
+  /**
+   * Read the text on the clipboard, e.g. after an app's "Copy" button
+   * @returns {Promise<string|null>} Clipboard text, or null if the clipboard is empty or holds no text
+   */
+  async get() {
+    try {
+      const response = await this.sandbox.apiClient.get(this.sandbox._devicePath('/clipboard'));
+      return typeof response.text === 'string' ? response.text : null;
+    } catch (error) {
+      throw new ClipboardError(`Failed to read clipboard: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Put text on the clipboard. Unlike typing, any length and any characters (including
+   * non-ASCII text and emoji) are transferred in a single request.
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} True if successful
+   */
+  async set(text) {
+    if (typeof text !== 'string') {
+      throw new ClipboardError(`Clipboard text must be a string, got ${typeof text}`);
+    }
+    try {
+      await this.sandbox.apiClient.post(this.sandbox._devicePath('/clipboard'), { text });
+      return true;
+    } catch (error) {
+      throw new ClipboardError(`Failed to set clipboard: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Paste into the focused field, optionally putting text on the clipboard first. The paste is a
+   * key press, so it is reported and handled like sandbox.pressKey (action events, strict mode).
+   * @param {string} [text] - Text to paste (defaults to the current clipboard contents)
+   * @returns {Promise<boolean>} True if successful
+   */
+  async paste(text = null) {
+    if (text !== null) {
+      await this.set(text);
+    }
+    try {
+      await this.sandbox.pressKey(Keys.PASTE);
+      return true;
+    } catch (error) {
+      throw new ClipboardError(`Failed to paste: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Empty the clipboard
+   * @returns {Promise<boolean>} True if successful
+   */
+  async clear() {
+    try {
+      await this.sandbox.apiClient.delete(this.sandbox._devicePath('/clipboard'));
+      return true;
+    } catch (error) {
+      throw new ClipboardError(`Failed to clear clipboard: ${error.message}`, error);
+    }
+  }
+}
+
+module.exports = ClipboardManager;
@@ -66,23 +66,17 @@ async function main() {
     await phone.apps.launch('com.android.calculator2');
     await phone.wait(2000);
     
-    // Perform a calculation: 123 + 456 = 579
-    await phone.tap([270, 1200]); // 1
-    await phone.wait(200);
-    await phone.tap([540, 1200]); // 2
-    await phone.wait(200);
-    await phone.tap([810, 1200]); // 3
-    await phone.wait(200);
-    await phone.tap([950, 1050]); // +
-    await phone.wait(200);
-    await phone.tap([270, 1050]); // 4
-    await phone.wait(200);
-    await phone.tap([540, 1050]); // 5
-    await phone.wait(200);
-    await phone.tap([810, 1050]); // 6
-    await phone.wait(200);
-    await phone.tap([950, 1350]); // =
-    await phone.wait(1000);
+    // Perform a calculation: 123 + 456 = 579, in a single request
+    await phone.actions()
+      .tap(270, 1200).wait(200) // 1
+      .tap(540, 1200).wait(200) // 2
+      .tap(810, 1200).wait(200) // 3
+      .tap(950, 1050).wait(200) // +
+      .tap(270, 1050).wait(200) // 4
+      .tap(540, 1050).wait(200) // 5
+      .tap(810, 1050).wait(200) // 6
+      .tap(950, 1350).wait(1000) // =
+      .run();
     
     // Take a screenshot of the result
     console.log('Taking a screenshot of the calculation...');
@@ -8,9 +8,16 @@
  * Base error class for all AirTap errors
  */
 class AirTapError extends Error {
-  constructor(message) {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} [cause] - Underlying error, if any
+   */
+  constructor(message, cause = null) {
     super(message);
     this.name = 'AirTapError';
+    if (cause) {
+      this.cause = cause;
+    }
   }
 }
 
@@ -18,28 +25,64 @@ class AirTapError extends Error {
  * Error thrown when an API key is missing or invalid
  */
 class ApiKeyError extends AirTapError {
-  constructor(message) {
-    super(message);
+  constructor(message, cause) {
+    super(message, cause);
     this.name = 'ApiKeyError';
   }
 }
 
+/**
+ * Error thrown when a device profile or device option is invalid
+ */
+class ProfileError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'ProfileError';
+  }
+}
+
 /**
  * Error thrown when connection to the AirTap service fails
  */
 class ConnectionError extends AirTapError {
-  constructor(message) {
-    super(message);
+  constructor(message, cause) {
+    super(message, cause);
     this.name = 'ConnectionError';
   }
 }
 
+/**
+ * Error thrown when a request to the AirTap API fails
+ */
+class ApiError extends AirTapError {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} [error] - Underlying transport error
+   * @param {Object} [details] - Request context
+   * @param {string} [details.method] - HTTP method
+   * @param {string} [details.endpoint] - API endpoint or URL
+   * @param {string} [details.deviceId] - Device the request targeted
+   */
+  constructor(message, error = null, { method = null, endpoint = null, deviceId = null } = {}) {
+    super(message, error);
+    this.name = 'ApiError';
+    const response = error && error.response;
+    this.status = response ? response.status : null;
+    this.data = response ? response.data : null;
+    this.requestId = response && response.headers ? response.headers['x-request-id'] || null : null;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.deviceId = deviceId;
+    this.attempts = 1;
+  }
+}
+
 /**
  * Error thrown when a stream operation fails
  */
 class StreamError extends AirTapError {
-  constructor(message) {
-    super(message);
+  constructor(message, cause) {
+    super(message, cause);
     this.name = 'StreamError';
   }
 }
@@ -48,8 +91,8 @@ class StreamError extends AirTapError {
  * Error thrown when an app operation fails
  */
 class AppError extends AirTapError {
-  constructor(message) {
-    super(message);
+  constructor(message, cause) {
+    super(message, cause);
     this.name = 'AppError';
   }
 }
@@ -57,29 +100,278 @@ class AppError extends AirTapError {
 /**
  * Error thrown when a recording operation fails
  */
-class RecordError extends AirTapError {
-  constructor(message) {
-    super(message);
-    this.name = 'RecordError';
+class RecordingError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'RecordingError';
   }
 }
 
+/**
+ * @deprecated Use RecordingError
+ */
+const RecordError = RecordingError;
+
 /**
  * Error thrown when a file operation fails
  */
 class FileError extends AirTapError {
-  constructor(message) {
-    super(message);
+  constructor(message, cause) {
+    super(message, cause);
     this.name = 'FileError';
   }
 }
 
+/**
+ * Error thrown when a UI hierarchy operation fails
+ */
+class UiError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'UiError';
+  }
+}
+
+/**
+ * Error thrown when no element matches a UI selector
+ */
+class ElementNotFoundError extends UiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object|string} selector - The selector that matched nothing
+   */
+  constructor(message, selector) {
+    super(message);
+    this.name = 'ElementNotFoundError';
+    this.selector = selector;
+  }
+}
+
+/**
+ * Error thrown when a UI selector matches more than one element and no index was given
+ */
+class AmbiguousElementError extends UiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object|string} selector - The ambiguous selector
+   * @param {Array} matches - The matching nodes
+   */
+  constructor(message, selector, matches) {
+    super(message);
+    this.name = 'AmbiguousElementError';
+    this.selector = selector;
+    this.matches = matches;
+  }
+}
+
+/**
+ * Error thrown when a gesture is invalid
+ */
+class GestureError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'GestureError';
+  }
+}
+
+/**
+ * Error thrown when a coordinate, orientation or screenshot cannot be mapped to the screen
+ */
+class ScreenError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'ScreenError';
+  }
+}
+
+/**
+ * Error thrown when a key name or code is not a known Android key
+ */
+class KeyError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'KeyError';
+  }
+}
+
+/**
+ * Error thrown when a batched action sequence is invalid
+ */
+class BatchError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'BatchError';
+  }
+}
+
+/**
+ * Error thrown when a shell command exits with a non-zero status
+ */
+class ShellError extends AirTapError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} command - The command that failed
+   * @param {Object} [result] - Command result of the form { stdout, stderr, exitCode, durationMs }
+   */
+  constructor(message, command, { stdout = '', stderr = '', exitCode = null, durationMs = null } = {}) {
+    super(message);
+    this.name = 'ShellError';
+    this.command = command;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+    this.durationMs = durationMs;
+  }
+}
+
+/**
+ * Error thrown when the device clipboard cannot be read or written
+ */
+class ClipboardError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'ClipboardError';
+  }
+}
+
+/**
+ * Error thrown when a device setting cannot be read or changed
+ */
+class SettingsError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'SettingsError';
+  }
+}
+
+/**
+ * Error thrown when the mock location cannot be set or a route cannot be played
+ */
+class LocationError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'LocationError';
+  }
+}
+
+/**
+ * Error thrown when network conditions cannot be applied or traffic cannot be captured
+ */
+class NetworkError extends AirTapError {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} [cause] - Underlying error
+   * @param {Object} [har] - Captured traffic that could not be saved, as a HAR document
+   */
+  constructor(message, cause, har = null) {
+    super(message, cause);
+    this.name = 'NetworkError';
+    this.har = har;
+  }
+}
+
+/**
+ * Error thrown when the device logs cannot be read, collected or saved
+ */
+class LogError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'LogError';
+  }
+}
+
+/**
+ * Error thrown when a background shell job operation fails
+ */
+class JobError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'JobError';
+  }
+}
+
+/**
+ * Error thrown when a device pool cannot provide or release a sandbox
+ */
+class PoolError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'PoolError';
+  }
+}
+
+/**
+ * Error thrown when a snapshot cannot be saved, restored, listed or deleted
+ */
+class SnapshotError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'SnapshotError';
+  }
+}
+
+/**
+ * Error thrown when a wait condition is not met in time
+ */
+class WaitTimeoutError extends AirTapError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [diagnostics] - What the wait observed
+   * @param {number} [diagnostics.timeout_ms] - Configured timeout
+   * @param {number} [diagnostics.elapsed_ms] - Time spent waiting
+   * @param {number} [diagnostics.attempts] - Number of times the condition was checked
+   * @param {*} [diagnostics.last_value] - Last value returned by the condition
+   * @param {Error} [diagnostics.last_error] - Error thrown by the last check, if any
+   */
+  constructor(message, { timeout_ms, elapsed_ms, attempts, last_value, last_error = null } = {}) {
+    const detail = last_error ? `${attempts} attempts; last error: ${last_error.message}` : `${attempts} attempts`;
+    super(`${message} (${detail})`, last_error);
+    this.name = 'WaitTimeoutError';
+    this.timeout_ms = timeout_ms;
+    this.elapsed_ms = elapsed_ms;
+    this.attempts = attempts;
+    this.last_value = last_value;
+    this.last_error = last_error;
+  }
+}
+
+/**
+ * Error thrown when a wait is cancelled through an AbortSignal
+ */
+class WaitCancelledError extends AirTapError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'WaitCancelledError';
+  }
+}
+
 module.exports = {
   AirTapError,
   ApiKeyError,
+  ProfileError,
   ConnectionError,
+  ApiError,
   StreamError,
   AppError,
+  RecordingError,
   RecordError,
-  FileError
+  FileError,
+  UiError,
+  ElementNotFoundError,
+  AmbiguousElementError,
+  GestureError,
+  ScreenError,
+  KeyError,
+  BatchError,
+  ShellError,
+  ClipboardError,
+  SettingsError,
+  LocationError,
+  NetworkError,
+  LogError,
+  JobError,
+  PoolError,
+  SnapshotError,
+  WaitTimeoutError,
+  WaitCancelledError
 };
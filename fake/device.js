@@ -0,0 +1,1152 @@
+/**
+ * Fake Device for AirTap Android SDK
+ * Simulated device state and a minimal toybox-style shell used by the fake server
+ */
+
+const path = require('path').posix;
+
+const LAUNCHER_PACKAGE = 'com.android.launcher3';
+const PLAY_STORE_PACKAGE = 'com.android.vending';
+
+// 1x1 transparent PNG used as the default canned screenshot
+const BLANK_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+// Launcher screen returned by `uiautomator dump` until a test sets its own hierarchy
+const LAUNCHER_HIERARCHY = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" resource-id="" class="android.widget.FrameLayout" package="${LAUNCHER_PACKAGE}" content-desc="" checkable="false" checked="false" clickable="false" enabled="true" focusable="false" focused="false" scrollable="false" long-clickable="false" password="false" selected="false" bounds="[0,0][1080,1920]">
+    <node index="0" text="Chrome" resource-id="" class="android.widget.TextView" package="${LAUNCHER_PACKAGE}" content-desc="Chrome" checkable="false" checked="false" clickable="true" enabled="true" focusable="true" focused="false" scrollable="false" long-clickable="true" password="false" selected="false" bounds="[60,1500][300,1740]" />
+    <node index="1" text="Settings" resource-id="" class="android.widget.TextView" package="${LAUNCHER_PACKAGE}" content-desc="Settings" checkable="false" checked="false" clickable="true" enabled="true" focusable="true" focused="false" scrollable="false" long-clickable="true" password="false" selected="false" bounds="[780,1500][1020,1740]" />
+  </node>
+</hierarchy>
+`;
+
+const DEFAULT_DIRECTORIES = [
+  '/',
+  '/data',
+  '/data/local',
+  '/data/local/tmp',
+  '/sdcard',
+  '/sdcard/Documents',
+  '/sdcard/Download',
+  '/sdcard/Pictures'
+];
+
+const DEFAULT_PACKAGES = [
+  LAUNCHER_PACKAGE,
+  PLAY_STORE_PACKAGE,
+  'com.android.chrome',
+  'com.android.settings'
+];
+
+/**
+ * Split a command line into words and operators, honouring quotes, escapes and $VAR expansion
+ * @param {string} command - Command line
+ * @param {Object<string, string>} [env] - Variables for $NAME and ${NAME} expansion
+ * @returns {Array<Object>} Tokens of the form { type: 'word'|'op', value }
+ */
+function tokenize(command, env = {}) {
+  const tokens = [];
+  let word = null;
+  let i = 0;
+
+  // Expand a variable reference at command[i] (which is '$'); returns [value, length]
+  const expand = () => {
+    const match = /^\$(?:\{(\w+)\}|(\w+))/.exec(command.slice(i));
+    if (!match) {
+      return ['$', 1];
+    }
+    const name = match[1] || match[2];
+    return [env[name] !== undefined ? String(env[name]) : '', match[0].length];
+  };
+
+  const pushWord = () => {
+    if (word !== null) {
+      tokens.push({ type: 'word', value: word });
+      word = null;
+    }
+  };
+
+  while (i < command.length) {
+    const ch = command[i];
+
+    if (ch === ' ' || ch === '\t' || ch === '\n') {
+      pushWord();
+      i++;
+    } else if (ch === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('unterminated quoted string');
+      }
+      word = (word || '') + command.slice(i + 1, end);
+      i = end + 1;
+    } else if (ch === '"') {
+      word = word || '';
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '$') {
+          const [value, length] = expand();
+          word += value;
+          i += length;
+          continue;
+        }
+        if (command[i] === '\\' && '"\\$`'.includes(command[i + 1])) {
+          i++;
+        }
+        word += command[i];
+        i++;
+      }
+      if (i >= command.length) {
+        throw new Error('unterminated quoted string');
+      }
+      i++;
+    } else if (ch === '\\') {
+      word = (word || '') + (command[i + 1] || '');
+      i += 2;
+    } else if (command.startsWith('&&', i) || command.startsWith('||', i)) {
+      pushWord();
+      tokens.push({ type: 'op', value: command.slice(i, i + 2) });
+      i += 2;
+    } else if (ch === ';' || ch === '|') {
+      pushWord();
+      tokens.push({ type: 'op', value: ch });
+      i++;
+    } else if (ch === '$') {
+      const [value, length] = expand();
+      word = (word || '') + value;
+      i += length;
+    } else {
+      word = (word || '') + ch;
+      i++;
+    }
+  }
+  pushWord();
+
+  return tokens;
+}
+
+// Programs that keep running as background jobs until killed or, for stdin readers, until stdin closes
+const LONG_RUNNING = ['logcat', 'top', 'screenrecord'];
+const STDIN_READERS = ['cat', 'sh'];
+
+// Exit codes of processes terminated by a signal (128 + signal number)
+const SIGNAL_EXIT_CODES = { HUP: 129, INT: 130, KILL: 137, TERM: 143 };
+
+/**
+ * Build a shell result
+ * @param {string} [stdout] - Standard output
+ * @param {number} [exitCode] - Exit code
+ * @param {string} [stderr] - Standard error
+ * @returns {Object} Result of the form { stdout, stderr, exitCode }
+ */
+function result(stdout = '', exitCode = 0, stderr = '') {
+  return { stdout, stderr, exitCode };
+}
+
+// Process ID that system services such as ActivityManager log from
+const SYSTEM_SERVER_PID = 580;
+
+/**
+ * Format a log entry the way `logcat -v threadtime` prints it, in UTC
+ * @param {Object} entry - Entry of the form { time, pid, tid, level, tag, message }
+ * @param {boolean} year - Include the year, as with `-v year`
+ * @returns {string} Line without its terminator
+ */
+function formatLogLine(entry, year) {
+  const stamp = new Date(entry.time).toISOString().replace('T', ' ').replace('Z', '');
+  const pid = String(entry.pid).padStart(5);
+  const tid = String(entry.tid).padStart(5);
+  return `${year ? stamp : stamp.slice(5)} ${pid} ${tid} ${entry.level} ${entry.tag.padEnd(8)}: ${entry.message}`;
+}
+
+// Touches held at least this long are long presses
+const LONG_PRESS_MS = 500;
+
+/**
+ * Recognize the common gestures in a gesture payload, the way Android's gesture detectors would
+ * @param {Array<Object>} pointers - Pointers of the form { id, events: [{ action, x, y, time_ms }] }
+ * @returns {Object} Input record: tap, double_tap, long_press, swipe or pinch with the fields of
+ *   the original input endpoints, drag, or { type: 'gesture', pointers } for anything else
+ */
+function recognizeGesture(pointers) {
+  const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+
+  if (pointers.length === 1) {
+    const events = pointers[0].events;
+    const actions = events.map(event => event.action).join(',');
+    const [first, last] = [events[0], events[events.length - 1]];
+    const duration_ms = last.time_ms - first.time_ms;
+
+    if (actions === 'down,up' && samePoint(first, last)) {
+      return duration_ms >= LONG_PRESS_MS
+        ? { type: 'long_press', x: first.x, y: first.y, duration_ms }
+        : { type: 'tap', x: first.x, y: first.y };
+    }
+    if (actions === 'down,up,down,up' && events.every(event => samePoint(event, first))) {
+      return { type: 'double_tap', x: first.x, y: first.y };
+    }
+    if (actions === 'down,move,up') {
+      return { type: 'swipe', start_x: first.x, start_y: first.y, end_x: last.x, end_y: last.y, duration_ms };
+    }
+    if (actions === 'down,move,move,up' && samePoint(events[1], first) && events[1].time_ms - first.time_ms >= LONG_PRESS_MS) {
+      const hold_ms = events[1].time_ms - first.time_ms;
+      return { type: 'drag', start_x: first.x, start_y: first.y, end_x: last.x, end_y: last.y, hold_ms, duration_ms };
+    }
+  }
+
+  if (pointers.length === 2 && pointers.every(pointer => pointer.events.map(event => event.action).join(',') === 'down,move,up')) {
+    const [a, b] = pointers.map(pointer => pointer.events);
+    const start = Math.hypot(a[0].x - b[0].x, a[0].y - b[0].y);
+    const end = Math.hypot(a[1].x - b[1].x, a[1].y - b[1].y);
+    const center_x = (a[0].x + b[0].x) / 2;
+    const center_y = (a[0].y + b[0].y) / 2;
+    const stillCentered = (a[1].x + b[1].x) / 2 === center_x && (a[1].y + b[1].y) / 2 === center_y;
+    if (stillCentered && start !== end) {
+      return { type: 'pinch', center_x, center_y, distance: Math.abs(end - start), direction: end > start ? 'out' : 'in' };
+    }
+  }
+
+  return { type: 'gesture', pointers };
+}
+
+/**
+ * Copy the persistent parts of a device's state
+ * @param {Object} source - Device or previously captured state
+ * @returns {Object} Independent copy of the state
+ */
+function cloneState(source) {
+  return {
+    packages: new Map([...source.packages].map(([name, pkg]) => [name, { ...pkg }])),
+    store: new Set(source.store),
+    currentApp: source.currentApp,
+    currentActivity: source.currentActivity,
+    uiHierarchy: source.uiHierarchy,
+    screenshots: source.screenshots.slice(),
+    fs: new Map([...source.fs].map(([filePath, entry]) => [filePath, { ...entry }])),
+    settings: Object.fromEntries(Object.entries(source.settings).map(([namespace, values]) => [namespace, new Map(values)])),
+    properties: new Map(source.properties),
+    rotation: source.rotation
+  };
+}
+
+class FakeDevice {
+  /**
+   * Create a new fake device
+   * @param {string} id - Device ID
+   * @param {Object} [options] - Provisioning payload sent by the client
+   * @param {Array<string>} [options.packages] - Installed packages (defaults to a stock system image)
+   * @param {Array<string>} [options.store] - Packages that can be installed from the Play Store
+   * @param {Object<string, string|Buffer>} [options.files] - Initial files keyed by absolute path
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.config = options;
+    this.released = false;
+    this.createdAt = new Date();
+    this.heartbeats = 0;
+
+    this.packages = new Map();
+    (options.packages || DEFAULT_PACKAGES).forEach(pkg => this.installPackage(pkg));
+    this.store = new Set(options.store || []);
+    this.currentApp = LAUNCHER_PACKAGE;
+    this.currentActivity = null;
+
+    this.inputs = [];
+    this.clipboard = null;
+    this.location = null;
+    this.locationHistory = [];
+    this.networkConditions = null;
+    this.capture = null;
+    this._nextCaptureId = 1;
+    this.shellHistory = [];
+    this.screenshots = [BLANK_PNG];
+    this.screenshotIndex = 0;
+    this.uiHierarchy = LAUNCHER_HIERARCHY;
+
+    this.jobs = new Map();
+    this._nextJobId = 1;
+
+    // Devices start in their natural orientation unless the profile asks for the other one
+    const [width, height] = options.resolution || [1280, 720];
+    const naturalOrientation = width > height ? 'landscape' : 'portrait';
+    this.rotation = options.orientation && options.orientation !== naturalOrientation ? 90 : 0;
+    this.settings = {
+      system: new Map([
+        ['accelerometer_rotation', '1'],
+        ['user_rotation', String(this.rotation / 90)],
+        ['font_scale', '1.0'],
+        ['screen_off_timeout', '60000']
+      ]),
+      secure: new Map([['ui_night_mode', '1']]),
+      global: new Map([
+        ['wifi_on', '1'],
+        ['mobile_data', '1'],
+        ['airplane_mode_on', '0'],
+        ['stay_on_while_plugged_in', '0'],
+        ['window_animation_scale', '1.0'],
+        ['transition_animation_scale', '1.0'],
+        ['animator_duration_scale', '1.0'],
+        ['auto_time', '1'],
+        ['auto_time_zone', '1']
+      ])
+    };
+    this.properties = new Map([
+      ['ro.build.version.release', options.android_version || '13'],
+      ['ro.product.model', options.device_model || 'Pixel 4'],
+      ['ro.sf.lcd_density', String(options.dpi || 160)],
+      ['persist.sys.locale', options.locale || 'en-US'],
+      ['persist.sys.timezone', options.timezone || 'GMT']
+    ]);
+    // Offset of the device clock from the host clock, changed by `cmd alarm set-time`
+    this.clockOffsetMs = 0;
+
+    // logcat buffer, and the process ID of each running app
+    this.logBuffer = [];
+    this.processes = new Map();
+    this._nextPid = 4000;
+
+    this.cwd = '/';
+    this.fs = new Map();
+    DEFAULT_DIRECTORIES.forEach(dir => this.fs.set(dir, { type: 'dir', mtime: new Date() }));
+    Object.entries(options.files || {}).forEach(([filePath, content]) => this.writeFile(filePath, content));
+  }
+
+  /**
+   * Device metadata as reported by the devices API
+   * @returns {Object} Metadata of the form { device_id, status, created_at, session_id, resolution, ... }
+   */
+  describe() {
+    return {
+      device_id: this.id,
+      status: this.released ? 'released' : 'running',
+      created_at: this.createdAt.toISOString(),
+      session_id: this.config.session_id || null,
+      resolution: this.config.resolution || [1280, 720],
+      dpi: this.config.dpi || 160,
+      memory_mb: this.config.memory_mb || 2048,
+      android_version: this.config.android_version || '13',
+      device_model: this.config.device_model || 'Pixel 4',
+      rotation: this.rotation
+    };
+  }
+
+  /**
+   * Capture the persistent device state (packages, files, foreground app and screen)
+   * @returns {Object} State for restoreState
+   */
+  captureState() {
+    return cloneState(this);
+  }
+
+  /**
+   * Replace the device state with a captured one; running jobs are terminated as on a reboot
+   * @param {Object} state - State from captureState
+   */
+  restoreState(state) {
+    Object.assign(this, cloneState(state));
+    this.screenshotIndex = 0;
+    this.jobs.forEach(job => this.killJob(job.id, 'KILL'));
+  }
+
+  /**
+   * Mark a package as installed
+   * @param {string} packageName - Package name
+   * @param {string} [activity] - Launcher activity (defaults to .MainActivity)
+   */
+  installPackage(packageName, activity = '.MainActivity') {
+    this.packages.set(packageName, { activity });
+  }
+
+  /**
+   * Replace the canned screenshots; each screenshot call returns the next one, repeating the last
+   * @param {Array<Buffer>} images - PNG images
+   */
+  setScreenshots(images) {
+    this.screenshots = images.slice();
+    this.screenshotIndex = 0;
+  }
+
+  /**
+   * Return the next canned screenshot
+   * @returns {Buffer} PNG image
+   */
+  nextScreenshot() {
+    const image = this.screenshots[Math.min(this.screenshotIndex, this.screenshots.length - 1)];
+    this.screenshotIndex++;
+    return image;
+  }
+
+  /**
+   * Replace the view hierarchy returned by `uiautomator dump`
+   * @param {string} xml - uiautomator hierarchy XML
+   */
+  setUiHierarchy(xml) {
+    this.uiHierarchy = xml;
+  }
+
+  /**
+   * Write a file, creating parent directories as needed
+   * @param {string} filePath - Absolute path
+   * @param {string|Buffer} content - File content
+   */
+  writeFile(filePath, content) {
+    const resolved = path.resolve(this.cwd, filePath);
+    this.makeDirectory(path.dirname(resolved));
+    this.fs.set(resolved, { type: 'file', content: Buffer.from(content), mtime: new Date() });
+  }
+
+  /**
+   * Read a file
+   * @param {string} filePath - Absolute path
+   * @returns {Buffer|null} File content, or null if it is not a file
+   */
+  readFile(filePath) {
+    const entry = this.fs.get(path.resolve(this.cwd, filePath));
+    return entry && entry.type === 'file' ? entry.content : null;
+  }
+
+  /**
+   * Create a directory and its parents
+   * @param {string} dirPath - Absolute path
+   */
+  makeDirectory(dirPath) {
+    const resolved = path.resolve(this.cwd, dirPath);
+    if (resolved !== '/') {
+      this.makeDirectory(path.dirname(resolved));
+    }
+    if (!this.fs.has(resolved)) {
+      this.fs.set(resolved, { type: 'dir', mtime: new Date() });
+    }
+  }
+
+  /**
+   * Bring an app to the foreground
+   * @param {string} packageName - Package name
+   * @param {string} [activity] - Activity class, relative (".Settings") or fully qualified
+   *   (defaults to the package's launcher activity)
+   */
+  setForeground(packageName, activity = null) {
+    this.currentApp = packageName;
+    this.currentActivity = activity;
+  }
+
+  /**
+   * Component of the resumed activity
+   * @returns {string} Component of the form "pkg/.Activity"
+   */
+  resumedActivity() {
+    const pkg = this.packages.get(this.currentApp);
+    const activity = this.currentActivity || (pkg ? pkg.activity : '.MainActivity');
+    return `${this.currentApp}/${activity}`;
+  }
+
+  /**
+   * Check an input event the way the device would before performing it
+   * @param {string} type - Input type (e.g. "gesture", "key")
+   * @param {Object} payload - Request payload
+   * @returns {string|null} Error message, or null if the input is valid
+   */
+  inputError(type, payload) {
+    const keys = type === 'key' ? [payload.key] : type === 'combo' ? payload.keys || [] : [];
+    const unknown = keys.find(key => !/^(KEYCODE_)?[A-Z0-9_]+$/.test(String(key)));
+    if (unknown !== undefined) {
+      return `Unknown key ${JSON.stringify(unknown)}`;
+    }
+    if (type === 'key' && payload.action !== undefined && !['down', 'up'].includes(payload.action)) {
+      return `Unknown key action ${JSON.stringify(payload.action)}`;
+    }
+    // Like `input text`, only printable ASCII can be typed
+    const untypable = type === 'text' ? /[^\x20-\x7e\n\t]/.exec(payload.text || '') : null;
+    if (untypable) {
+      return `Cannot type ${JSON.stringify(untypable[0])}: only ASCII text can be typed`;
+    }
+    if (!['gesture', 'text', 'key', 'combo'].includes(type)) {
+      return `Unsupported input type ${type}`;
+    }
+    return null;
+  }
+
+  /**
+   * Record an input event sent to the device; gestures are recorded as the common gesture they make up,
+   * and paste keys as the text they paste
+   * @param {string} type - Input type (e.g. "gesture", "key")
+   * @param {Object} payload - Request payload
+   */
+  recordInput(type, payload) {
+    // A paste key inserts the clipboard text into the focused field
+    if (type === 'key' && payload.key === 'KEYCODE_PASTE' && !payload.action) {
+      this.inputs.push({ type: 'paste', text: this.clipboard });
+      return;
+    }
+    this.inputs.push(type === 'gesture' ? recognizeGesture(payload.pointers || []) : { type, ...payload });
+    if (type === 'key' && /^(KEYCODE_)?HOME$/.test(payload.key)) {
+      this.setForeground(LAUNCHER_PACKAGE);
+    }
+  }
+
+  /**
+   * Write a log entry, as an app or system service would; running logcat jobs receive it too
+   * @param {string} tag - Log tag
+   * @param {string} message - Message
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.level='I'] - Level letter (V, D, I, W, E or F)
+   * @param {number|string} [options.pid] - Process ID, or the package whose process logs the entry
+   *   (defaults to the system server)
+   * @param {number} [options.tid] - Thread ID (defaults to the process ID)
+   * @returns {Object} Entry of the form { time, pid, tid, level, tag, message }
+   */
+  log(tag, message, { level = 'I', pid = SYSTEM_SERVER_PID, tid = null } = {}) {
+    const processId = typeof pid === 'string' ? this.processes.get(pid) || this.startProcess(pid) : pid;
+    const entry = { time: Date.now() + this.clockOffsetMs, pid: processId, tid: tid || processId, level, tag, message };
+    this.logBuffer.push(entry);
+    this.jobs.forEach(job => {
+      if (job.status === 'running' && job.onLog) job.onLog(entry);
+    });
+    return entry;
+  }
+
+  /**
+   * Start a process for a package, logging it the way ActivityManager does
+   * @param {string} packageName - Package name
+   * @returns {number} Process ID
+   */
+  startProcess(packageName) {
+    const pid = this._nextPid++;
+    this.processes.set(packageName, pid);
+    this.log('ActivityManager', `Start proc ${pid}:${packageName}/u0a${pid % 1000} for activity {${packageName}}`);
+    return pid;
+  }
+
+  /**
+   * Simulate an HTTP exchange made by an app; it is recorded if a capture is running and
+   * the request's host is captured
+   * @param {Object} entry - Exchange in the API's capture format
+   *   { started_at, time_ms, request: { method, url, headers, body? }, response: { status, headers, body? } }
+   * @returns {boolean} True if the exchange was recorded
+   */
+  recordTraffic(entry) {
+    if (!this.capture) {
+      return false;
+    }
+    const { hosts, include_bodies: includeBodies } = this.capture.options;
+    if (hosts && !hosts.includes(new URL(entry.request.url).hostname)) {
+      return false;
+    }
+    const recorded = { started_at: new Date().toISOString(), time_ms: 0, ...entry };
+    if (includeBodies === false) {
+      recorded.request = { ...recorded.request, body: null };
+      recorded.response = { ...recorded.response, body: null };
+    }
+    this.capture.entries.push(recorded);
+    return true;
+  }
+
+  /**
+   * Execute a command line
+   * @param {string} command - Command line
+   * @param {Object} [options] - Execution options
+   * @param {Object<string, string>} [options.env] - Environment variables
+   * @param {string} [options.cwd='/'] - Working directory for relative paths
+   * @returns {Object} Result of the form { stdout, stderr, exitCode }
+   */
+  shell(command, { env = {}, cwd = '/' } = {}) {
+    this.shellHistory.push(command);
+
+    let tokens;
+    try {
+      tokens = tokenize(command, env);
+    } catch (error) {
+      return result('', 2, `sh: ${error.message}\n`);
+    }
+
+    const resolvedCwd = path.resolve('/', cwd);
+    const entry = this.fs.get(resolvedCwd);
+    if (!entry || entry.type !== 'dir') {
+      return result('', 2, `sh: cd: ${cwd}: No such file or directory\n`);
+    }
+
+    this.cwd = resolvedCwd;
+    try {
+      return this._runLine(tokens);
+    } finally {
+      this.cwd = '/';
+    }
+  }
+
+  /**
+   * Start a background job.
+   *
+   * Most commands run to completion immediately. logcat, top and screenrecord keep running until
+   * killed, logcat printing each entry written with log(); cat without arguments echoes stdin and
+   * sh runs each stdin line, both until stdin closes.
+   *
+   * @param {string} command - Command line
+   * @param {Object} [options] - Execution options (env, cwd; see shell)
+   * @returns {Object} Job of the form { id, command, status, exitCode, startedAt, chunks }
+   */
+  spawn(command, options = {}) {
+    const job = {
+      id: `job-${this._nextJobId++}`,
+      command,
+      status: 'running',
+      exitCode: null,
+      startedAt: new Date().toISOString(),
+      chunks: [],
+      onInput: null,
+      onLog: null
+    };
+    this.jobs.set(job.id, job);
+
+    let argv = [];
+    try {
+      const tokens = tokenize(command, options.env);
+      if (tokens.every(token => token.type === 'word')) {
+        argv = tokens.map(token => token.value);
+      }
+    } catch (error) {
+      // Let shell() report the syntax error below
+    }
+
+    const [name, ...args] = argv;
+    const logcatDump = name === 'logcat' && (args.includes('-d') || args.includes('-c'));
+    if (LONG_RUNNING.includes(name) && !logcatDump) {
+      this.shellHistory.push(command);
+      if (name === 'screenrecord') {
+        this._run(argv, '');
+      }
+      if (name === 'logcat') {
+        const year = args.includes('year');
+        const output = this._logcat(args).stdout;
+        if (output) this.writeJobOutput(job.id, 'stdout', output);
+        job.onLog = entry => this.writeJobOutput(job.id, 'stdout', `${formatLogLine(entry, year)}\n`);
+      }
+    } else if (STDIN_READERS.includes(name) && args.length === 0) {
+      this.shellHistory.push(command);
+      job.onInput = name === 'cat'
+        ? data => this.writeJobOutput(job.id, 'stdout', data)
+        : data => data.split('\n').filter(line => line.trim()).forEach(line => {
+          const { stdout, stderr } = this.shell(line, options);
+          if (stdout) this.writeJobOutput(job.id, 'stdout', stdout);
+          if (stderr) this.writeJobOutput(job.id, 'stderr', stderr);
+        });
+    } else {
+      const { stdout, stderr, exitCode } = this.shell(command, options);
+      if (stdout) this.writeJobOutput(job.id, 'stdout', stdout);
+      if (stderr) this.writeJobOutput(job.id, 'stderr', stderr);
+      this.finishJob(job.id, exitCode);
+    }
+    return job;
+  }
+
+  /**
+   * Append output to a running job, e.g. to simulate log lines
+   * @param {string} jobId - Job ID
+   * @param {string} stream - "stdout" or "stderr"
+   * @param {string} data - Output
+   */
+  writeJobOutput(jobId, stream, data) {
+    const job = this.jobs.get(jobId);
+    if (job && job.status === 'running') {
+      job.chunks.push({ stream, data });
+    }
+  }
+
+  /**
+   * Feed stdin to a job
+   * @param {string} jobId - Job ID
+   * @param {string} data - Input
+   * @param {boolean} [eof=false] - Close stdin afterwards
+   * @returns {boolean} False if the job is not running
+   */
+  writeJobInput(jobId, data, eof = false) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'running') {
+      return false;
+    }
+    if (data && job.onInput) {
+      job.onInput(data);
+    }
+    if (eof && job.onInput) {
+      this.finishJob(jobId, 0);
+    }
+    return true;
+  }
+
+  /**
+   * Terminate a job with a signal
+   * @param {string} jobId - Job ID
+   * @param {string} [signal='TERM'] - Signal name
+   */
+  killJob(jobId, signal = 'TERM') {
+    const job = this.jobs.get(jobId);
+    if (job && job.status === 'running') {
+      job.status = 'killed';
+      job.exitCode = SIGNAL_EXIT_CODES[signal] || 137;
+    }
+  }
+
+  /**
+   * Mark a job as exited
+   * @param {string} jobId - Job ID
+   * @param {number} exitCode - Exit code
+   */
+  finishJob(jobId, exitCode) {
+    const job = this.jobs.get(jobId);
+    if (job && job.status === 'running') {
+      job.status = 'exited';
+      job.exitCode = exitCode;
+    }
+  }
+
+  /**
+   * Run a tokenized command line
+   * @private
+   * @param {Array<Object>} tokens - Tokens from tokenize
+   * @returns {Object} Result of the form { stdout, stderr, exitCode }
+   */
+  _runLine(tokens) {
+    // Split into pipelines joined by ;, && and ||
+    const pipelines = [];
+    let current = { connector: ';', commands: [[]] };
+    for (const token of tokens) {
+      if (token.type === 'word') {
+        current.commands[current.commands.length - 1].push(token.value);
+      } else if (token.value === '|') {
+        current.commands.push([]);
+      } else {
+        pipelines.push(current);
+        current = { connector: token.value, commands: [[]] };
+      }
+    }
+    pipelines.push(current);
+
+    let stdout = '';
+    let stderr = '';
+    let last = result();
+    for (const pipeline of pipelines) {
+      if (pipeline.connector === '&&' && last.exitCode !== 0) continue;
+      if (pipeline.connector === '||' && last.exitCode === 0) continue;
+
+      let input = '';
+      for (const argv of pipeline.commands) {
+        last = argv.length === 0 ? result() : this._run(argv, input);
+        input = last.stdout;
+        stderr += last.stderr;
+      }
+      stdout += last.stdout;
+    }
+
+    return result(stdout, last.exitCode, stderr);
+  }
+
+  /**
+   * Run a single command
+   * @private
+   * @param {Array<string>} argv - Command and arguments
+   * @param {string} stdin - Standard input
+   * @returns {Object} Result of the form { stdout, stderr, exitCode }
+   */
+  _run(argv, stdin) {
+    const [name, ...args] = argv;
+    switch (name) {
+      case 'echo':
+        return result(`${args.join(' ')}\n`);
+      case 'true':
+        return result();
+      case 'pwd':
+        return result(`${this.cwd}\n`);
+      case 'getprop':
+        return this._getprop(args);
+      case 'setprop':
+        return this._setprop(args);
+      case 'svc':
+        return this._svc(args);
+      case 'wm':
+        return this._wm(args);
+      case 'date':
+        return this._date(args);
+      case 'false':
+        return result('', 1);
+      case '[':
+      case 'test':
+        return this._test(name === '[' ? args.slice(0, -1) : args);
+      case 'cat':
+        return this._cat(args, stdin);
+      case 'grep':
+        return this._grep(args, stdin);
+      case 'ls':
+        return this._ls(args);
+      case 'mkdir':
+        args.filter(arg => !arg.startsWith('-')).forEach(dir => this.makeDirectory(dir));
+        return result();
+      case 'rm':
+        return this._rm(args);
+      case 'pm':
+        return this._pm(args);
+      case 'am':
+        return this._am(args);
+      case 'cmd':
+        return this._cmd(args);
+      case 'dumpsys':
+        return this._dumpsys(args);
+      case 'settings':
+        return this._settings(args);
+      case 'uiautomator':
+        if (args[0] !== 'dump') {
+          return result('', 1, `Unknown command: ${args[0]}\n`);
+        }
+        this.writeFile(args[1] || '/sdcard/window_dump.xml', this.uiHierarchy);
+        return result(`UI hierchary dumped to: ${args[1] || '/sdcard/window_dump.xml'}\n`);
+      case 'screenrecord':
+        this.writeFile(args[args.length - 1], Buffer.from('fake-mp4'));
+        return result();
+      case 'logcat':
+        return this._logcat(args);
+      case 'pidof': {
+        const pids = args.filter(packageName => this.processes.has(packageName)).map(packageName => this.processes.get(packageName));
+        return pids.length > 0 ? result(`${pids.join(' ')}\n`) : result('', 1);
+      }
+      case 'pkill': {
+        const signal = (args.find(arg => arg.startsWith('-')) || '-TERM').slice(1);
+        const pattern = args.find(arg => !arg.startsWith('-'));
+        const matches = [...this.jobs.values()].filter(job => job.status === 'running' && job.command.includes(pattern));
+        matches.forEach(job => this.killJob(job.id, signal));
+        return result('', matches.length > 0 ? 0 : 1);
+      }
+      default:
+        return result('', 127, `/system/bin/sh: ${name}: inaccessible or not found\n`);
+    }
+  }
+
+  /** @private Handle `test` / `[` file checks */
+  _test(args) {
+    const [flag, target] = args;
+    const entry = this.fs.get(path.resolve(this.cwd, target || ''));
+    const checks = {
+      '-e': () => !!entry,
+      '-f': () => !!entry && entry.type === 'file',
+      '-d': () => !!entry && entry.type === 'dir'
+    };
+    return result('', checks[flag] && checks[flag]() ? 0 : 1);
+  }
+
+  /** @private Handle `getprop` for the properties set by the device profile or setprop */
+  _getprop(args) {
+    if (args.length === 0) {
+      return result([...this.properties].map(([name, value]) => `[${name}]: [${value}]\n`).join(''));
+    }
+    return result(`${this.properties.get(args[0]) || ''}\n`);
+  }
+
+  /** @private Handle `setprop <name> <value>`; restarting zygote brings back the launcher */
+  _setprop(args) {
+    const [name, value = ''] = args;
+    if (!name) {
+      return result('', 1, 'usage: setprop NAME VALUE\n');
+    }
+    if (name === 'ctl.restart' && value === 'zygote') {
+      this.setForeground(LAUNCHER_PACKAGE);
+      return result();
+    }
+    if (name.startsWith('ro.') && this.properties.has(name)) {
+      return result('', 1, `Failed to set property '${name}' to '${value}'.\n`);
+    }
+    this.properties.set(name, value);
+    return result();
+  }
+
+  /** @private Handle `svc wifi|data enable|disable` */
+  _svc(args) {
+    const keys = { wifi: 'wifi_on', data: 'mobile_data' };
+    const [service, verb] = args;
+    if (!keys[service] || !['enable', 'disable'].includes(verb)) {
+      return result('', 1, `Unknown command: svc ${args.join(' ')}\n`);
+    }
+    this.settings.global.set(keys[service], verb === 'enable' ? '1' : '0');
+    return result();
+  }
+
+  /** @private Handle `wm density [<dpi>|reset]` */
+  _wm(args) {
+    if (args[0] !== 'density') {
+      return result('', 1, `Error: unknown command '${args[0]}'\n`);
+    }
+    const forced = this.settings.secure;
+    if (args[1] === 'reset') {
+      forced.delete('display_density_forced');
+    } else if (args[1] !== undefined) {
+      if (!/^\d+$/.test(args[1])) {
+        return result('', 1, `Error: bad number ${args[1]}\n`);
+      }
+      forced.set('display_density_forced', args[1]);
+    } else {
+      const override = forced.has('display_density_forced') ? `Override density: ${forced.get('display_density_forced')}\n` : '';
+      return result(`Physical density: ${this.properties.get('ro.sf.lcd_density')}\n${override}`);
+    }
+    return result();
+  }
+
+  /** @private Handle `date`, printing the device clock as `date +%s` or in the default format */
+  _date(args) {
+    const now = new Date(Date.now() + this.clockOffsetMs);
+    if (args[0] === '+%s') {
+      return result(`${Math.floor(now.getTime() / 1000)}\n`);
+    }
+    return result(`${now.toUTCString()}\n`);
+  }
+
+  /** @private Handle `logcat`: -c clears the buffer; otherwise the buffer is printed from -T, as with -d */
+  _logcat(args) {
+    if (args.includes('-c')) {
+      this.logBuffer = [];
+      return result();
+    }
+    let entries = this.logBuffer;
+    const since = args.includes('-T') ? args[args.indexOf('-T') + 1] : null;
+    if (since !== null) {
+      // -T takes a count, or a time when it contains a dot
+      entries = since.includes('.')
+        ? entries.filter(entry => entry.time >= parseFloat(since) * 1000)
+        : entries.slice(-Number(since));
+    }
+    const year = args.includes('year');
+    return result(entries.map(entry => `${formatLogLine(entry, year)}\n`).join(''));
+  }
+
+  /** @private Handle `cat` */
+  _cat(args, stdin) {
+    if (args.length === 0) {
+      return result(stdin);
+    }
+    let stdout = '';
+    for (const file of args) {
+      const content = this.readFile(file);
+      if (content === null) {
+        return result(stdout, 1, `cat: ${file}: No such file or directory\n`);
+      }
+      stdout += content.toString();
+    }
+    return result(stdout);
+  }
+
+  /** @private Handle a fixed-string `grep` */
+  _grep(args, stdin) {
+    const pattern = args.find(arg => !arg.startsWith('-'));
+    const lines = stdin.split('\n').filter(line => line !== '' && line.includes(pattern));
+    return result(lines.map(line => `${line}\n`).join(''), lines.length > 0 ? 0 : 1);
+  }
+
+  /** @private Handle `ls -la` in toybox format */
+  _ls(args) {
+    const target = path.resolve(this.cwd, args.find(arg => !arg.startsWith('-')) || '.');
+    const entry = this.fs.get(target);
+    if (!entry) {
+      return result('', 1, `ls: ${target}: No such file or directory\n`);
+    }
+
+    const format = (name, item) => {
+      const stamp = item.mtime.toISOString();
+      const mode = item.type === 'dir' ? 'drwxrwx--x' : '-rw-rw----';
+      const size = item.type === 'dir' ? 3452 : item.content.length;
+      return `${mode} 1 root sdcard_rw ${size} ${stamp.slice(0, 10)} ${stamp.slice(11, 16)} ${name}\n`;
+    };
+
+    if (entry.type === 'file') {
+      return result(format(target, entry));
+    }
+
+    const children = [...this.fs.entries()]
+      .filter(([childPath]) => childPath !== target && path.dirname(childPath) === target)
+      .sort(([a], [b]) => a.localeCompare(b));
+    let stdout = `total ${children.length}\n`;
+    stdout += format('.', entry);
+    stdout += format('..', this.fs.get(path.dirname(target)));
+    children.forEach(([childPath, child]) => { stdout += format(path.basename(childPath), child); });
+    return result(stdout);
+  }
+
+  /** @private Handle `rm` */
+  _rm(args) {
+    const recursive = args.some(arg => /^-\w*r/i.test(arg));
+    const force = args.some(arg => /^-\w*f/.test(arg));
+    for (const target of args.filter(arg => !arg.startsWith('-'))) {
+      const resolved = path.resolve(this.cwd, target);
+      const entry = this.fs.get(resolved);
+      if (!entry) {
+        if (!force) return result('', 1, `rm: ${target}: No such file or directory\n`);
+        continue;
+      }
+      if (entry.type === 'dir' && !recursive) {
+        return result('', 1, `rm: ${target}: is a directory\n`);
+      }
+      for (const key of [...this.fs.keys()]) {
+        if (key === resolved || key.startsWith(`${resolved}/`)) {
+          this.fs.delete(key);
+        }
+      }
+    }
+    return result();
+  }
+
+  /** @private Handle the package manager (`pm`) */
+  _pm(args) {
+    const [sub, ...rest] = args;
+    const packageName = rest.find(arg => !arg.startsWith('-'));
+    switch (sub) {
+      case 'list': {
+        const filter = rest.slice(1).find(arg => !arg.startsWith('-')) || '';
+        const lines = [...this.packages.keys()].filter(pkg => pkg.includes(filter)).sort();
+        return result(lines.map(pkg => `package:${pkg}\n`).join(''));
+      }
+      case 'install-existing':
+        if (!this.store.has(packageName) && !this.packages.has(packageName)) {
+          return result('', 1, `Package ${packageName} doesn't exist\n`);
+        }
+        this.installPackage(packageName);
+        return result(`Package ${packageName} installed for user: 0\n`);
+      case 'uninstall':
+        if (!this.packages.delete(packageName)) {
+          return result('Failure [DELETE_FAILED_INTERNAL_ERROR]\n', 1);
+        }
+        if (this.currentApp === packageName) this.setForeground(LAUNCHER_PACKAGE);
+        return result('Success\n');
+      case 'clear':
+        if (!this.packages.has(packageName)) {
+          return result('Failed\n', 1);
+        }
+        return result('Success\n');
+      default:
+        return result('', 1, `Unknown command: ${sub}\n`);
+    }
+  }
+
+  /** @private Handle the activity manager (`am`) */
+  _am(args) {
+    const [sub, ...rest] = args;
+    if (sub === 'start') {
+      const component = rest[rest.indexOf('-n') + 1];
+      if (rest.includes('-n') && component) {
+        const packageName = component.split('/')[0];
+        if (!this.packages.has(packageName)) {
+          return result('', 1, `Error: Activity class {${component}} does not exist.\n`);
+        }
+        if (!this.processes.has(packageName)) this.startProcess(packageName);
+        this.setForeground(packageName, component.split('/')[1]);
+        return result(`Starting: Intent { cmp=${component} }\n`);
+      }
+
+      const data = rest.includes('-d') ? rest[rest.indexOf('-d') + 1] : '';
+      const market = /^market:\/\/details\?id=(.+)$/.exec(data);
+      if (market) {
+        this.setForeground(PLAY_STORE_PACKAGE);
+        if (this.store.has(market[1])) this.installPackage(market[1]);
+      }
+      return result(`Starting: Intent { dat=${data} }\n`);
+    }
+    if (sub === 'force-stop') {
+      if (this.currentApp === rest[0]) this.setForeground(LAUNCHER_PACKAGE);
+      this.processes.delete(rest[0]);
+      return result();
+    }
+    return result('', 1, `Error: unknown command '${sub}'\n`);
+  }
+
+  /** @private Handle `dumpsys <service>` (only the activity stack is simulated) */
+  _dumpsys(args) {
+    if (args[0] === 'input') {
+      const [naturalWidth, naturalHeight] = this.config.resolution || [1280, 720];
+      const [width, height] = this.rotation % 180 === 0 ? [naturalWidth, naturalHeight] : [naturalHeight, naturalWidth];
+      return result([
+        'INPUT MANAGER (dumpsys input)',
+        'Input Reader State:',
+        `  Viewport INTERNAL: displayId=0, orientation=${this.rotation / 90}, logicalFrame=[0, 0, ${width}, ${height}]`,
+        '  Device 3: virtio_input_multi_touch',
+        `      SurfaceOrientation: ${this.rotation / 90}`,
+        ''
+      ].join('\n'));
+    }
+    if (args[0] !== 'activity' || args[1] !== 'activities') {
+      return result('');
+    }
+    const record = `ActivityRecord{5e1a0c2 u0 ${this.resumedActivity()} t${this.packages.size}}`;
+    return result([
+      'ACTIVITY MANAGER ACTIVITIES (dumpsys activity activities)',
+      'Display #0 (activities from top to bottom):',
+      `    topResumedActivity=${record}`,
+      `  ResumedActivity: ${record}`,
+      ''
+    ].join('\n'));
+  }
+
+  /** @private Handle `settings get|put|delete|list <namespace> [key] [value]` */
+  _settings(args) {
+    const [verb, namespace, key, ...rest] = args;
+    const values = this.settings[namespace];
+    if (!values) {
+      return result('', 1, `Invalid namespace ${namespace}\n`);
+    }
+    switch (verb) {
+      case 'get':
+        return result(`${values.has(key) ? values.get(key) : 'null'}\n`);
+      case 'put':
+        values.set(key, rest.join(' '));
+        // With auto-rotate off, the display follows user_rotation (0-3, quarter turns)
+        if (namespace === 'system' && values.get('accelerometer_rotation') === '0') {
+          this.rotation = (parseInt(values.get('user_rotation'), 10) || 0) * 90;
+        }
+        return result();
+      case 'delete':
+        return result(`Deleted ${values.delete(key) ? 1 : 0} rows\n`);
+      case 'list':
+        return result([...values].map(([name, value]) => `${name}=${value}\n`).join(''));
+      default:
+        return result('', 1, `Invalid command: ${verb}\n`);
+    }
+  }
+
+  /** @private Handle `cmd <service>` */
+  _cmd(args) {
+    if (args[0] === 'package' && args[1] === 'resolve-activity') {
+      const packageName = args[args.length - 1];
+      const pkg = this.packages.get(packageName);
+      if (!pkg) {
+        return result('No activity found\n');
+      }
+      return result(`priority=0 preferredOrder=0 match=0x108000 specificIndex=-1 isDefault=false\n${packageName}/${pkg.activity}\n`);
+    }
+    const global = this.settings.global;
+    if (args[0] === 'connectivity' && args[1] === 'airplane-mode') {
+      if (args[2] === undefined) {
+        return result(`${global.get('airplane_mode_on') === '1' ? 'enabled' : 'disabled'}\n`);
+      }
+      global.set('airplane_mode_on', args[2] === 'enable' ? '1' : '0');
+      return result();
+    }
+    if (args[0] === 'uimode' && args[1] === 'night') {
+      // ui_night_mode stores 0 for auto, 1 for no and 2 for yes
+      const modes = ['auto', 'no', 'yes'];
+      if (args[2] === undefined) {
+        return result(`Night mode: ${modes[Number(this.settings.secure.get('ui_night_mode'))]}\n`);
+      }
+      if (!modes.includes(args[2])) {
+        return result('', 1, `Error: mode must be 'yes', 'no', or 'auto'\n`);
+      }
+      this.settings.secure.set('ui_night_mode', String(modes.indexOf(args[2])));
+      return result(`Night mode: ${args[2]}\n`);
+    }
+    if (args[0] === 'alarm' && args[1] === 'set-time') {
+      this.clockOffsetMs = Number(args[2]) - Date.now();
+      return result();
+    }
+    if (args[0] === 'alarm' && args[1] === 'set-timezone') {
+      this.properties.set('persist.sys.timezone', args[2]);
+      return result();
+    }
+    return result('', 1, `cmd: Can't find service: ${args[0]}\n`);
+  }
+}
+
+module.exports = FakeDevice;
@@ -0,0 +1,12 @@
+/**
+ * Fake Server Module for AirTap Android SDK
+ * Exports an in-process stand-in for the AirTap device API, for offline testing
+ */
+
+const FakeAirTapServer = require('./server');
+const FakeDevice = require('./device');
+
+module.exports = {
+  FakeAirTapServer,
+  FakeDevice
+};
@@ -0,0 +1,538 @@
+/**
+ * Fake AirTap Server for AirTap Android SDK
+ * In-process stand-in for the AirTap device API, for offline testing
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const FakeDevice = require('./device');
+
+/**
+ * Copy an object without some of its fields
+ * @param {Object} object - Source object
+ * @param {Array<string>} keys - Fields to leave out
+ * @returns {Object} The copy
+ */
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Public fields of a stored snapshot
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {Object} Snapshot of the form { name, device_id, created_at, size_bytes }
+ */
+function describeSnapshot(snapshot) {
+  return {
+    name: snapshot.name,
+    device_id: snapshot.device_id,
+    created_at: snapshot.created_at,
+    size_bytes: snapshot.size_bytes
+  };
+}
+
+class FakeAirTapServer {
+  /**
+   * Create a new fake server
+   * @param {Object} options - Server options
+   * @param {string} [options.apiKey] - API key to require in the Authorization header (any key is accepted if omitted)
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+   * @param {Object} [options.deviceDefaults] - Options applied to every provisioned FakeDevice
+   * @param {boolean} [options.legacyShell=false] - Answer shell commands with their output only, without
+   *   stdout, stderr or exit_code, like older API versions
+   */
+  constructor({ apiKey = null, host = '127.0.0.1', port = 0, deviceDefaults = {}, legacyShell = false } = {}) {
+    this.apiKey = apiKey;
+    this.host = host;
+    this.port = port;
+    this.deviceDefaults = deviceDefaults;
+    this.legacyShell = legacyShell;
+
+    this.devices = new Map();
+    this.streams = new Map();
+    this.snapshots = new Map();
+    this.requests = [];
+    this._faults = [];
+    this._idempotentReplies = new Map();
+    this._nextDeviceId = 1;
+    this._server = null;
+  }
+
+  /**
+   * Base URL to pass to AndroidSandbox as base_url
+   * @type {string}
+   */
+  get baseUrl() {
+    return `http://${this.host}:${this.port}/v1`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start() {
+    if (this._server) {
+      return this.baseUrl;
+    }
+
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, this.host, resolve);
+    });
+    this.port = this._server.address().port;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening and drop all open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._server) {
+      return;
+    }
+
+    const server = this._server;
+    this._server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Provision a new fake device
+   * @param {Object} [options] - Provisioning payload (merged over deviceDefaults)
+   * @returns {FakeDevice} The new device
+   */
+  createDevice(options = {}) {
+    const id = `fake-device-${this._nextDeviceId++}`;
+    const device = new FakeDevice(id, { ...this.deviceDefaults, ...options });
+    if (options.from_snapshot) {
+      device.restoreState(this.snapshots.get(options.from_snapshot).state);
+    }
+    this.devices.set(id, device);
+    return device;
+  }
+
+  /**
+   * Make matching requests fail, to exercise client retry behaviour
+   * @param {Object} fault - Fault description
+   * @param {string} [fault.method] - HTTP method to match (any if omitted)
+   * @param {string|RegExp} [fault.path] - Path below /v1 to match (any if omitted)
+   * @param {number} [fault.status=503] - Status code to reply with
+   * @param {number} [fault.times=1] - Number of requests to fail
+   * @param {number} [fault.retryAfter] - Retry-After header value in seconds
+   * @param {boolean} [fault.afterHandling=false] - Apply the request before failing, as if the response was lost
+   */
+  injectFault({ method = null, path = null, status = 503, times = 1, retryAfter = null, afterHandling = false } = {}) {
+    this._faults.push({ method, path, status, times, retryAfter, afterHandling });
+  }
+
+  /**
+   * Find and consume an injected fault matching a request
+   * @private
+   * @returns {Object|null} The fault, or null if none matches
+   */
+  _takeFault(method, pathname) {
+    const route = pathname.replace(/^\/v1/, '');
+    const fault = this._faults.find(candidate =>
+      (!candidate.method || candidate.method === method) &&
+      (!candidate.path || (candidate.path instanceof RegExp ? candidate.path.test(route) : candidate.path === route))
+    );
+    if (!fault) {
+      return null;
+    }
+    if (--fault.times <= 0) {
+      this._faults.splice(this._faults.indexOf(fault), 1);
+    }
+    return fault;
+  }
+
+  /**
+   * Run batched input steps in order. Pauses are not actually waited for.
+   * @private
+   * @param {FakeDevice} device - Target device
+   * @param {Array<Object>} steps - Steps of the form { type, ... }
+   * @param {boolean} stopOnError - Skip the remaining steps after a failed step
+   * @returns {Array<Object>} Results of the form { status, duration_ms, error }
+   */
+  _runBatch(device, steps, stopOnError) {
+    let failed = false;
+    return steps.map(step => {
+      if (failed && stopOnError) {
+        return { status: 'skipped' };
+      }
+      const { type, duration_ms = 0 } = step;
+      const payload = omit(step, ['type', 'name', 'duration_ms']);
+      const error = type === 'wait' ? null : device.inputError(type, payload);
+      if (error) {
+        failed = true;
+        return { status: 'error', duration_ms: 0, error };
+      }
+      if (type !== 'wait') {
+        device.recordInput(type, payload);
+      }
+      return { status: 'ok', duration_ms };
+    });
+  }
+
+  /**
+   * Handle an HTTP request
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+    const body = await this._readBody(req);
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const send = (status, data = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'X-Request-Id': `req-${this.requests.length}` });
+      res.end(JSON.stringify(data));
+    };
+
+    if (this.apiKey && req.headers.authorization !== `Bearer ${this.apiKey}`) {
+      return send(401, { error: 'Invalid API key' });
+    }
+    if (body === undefined) {
+      return send(400, { error: 'Malformed JSON body' });
+    }
+
+    const fault = this._takeFault(req.method, url.pathname);
+    const sendFault = () => {
+      if (fault.retryAfter !== null) {
+        res.setHeader('Retry-After', String(fault.retryAfter));
+      }
+      return send(fault.status, { error: 'Injected fault' });
+    };
+    if (fault && !fault.afterHandling) {
+      return sendFault();
+    }
+
+    // Replay the original reply for a repeated idempotency key
+    const idempotencyKey = req.headers['idempotency-key'];
+    const replayKey = idempotencyKey && `${req.method} ${url.pathname} ${idempotencyKey}`;
+    let reply = replayKey ? this._idempotentReplies.get(replayKey) : null;
+
+    if (!reply) {
+      try {
+        reply = this._route(req.method, url, body) ||
+          { status: 404, data: { error: `No route for ${req.method} ${url.pathname}` } };
+      } catch (error) {
+        reply = { status: 500, data: { error: error.message } };
+      }
+      if (replayKey && reply.status < 500) {
+        this._idempotentReplies.set(replayKey, reply);
+      }
+    }
+
+    if (fault) {
+      return sendFault();
+    }
+    return send(reply.status, reply.data);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   * @returns {Promise<Object|undefined>} Parsed body ({} if empty, undefined if malformed)
+   */
+  _readBody(req) {
+    return new Promise(resolve => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        if (!raw) return resolve({});
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          resolve(undefined);
+        }
+      });
+    });
+  }
+
+  /**
+   * Look up a live device
+   * @private
+   * @returns {FakeDevice|null} The device, or null if unknown or released
+   */
+  _device(id) {
+    const device = this.devices.get(id);
+    return device && !device.released ? device : null;
+  }
+
+  /**
+   * Handle /devices/:id/jobs requests
+   * @private
+   * @returns {Object|null} Reply of the form { status, data }, or null if no route matched
+   */
+  _routeJob(method, device, jobId, action, url, body) {
+    const summary = job => ({
+      job_id: job.id,
+      command: job.command,
+      status: job.status,
+      exit_code: job.exitCode,
+      started_at: job.startedAt
+    });
+
+    if (!jobId) {
+      if (method === 'POST') {
+        const job = device.spawn(body.command || '', { env: body.env, cwd: body.cwd });
+        return { status: 201, data: summary(job) };
+      }
+      if (method === 'GET') {
+        return { status: 200, data: { jobs: [...device.jobs.values()].map(summary) } };
+      }
+      return null;
+    }
+
+    const job = device.jobs.get(jobId);
+    if (!job) {
+      return { status: 404, data: { error: `Job ${jobId} not found` } };
+    }
+    if (method === 'GET' && !action) {
+      return { status: 200, data: summary(job) };
+    }
+    if (method === 'GET' && action === 'output') {
+      const cursor = parseInt(url.searchParams.get('cursor') || '0', 10);
+      return { status: 200, data: { ...summary(job), chunks: job.chunks.slice(cursor), cursor: job.chunks.length } };
+    }
+    if (method === 'POST' && action === 'stdin') {
+      if (!device.writeJobInput(jobId, body.data || '', !!body.eof)) {
+        return { status: 409, data: { error: `Job ${jobId} is not running` } };
+      }
+      return { status: 200, data: summary(job) };
+    }
+    if (method === 'POST' && action === 'kill') {
+      device.killJob(jobId, body.signal);
+      return { status: 200, data: summary(job) };
+    }
+    return null;
+  }
+
+  /**
+   * Dispatch a request to its handler
+   * @private
+   * @returns {Object|null} Reply of the form { status, data }, or null if no route matched
+   */
+  _route(method, url, body) {
+    const parts = url.pathname.replace(/^\/v1/, '').split('/').filter(Boolean);
+    const ok = (data = {}, status = 200) => ({ status, data });
+    const notFound = (error) => ({ status: 404, data: { error } });
+
+    if (parts[0] === 'devices') {
+      if (parts.length === 1 && method === 'POST') {
+        if (body.from_snapshot && !this.snapshots.has(body.from_snapshot)) {
+          return notFound(`Snapshot ${body.from_snapshot} not found`);
+        }
+        const device = this.createDevice(body);
+        return ok(device.describe(), 201);
+      }
+      if (parts.length === 1 && method === 'GET') {
+        const live = [...this.devices.values()].filter(device => !device.released);
+        return ok({ devices: live.map(device => device.describe()) });
+      }
+
+      const device = this._device(parts[1]);
+      if (!device) {
+        return notFound(`Device ${parts[1]} not found`);
+      }
+      if (parts.length === 2 && method === 'GET') {
+        return ok(device.describe());
+      }
+      const action = parts.slice(2).join('/');
+
+      if (method === 'POST' && action === 'input/batch') {
+        return ok({ results: this._runBatch(device, body.steps || [], body.stop_on_error !== false) });
+      }
+      if (method === 'POST' && parts[2] === 'input' && parts.length === 4) {
+        const error = device.inputError(parts[3], body);
+        if (error) {
+          return { status: 400, data: { error } };
+        }
+        device.recordInput(parts[3], body);
+        return ok();
+      }
+      if (method === 'POST' && action === 'shell') {
+        const { stdout, stderr, exitCode } = device.shell(body.command || '', { env: body.env, cwd: body.cwd });
+        if (this.legacyShell) {
+          return ok({ output: stdout });
+        }
+        return ok({ output: stdout, stdout, stderr, exit_code: exitCode });
+      }
+      if (action === 'clipboard') {
+        if (method === 'GET') {
+          return ok({ text: device.clipboard });
+        }
+        if (method === 'POST') {
+          device.clipboard = String(body.text);
+          return ok();
+        }
+        if (method === 'DELETE') {
+          device.clipboard = null;
+          return ok();
+        }
+      }
+      if (action === 'location') {
+        if (method === 'GET') {
+          return ok({ location: device.location });
+        }
+        if (method === 'POST') {
+          const { latitude, longitude } = body;
+          if (typeof latitude !== 'number' || Math.abs(latitude) > 90 || typeof longitude !== 'number' || Math.abs(longitude) > 180) {
+            return { status: 400, data: { error: 'latitude and longitude are required' } };
+          }
+          device.location = { altitude: null, accuracy: null, speed: null, bearing: null, ...body };
+          device.locationHistory.push(device.location);
+          return ok();
+        }
+      }
+      if (action === 'network/conditions') {
+        if (method === 'GET') {
+          return ok({ conditions: device.networkConditions });
+        }
+        if (method === 'POST') {
+          device.networkConditions = body;
+          return ok();
+        }
+        if (method === 'DELETE') {
+          device.networkConditions = null;
+          return ok();
+        }
+      }
+      if (method === 'POST' && action === 'network/capture') {
+        if (device.capture) {
+          return { status: 409, data: { error: 'A capture is already running' } };
+        }
+        device.capture = { id: `capture-${device._nextCaptureId++}`, options: body, entries: [] };
+        return ok({ capture_id: device.capture.id });
+      }
+      if (method === 'DELETE' && action.startsWith('network/capture/')) {
+        if (!device.capture || action !== `network/capture/${device.capture.id}`) {
+          return notFound('Capture not found');
+        }
+        const { entries } = device.capture;
+        device.capture = null;
+        return ok({ entries });
+      }
+      if (method === 'POST' && action === 'heartbeat') {
+        device.heartbeats++;
+        return ok({ device_id: device.id, status: 'running' });
+      }
+      if (method === 'POST' && action === 'snapshots') {
+        const snapshot = {
+          name: body.name,
+          device_id: device.id,
+          created_at: new Date().toISOString(),
+          state: device.captureState()
+        };
+        snapshot.size_bytes = [...snapshot.state.fs.values()]
+          .reduce((size, entry) => size + (entry.content ? entry.content.length : 0), 0);
+        this.snapshots.set(body.name, snapshot);
+        return ok(describeSnapshot(snapshot), 201);
+      }
+      if (method === 'POST' && action === 'restore') {
+        const snapshot = this.snapshots.get(body.snapshot);
+        if (!snapshot) {
+          return notFound(`Snapshot ${body.snapshot} not found`);
+        }
+        device.restoreState(snapshot.state);
+        return ok(describeSnapshot(snapshot));
+      }
+      if (parts[2] === 'jobs') {
+        return this._routeJob(method, device, parts[3], parts[4], url, body);
+      }
+      if (method === 'GET' && action === 'screenshot') {
+        return ok({ image_data: device.nextScreenshot().toString('base64') });
+      }
+      if (method === 'GET' && action === 'current_app') {
+        return ok({ package_name: device.currentApp });
+      }
+      if (method === 'POST' && action === 'release') {
+        device.released = true;
+        return ok();
+      }
+      return null;
+    }
+
+    if (parts[0] === 'snapshots') {
+      if (parts.length === 1 && method === 'GET') {
+        return ok({ snapshots: [...this.snapshots.values()].map(describeSnapshot) });
+      }
+      const snapshot = this.snapshots.get(parts[1]);
+      if (!snapshot) {
+        return notFound(`Snapshot ${parts[1]} not found`);
+      }
+      if (parts.length === 2 && method === 'GET') {
+        return ok(describeSnapshot(snapshot));
+      }
+      if (parts.length === 2 && method === 'DELETE') {
+        this.snapshots.delete(parts[1]);
+        return ok();
+      }
+      return null;
+    }
+
+    if (parts[0] === 'files') {
+      const deviceId = method === 'GET' ? url.searchParams.get('deviceId') : body.deviceId;
+      const filePath = method === 'GET' ? url.searchParams.get('path') : body.path;
+      const device = this._device(deviceId);
+      if (!device) {
+        return notFound(`Device ${deviceId} not found`);
+      }
+
+      if (method === 'POST' && parts[1] === 'push') {
+        device.writeFile(filePath, Buffer.from(body.content || '', 'base64'));
+        return ok();
+      }
+      if (method === 'GET' && parts[1] === 'pull') {
+        const content = device.readFile(filePath);
+        if (content === null) {
+          return notFound(`File ${filePath} not found`);
+        }
+        return ok({ content: content.toString('base64') });
+      }
+      return null;
+    }
+
+    if (parts[0] === 'stream') {
+      if (parts.length === 1 && method === 'POST') {
+        if (!this._device(body.deviceId)) {
+          return notFound(`Device ${body.deviceId} not found`);
+        }
+        const stream = {
+          deviceId: body.deviceId,
+          quality: body.quality,
+          audio: body.audio,
+          startTime: new Date().toISOString(),
+          viewers: 0
+        };
+        this.streams.set(body.streamId, stream);
+        return ok({ streamUrl: `${this.baseUrl}/stream/${body.streamId}/view` });
+      }
+
+      const stream = this.streams.get(parts[1]);
+      if (!stream) {
+        return notFound(`Stream ${parts[1]} not found`);
+      }
+      if (method === 'GET' && parts[2] === 'status') {
+        return ok({ active: true, viewers: stream.viewers, startTime: stream.startTime, quality: stream.quality });
+      }
+      if (method === 'PUT' && parts.length === 2) {
+        Object.assign(stream, body);
+        return ok();
+      }
+      if (method === 'DELETE' && parts.length === 2) {
+        this.streams.delete(parts[1]);
+        return ok();
+      }
+      return null;
+    }
+
+    return null;
+  }
+}
+
+module.exports = FakeAirTapServer;
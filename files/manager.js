@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { sh } = require('../shell');
 const { FileError } = require('../exceptions');
 
 class FileManager {
@@ -23,20 +24,21 @@ class FileManager {
    */
   async listFiles(remotePath) {
     try {
-      const output = await this.sandbox.executeShellCommand(`ls -la ${remotePath}`);
-      const lines = output.split('\n').filter(line => line.trim() !== '');
+      const { stdout } = await this.sandbox.exec(sh`ls -la -- ${remotePath}`, { throw_on_error: true });
+      const lines = stdout.split('\n').filter(line => line.trim() !== '' && !line.startsWith('total '));
       
-      // Skip the total line and parse the rest
-      const files = lines.slice(1).map(line => {
+      const files = lines.map(line => {
         const parts = line.split(/\s+/);
-        // Format: permissions, links, owner, group, size, date1, date2, time/year, name
+        // Format: permissions, links, owner, group, size, date..., name
+        // toybox prints "YYYY-MM-DD HH:MM"; GNU-style listings print "Mon DD HH:MM|YYYY"
+        const dateFields = /^\d{4}-\d{2}-\d{2}$/.test(parts[5]) ? 2 : 3;
         return {
           permissions: parts[0],
           owner: parts[2],
           group: parts[3],
           size: parseInt(parts[4], 10),
-          date: `${parts[5]} ${parts[6]} ${parts[7]}`,
-          name: parts.slice(8).join(' ')
+          date: parts.slice(5, 5 + dateFields).join(' '),
+          name: parts.slice(5 + dateFields).join(' ')
         };
       });
       
@@ -110,8 +112,9 @@ class FileManager {
    */
   async deleteFile(remotePath) {
     try {
-      await this.sandbox.executeShellCommand(`rm -f ${remotePath}`);
-      return true;
+      const { exitCode } = await this.sandbox.exec(sh`rm -f -- ${remotePath}`);
+      // Older API versions report no exit code, so check the result instead
+      return exitCode === null ? !await this.fileExists(remotePath) : exitCode === 0;
     } catch (error) {
       throw new FileError(`Failed to delete file ${remotePath}: ${error.message}`, error);
     }
@@ -124,8 +127,8 @@ class FileManager {
    */
   async createDirectory(remotePath) {
     try {
-      await this.sandbox.executeShellCommand(`mkdir -p ${remotePath}`);
-      return true;
+      const { exitCode } = await this.sandbox.exec(sh`mkdir -p -- ${remotePath}`);
+      return exitCode === null ? await this.fileExists(remotePath) : exitCode === 0;
     } catch (error) {
       throw new FileError(`Failed to create directory ${remotePath}: ${error.message}`, error);
     }
@@ -138,8 +141,8 @@ class FileManager {
    */
   async fileExists(remotePath) {
     try {
-      const output = await this.sandbox.executeShellCommand(`[ -e ${remotePath} ] && echo "exists" || echo "not exists"`);
-      return output.trim() === 'exists';
+      const { stdout, exitCode } = await this.sandbox.exec(sh`[ -e ${remotePath} ] && echo exists`);
+      return exitCode === null ? stdout.trim() === 'exists' : exitCode === 0;
     } catch (error) {
       throw new FileError(`Failed to check if file ${remotePath} exists: ${error.message}`, error);
     }
@@ -0,0 +1,272 @@
+/**
+ * Gesture Builder for AirTap Android SDK
+ * Describes multi-touch gestures as timed down/move/up events per pointer
+ */
+
+const { Length } = require('../screen/units');
+const { GestureError } = require('../exceptions');
+
+// Android reports at most 10 simultaneous pointers
+const MAX_POINTERS = 10;
+
+/**
+ * Check that a coordinate is usable
+ * @param {string} name - Coordinate name for the error message
+ * @param {*} value - Value to check
+ * @throws {GestureError} If the value is not a non-negative finite number
+ */
+function checkCoordinate(name, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new GestureError(`Invalid ${name} coordinate ${JSON.stringify(value)}: expected a non-negative number`);
+  }
+}
+
+/**
+ * Check that a duration is usable
+ * @param {*} value - Value to check
+ * @throws {GestureError} If the value is not a non-negative finite number
+ */
+function checkDuration(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new GestureError(`Invalid duration ${JSON.stringify(value)}: expected a non-negative number of milliseconds`);
+  }
+}
+
+/**
+ * The timed path of one finger. Each pointer keeps its own clock, starting at 0 when the
+ * gesture starts; the device interpolates linearly between consecutive events.
+ */
+class Pointer {
+  /**
+   * Create a pointer
+   * @param {number} id - Pointer ID, unique within the gesture
+   * @param {Function} [toPixels] - Resolves an (x, y) pair in any unit to [x, y] in pixels
+   */
+  constructor(id, toPixels = (x, y) => [x, y]) {
+    this.id = id;
+    this.toPixels = toPixels;
+    this.events = [];
+    this.timeMs = 0;
+    this.isDown = false;
+    this.position = null;
+  }
+
+  /**
+   * Append an event at the pointer's current time
+   * @private
+   * @param {string} action - "down", "move" or "up"
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  _push(action, x, y) {
+    this.events.push({ action, x, y, time_ms: Math.round(this.timeMs) });
+    this.position = [x, y];
+  }
+
+  /**
+   * Touch the screen
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Pointer} This pointer, for chaining
+   * @throws {GestureError} If the pointer is already down
+   */
+  down(x, y) {
+    if (this.isDown) {
+      throw new GestureError(`Pointer ${this.id} is already down`);
+    }
+    [x, y] = this.toPixels(x, y);
+    checkCoordinate('x', x);
+    checkCoordinate('y', y);
+    this.isDown = true;
+    this._push('down', x, y);
+    return this;
+  }
+
+  /**
+   * Move to a point, arriving after a duration
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @param {number} [durationMs=0] - Time taken by the move
+   * @returns {Pointer} This pointer, for chaining
+   * @throws {GestureError} If the pointer is not down
+   */
+  moveTo(x, y, durationMs = 0) {
+    if (!this.isDown) {
+      throw new GestureError(`Pointer ${this.id} must be down to move`);
+    }
+    [x, y] = this.toPixels(x, y);
+    checkCoordinate('x', x);
+    checkCoordinate('y', y);
+    checkDuration(durationMs);
+    // After a hold, anchor the start of the move so the finger stays put until then
+    const last = this.events[this.events.length - 1];
+    if (durationMs > 0 && last.time_ms < Math.round(this.timeMs)) {
+      this._push('move', this.position[0], this.position[1]);
+    }
+    this.timeMs += durationMs;
+    this._push('move', x, y);
+    return this;
+  }
+
+  /**
+   * Move through a list of points at constant speed
+   * @param {Array<Array<number|Length>>} points - Points as [x, y] pairs
+   * @param {number} durationMs - Time taken by the whole path
+   * @returns {Pointer} This pointer, for chaining
+   * @throws {GestureError} If the pointer is not down or the path is empty
+   */
+  moveAlong(points, durationMs) {
+    if (!Array.isArray(points) || points.length === 0) {
+      throw new GestureError('A path needs at least one point');
+    }
+    checkDuration(durationMs);
+    points = points.map(([x, y]) => this.toPixels(x, y));
+
+    const lengths = [];
+    let from = this.position || points[0];
+    points.forEach(point => {
+      lengths.push(Math.hypot(point[0] - from[0], point[1] - from[1]));
+      from = point;
+    });
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+
+    // Time is spread by segment length; a path of identical points spreads it evenly
+    points.forEach(([x, y], index) => {
+      const share = total > 0 ? lengths[index] / total : 1 / points.length;
+      this.moveTo(x, y, durationMs * share);
+    });
+    return this;
+  }
+
+  /**
+   * Let time pass without an event: holds the touch if down, delays the next touch if up
+   * @param {number} durationMs - Time to wait
+   * @returns {Pointer} This pointer, for chaining
+   */
+  wait(durationMs) {
+    checkDuration(durationMs);
+    this.timeMs += durationMs;
+    return this;
+  }
+
+  /**
+   * Lift the finger
+   * @returns {Pointer} This pointer, for chaining
+   * @throws {GestureError} If the pointer is not down
+   */
+  up() {
+    if (!this.isDown) {
+      throw new GestureError(`Pointer ${this.id} is not down`);
+    }
+    this.isDown = false;
+    this._push('up', this.position[0], this.position[1]);
+    return this;
+  }
+}
+
+class Gesture {
+  /**
+   * Create a gesture. Gestures created with sandbox.gesture() can be performed directly;
+   * others are performed with sandbox.performGesture(gesture).
+   * @param {Object} [sandbox] - AndroidSandbox performing the gesture
+   */
+  constructor(sandbox = null) {
+    this.sandbox = sandbox;
+    this.pointers = [];
+  }
+
+  /**
+   * Get a pointer by ID, adding it if needed
+   * @param {number} [id] - Pointer ID (defaults to a new pointer)
+   * @returns {Pointer} The pointer
+   * @throws {GestureError} If the gesture already has the maximum number of pointers
+   */
+  pointer(id = null) {
+    if (id === null) {
+      id = Math.max(-1, ...this.pointers.map(pointer => pointer.id)) + 1;
+    }
+    const existing = this.pointers.find(pointer => pointer.id === id);
+    if (existing) {
+      return existing;
+    }
+    if (this.pointers.length >= MAX_POINTERS) {
+      throw new GestureError(`A gesture supports at most ${MAX_POINTERS} pointers`);
+    }
+    const pointer = new Pointer(id, (x, y) => this._toPixels(x, y));
+    this.pointers.push(pointer);
+    return pointer;
+  }
+
+  /**
+   * Resolve a point to pixels. Units other than pixels need the screen of a sandbox.
+   * @private
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Array<number>} [x, y] in pixels
+   * @throws {GestureError} If the point uses units and the gesture is not bound to a sandbox
+   */
+  _toPixels(x, y) {
+    if (this.sandbox) {
+      return this.sandbox.screen.toPixels(x, y);
+    }
+    if (x instanceof Length || y instanceof Length) {
+      throw new GestureError('Coordinates given with norm(), dp() or px() need the device screen; build the gesture with sandbox.gesture()');
+    }
+    return [x, y];
+  }
+
+  /**
+   * Total duration of the gesture
+   * @type {number}
+   */
+  get durationMs() {
+    return Math.max(0, ...this.pointers.map(pointer => pointer.timeMs));
+  }
+
+  /**
+   * Check that the gesture can be performed
+   * @throws {GestureError} If a pointer has no events or is still down
+   */
+  validate() {
+    if (this.pointers.length === 0) {
+      throw new GestureError('A gesture needs at least one pointer');
+    }
+    this.pointers.forEach(pointer => {
+      if (pointer.events.length === 0) {
+        throw new GestureError(`Pointer ${pointer.id} has no events`);
+      }
+      if (pointer.isDown) {
+        throw new GestureError(`Pointer ${pointer.id} is still down; end its path with up()`);
+      }
+    });
+  }
+
+  /**
+   * API payload describing the gesture
+   * @returns {Object} Payload of the form { pointers: [{ id, events: [{ action, x, y, time_ms }] }] }
+   * @throws {GestureError} If the gesture is invalid
+   */
+  toJSON() {
+    this.validate();
+    return {
+      pointers: this.pointers.map(pointer => ({ id: pointer.id, events: pointer.events.map(event => ({ ...event })) }))
+    };
+  }
+
+  /**
+   * Perform the gesture on the sandbox it was created from
+   * @returns {Promise<void>}
+   * @throws {GestureError} If the gesture is invalid or not bound to a sandbox
+   */
+  async perform() {
+    if (!this.sandbox) {
+      throw new GestureError('Gesture is not bound to a sandbox; use sandbox.performGesture(gesture)');
+    }
+    return this.sandbox.performGesture(this);
+  }
+}
+
+module.exports = {
+  Gesture,
+  Pointer
+};
@@ -0,0 +1,13 @@
+/**
+ * Gesture Module for AirTap Android SDK
+ * Exports the gesture builder and the common gesture presets
+ */
+
+const { Gesture, Pointer } = require('./gesture');
+const presets = require('./presets');
+
+module.exports = {
+  Gesture,
+  Pointer,
+  presets
+};
@@ -0,0 +1,177 @@
+/**
+ * Gesture Presets for AirTap Android SDK
+ * Common gestures built with the gesture builder
+ */
+
+const { Gesture } = require('./gesture');
+
+const TAP_MS = 50;
+const DOUBLE_TAP_GAP_MS = 100;
+
+// Fingers never start closer than this to the center of a pinch
+const MIN_PINCH_OFFSET = 20;
+
+// Largest rotation step between two move events, in degrees
+const ROTATE_STEP_DEGREES = 15;
+
+/**
+ * Point at a distance and angle from a center
+ * @param {Array<number>} center - Center [x, y]
+ * @param {number} radius - Distance from the center
+ * @param {number} degrees - Angle, clockwise from the positive x axis
+ * @returns {Array<number>} Rounded [x, y]
+ */
+function around(center, radius, degrees) {
+  const radians = degrees * Math.PI / 180;
+  return [Math.round(center[0] + radius * Math.cos(radians)), Math.round(center[1] + radius * Math.sin(radians))];
+}
+
+/**
+ * Single tap
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Gesture} The gesture
+ */
+function tap(x, y) {
+  const gesture = new Gesture();
+  gesture.pointer().down(x, y).wait(TAP_MS).up();
+  return gesture;
+}
+
+/**
+ * Two quick taps at the same point
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Gesture} The gesture
+ */
+function doubleTap(x, y) {
+  const gesture = new Gesture();
+  gesture.pointer()
+    .down(x, y).wait(TAP_MS).up()
+    .wait(DOUBLE_TAP_GAP_MS)
+    .down(x, y).wait(TAP_MS).up();
+  return gesture;
+}
+
+/**
+ * Touch and hold
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} durationMs - Hold time
+ * @returns {Gesture} The gesture
+ */
+function longPress(x, y, durationMs) {
+  const gesture = new Gesture();
+  gesture.pointer().down(x, y).wait(durationMs).up();
+  return gesture;
+}
+
+/**
+ * One-finger swipe in a straight line
+ * @param {Array<number>} start - Starting [x, y]
+ * @param {Array<number>} end - Ending [x, y]
+ * @param {number} durationMs - Duration of the move
+ * @returns {Gesture} The gesture
+ */
+function swipe(start, end, durationMs) {
+  const gesture = new Gesture();
+  gesture.pointer().down(start[0], start[1]).moveTo(end[0], end[1], durationMs).up();
+  return gesture;
+}
+
+/**
+ * Two fingers moving apart (zoom in) or together (zoom out) on a horizontal line
+ * @param {Array<number>} center - Center [x, y] of the pinch
+ * @param {number} distance - Change of the distance between the fingers, in pixels
+ * @param {string} direction - "out" to move the fingers apart, "in" to bring them together
+ * @param {number} durationMs - Duration of the move
+ * @returns {Gesture} The gesture
+ */
+function pinch(center, distance, direction, durationMs) {
+  const near = MIN_PINCH_OFFSET;
+  const far = MIN_PINCH_OFFSET + Math.round(distance / 2);
+  const [from, to] = direction === 'out' ? [near, far] : [far, near];
+
+  const gesture = new Gesture();
+  [0, 180].forEach(angle => {
+    const start = around(center, from, angle);
+    const end = around(center, to, angle);
+    gesture.pointer().down(start[0], start[1]).moveTo(end[0], end[1], durationMs).up();
+  });
+  return gesture;
+}
+
+/**
+ * Two fingers on opposite sides of a circle, turning around its center
+ * @param {Array<number>} center - Center [x, y] of the rotation
+ * @param {number} degrees - Rotation angle; positive is clockwise on screen
+ * @param {number} radius - Distance of each finger from the center
+ * @param {number} durationMs - Duration of the rotation
+ * @returns {Gesture} The gesture
+ */
+function rotate(center, degrees, radius, durationMs) {
+  const steps = Math.max(1, Math.ceil(Math.abs(degrees) / ROTATE_STEP_DEGREES));
+
+  const gesture = new Gesture();
+  [0, 180].forEach(offset => {
+    const path = [];
+    for (let step = 1; step <= steps; step++) {
+      path.push(around(center, radius, offset + degrees * step / steps));
+    }
+    const start = around(center, radius, offset);
+    gesture.pointer().down(start[0], start[1]).moveAlong(path, durationMs).up();
+  });
+  return gesture;
+}
+
+/**
+ * Two parallel fingers swiping together
+ * @param {Array<number>} start - Starting [x, y] between the fingers
+ * @param {Array<number>} end - Ending [x, y] between the fingers
+ * @param {number} durationMs - Duration of the move
+ * @param {number} spacing - Distance between the fingers
+ * @returns {Gesture} The gesture
+ */
+function twoFingerSwipe(start, end, durationMs, spacing) {
+  // Fingers sit side by side, perpendicular to the direction of the swipe
+  const direction = Math.atan2(end[1] - start[1], end[0] - start[0]) * 180 / Math.PI;
+
+  const gesture = new Gesture();
+  [90, -90].forEach(side => {
+    const from = around(start, spacing / 2, direction + side);
+    const to = around(end, spacing / 2, direction + side);
+    gesture.pointer().down(from[0], from[1]).moveTo(to[0], to[1], durationMs).up();
+  });
+  return gesture;
+}
+
+/**
+ * Long press to pick an item up, move it, and hold briefly before dropping it
+ * @param {Array<number>} start - [x, y] of the item
+ * @param {Array<number>} end - [x, y] of the drop target
+ * @param {number} holdMs - Hold time before moving
+ * @param {number} durationMs - Duration of the move
+ * @param {number} dropDelayMs - Hold time over the target before releasing
+ * @returns {Gesture} The gesture
+ */
+function dragAndDrop(start, end, holdMs, durationMs, dropDelayMs) {
+  const gesture = new Gesture();
+  gesture.pointer()
+    .down(start[0], start[1])
+    .wait(holdMs)
+    .moveTo(end[0], end[1], durationMs)
+    .wait(dropDelayMs)
+    .up();
+  return gesture;
+}
+
+module.exports = {
+  tap,
+  doubleTap,
+  longPress,
+  swipe,
+  pinch,
+  rotate,
+  twoFingerSwipe,
+  dragAndDrop
+};
@@ -4,8 +4,35 @@
  * Main entry point for the AirTap Android SDK.
  */
 
-const { AndroidSandbox } = require('./src/sandbox');
+const { AndroidSandbox } = require('./sandbox');
+const { ApiClient } = require('./api');
+const { DevicePool } = require('./pool');
+const { DEVICE_PRESETS } = require('./profiles');
+const { NETWORK_PRESETS } = require('./network');
+const { Gesture } = require('./gesture');
+const { ScreenGeometry, norm, dp, px } = require('./screen');
+const { Keys, MetaState } = require('./keys');
+const { LogLevel } = require('./logs');
+const { ActionSequence } = require('./batch');
+const { quote, sh } = require('./shell');
+const exceptions = require('./exceptions');
 
 module.exports = {
-  AndroidSandbox
+  AndroidSandbox,
+  ApiClient,
+  DevicePool,
+  DEVICE_PRESETS,
+  NETWORK_PRESETS,
+  Gesture,
+  ScreenGeometry,
+  norm,
+  dp,
+  px,
+  Keys,
+  MetaState,
+  LogLevel,
+  ActionSequence,
+  quote,
+  sh,
+  ...exceptions
 };
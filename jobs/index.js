@@ -0,0 +1,12 @@
+/**
+ * Jobs Module for AirTap Android SDK
+ * Exports the JobManager and ShellJob classes
+ */
+
+const JobManager = require('./manager');
+const ShellJob = require('./job');
+
+module.exports = {
+  JobManager,
+  ShellJob
+};
@@ -0,0 +1,260 @@
+/**
+ * Shell Job for AirTap Android SDK
+ * A background command running on the device, with streamed output and stdin
+ */
+
+const { EventEmitter } = require('events');
+const { JobError } = require('../exceptions');
+
+/**
+ * A background shell job.
+ *
+ * Output is polled from the device and published as `stdout` and `stderr` events (string chunks)
+ * and through the async iterators `chunks()` and `lines()`. `exit` is emitted once with
+ * { status, exitCode } when the job ends, its output is lost, or the sandbox closes.
+ * Output produced before a listener or iterator is attached is not replayed, so subscribe right
+ * after spawning. Polling keeps the process alive only while wait() or an iterator is pending,
+ * so a forgotten job does not hold the process open.
+ */
+class ShellJob extends EventEmitter {
+  /**
+   * Create a handle for a job started on the device
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   * @param {Object} options - Job details
+   * @param {string} options.id - Job ID assigned by the device
+   * @param {string} options.command - Command line
+   * @param {number} [options.pollIntervalMs=250] - Delay between output polls
+   */
+  constructor(sandbox, { id, command, pollIntervalMs = 250 }) {
+    super();
+    this.sandbox = sandbox;
+    this.id = id;
+    this.command = command;
+    this.pollIntervalMs = pollIntervalMs;
+
+    // running, exited, killed, failed (output lost) or closed (sandbox closed)
+    this.status = 'running';
+    this.exitCode = null;
+    this.error = null;
+
+    this._cursor = 0;
+    this._timer = null;
+    // Pending wait() calls and iterators; polling only keeps the process alive while there are any
+    this._waiters = 0;
+    this._finished = new Promise(resolve => this.once('exit', resolve));
+    this._schedule();
+  }
+
+  /**
+   * Write to the job's stdin
+   * @param {string} data - Input
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    await this._sendInput(data, false);
+  }
+
+  /**
+   * Close the job's stdin, optionally writing a last chunk first
+   * @param {string} [data] - Input
+   * @returns {Promise<void>}
+   */
+  async end(data = '') {
+    await this._sendInput(data, true);
+  }
+
+  /**
+   * Send a signal to the job
+   * @param {string} [signal='TERM'] - Signal name (e.g. "INT", "TERM", "KILL")
+   * @returns {Promise<void>}
+   */
+  async kill(signal = 'TERM') {
+    try {
+      await this.sandbox.apiClient.post(this._path('/kill'), { signal });
+    } catch (error) {
+      throw new JobError(`Failed to kill job ${this.id}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Wait for the job to end and all of its output to be delivered
+   * @returns {Promise<Object>} Final state of the form { status, exitCode }
+   * @throws {JobError} If the job's output could not be polled
+   */
+  async wait() {
+    this._hold(1);
+    try {
+      await this._finished;
+    } finally {
+      this._hold(-1);
+    }
+    if (this.error) {
+      throw this.error;
+    }
+    return { status: this.status, exitCode: this.exitCode };
+  }
+
+  /**
+   * Iterate over output chunks as they arrive
+   * @yields {Object} Chunk of the form { stream: "stdout"|"stderr", data }
+   * @throws {JobError} If the job's output could not be polled
+   */
+  async * chunks() {
+    const queue = [];
+    let notify = null;
+    const wake = () => {
+      if (notify) notify();
+    };
+    const onStdout = data => { queue.push({ stream: 'stdout', data }); wake(); };
+    const onStderr = data => { queue.push({ stream: 'stderr', data }); wake(); };
+
+    this.on('stdout', onStdout);
+    this.on('stderr', onStderr);
+    this.on('exit', wake);
+    this._hold(1);
+    try {
+      for (;;) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else if (this.status !== 'running') {
+          break;
+        } else {
+          await new Promise(resolve => { notify = resolve; });
+          notify = null;
+        }
+      }
+      if (this.error) {
+        throw this.error;
+      }
+    } finally {
+      this._hold(-1);
+      this.off('stdout', onStdout);
+      this.off('stderr', onStderr);
+      this.off('exit', wake);
+    }
+  }
+
+  /**
+   * Iterate over complete lines of one output stream
+   * @param {string} [stream='stdout'] - "stdout" or "stderr"
+   * @yields {string} Line without its terminator
+   */
+  async * lines(stream = 'stdout') {
+    let partial = '';
+    for await (const chunk of this.chunks()) {
+      if (chunk.stream !== stream) continue;
+      const lines = (partial + chunk.data).split(/\r?\n/);
+      partial = lines.pop();
+      yield * lines;
+    }
+    if (partial) {
+      yield partial;
+    }
+  }
+
+  /**
+   * Async iteration over a job yields its output chunks
+   * @returns {AsyncGenerator<Object>} See chunks()
+   */
+  [Symbol.asyncIterator]() {
+    return this.chunks();
+  }
+
+  /**
+   * Stop polling and mark the job as ended
+   * @private
+   * @param {string} status - Final status
+   * @param {number|null} exitCode - Exit code, if known
+   * @param {Error} [error] - Why output stopped, if it was lost
+   */
+  _finish(status, exitCode, error = null) {
+    if (this.status !== 'running') {
+      return;
+    }
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.status = status;
+    this.exitCode = exitCode;
+    this.error = error;
+    if (error && this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+    this.emit('exit', { status, exitCode });
+  }
+
+  /**
+   * Schedule the next output poll
+   * @private
+   */
+  _schedule() {
+    this._timer = setTimeout(() => this._poll(), this.pollIntervalMs);
+    if (this._waiters === 0) {
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Count a caller waiting for output, so the poll timer keeps the process alive meanwhile
+   * @private
+   * @param {number} delta - 1 when a wait starts, -1 when it ends
+   */
+  _hold(delta) {
+    this._waiters += delta;
+    if (this._timer) {
+      if (this._waiters > 0) this._timer.ref();
+      else this._timer.unref();
+    }
+  }
+
+  /**
+   * Fetch new output and the job's state, then publish them
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _poll() {
+    let response;
+    try {
+      response = await this.sandbox.apiClient.get(this._path('/output'), { cursor: this._cursor });
+    } catch (error) {
+      this._finish('failed', null, new JobError(`Lost output of job ${this.id}: ${error.message}`, error));
+      return;
+    }
+    if (this.status !== 'running') {
+      // Closed while the request was in flight
+      return;
+    }
+
+    this._cursor = response.cursor;
+    (response.chunks || []).forEach(chunk => this.emit(chunk.stream, chunk.data));
+
+    if (response.status === 'running') {
+      this._schedule();
+    } else {
+      this._finish(response.status, response.exit_code !== undefined ? response.exit_code : null);
+    }
+  }
+
+  /**
+   * Send stdin to the job
+   * @private
+   */
+  async _sendInput(data, eof) {
+    try {
+      await this.sandbox.apiClient.post(this._path('/stdin'), { data, eof });
+    } catch (error) {
+      throw new JobError(`Failed to write to job ${this.id}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Build an API path for this job
+   * @private
+   * @param {string} [suffix] - Path below the job resource
+   * @returns {string} Job-scoped API path
+   */
+  _path(suffix = '') {
+    return this.sandbox._devicePath(`/jobs/${encodeURIComponent(this.id)}${suffix}`);
+  }
+}
+
+module.exports = ShellJob;
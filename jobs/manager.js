@@ -0,0 +1,118 @@
+/**
+ * Job Manager for AirTap Android SDK
+ * Spawns and tracks background shell jobs on the Android device
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const ShellJob = require('./job');
+const { JobError } = require('../exceptions');
+
+/**
+ * Convert a job description from the API
+ * @param {Object} job - Job as returned by the API
+ * @returns {Object} Job info of the form { id, command, status, exitCode, startedAt }
+ */
+function toJobInfo(job) {
+  return {
+    id: job.job_id,
+    command: job.command,
+    status: job.status,
+    exitCode: job.exit_code !== undefined ? job.exit_code : null,
+    startedAt: job.started_at ? new Date(job.started_at) : null
+  };
+}
+
+class JobManager {
+  /**
+   * Create a new job manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a command in the background
+   * @param {string} command - Command line (build it with sh`...` when it contains untrusted values)
+   * @param {Object} [options] - Job options
+   * @param {Object<string, string>} [options.env] - Extra environment variables
+   * @param {string} [options.cwd] - Working directory
+   * @param {number} [options.pollIntervalMs=250] - Delay between output polls
+   * @returns {Promise<ShellJob>} Handle to the running job
+   */
+  async spawn(command, { env = null, cwd = null, pollIntervalMs = 250 } = {}) {
+    try {
+      const payload = { command };
+      if (env) payload.env = env;
+      if (cwd) payload.cwd = cwd;
+
+      // A retried request must not start the command twice
+      const response = await this.sandbox.apiClient.post(this.sandbox._devicePath('/jobs'), payload, {
+        idempotencyKey: uuidv4()
+      });
+
+      const job = new ShellJob(this.sandbox, { id: response.job_id, command, pollIntervalMs });
+      this.jobs.set(job.id, job);
+      job.once('exit', () => this.jobs.delete(job.id));
+      return job;
+    } catch (error) {
+      throw new JobError(`Failed to spawn job "${command}": ${error.message}`, error);
+    }
+  }
+
+  /**
+   * List the jobs known to the device, including ones started by other clients
+   * @returns {Promise<Array<Object>>} Jobs of the form { id, command, status, exitCode, startedAt }
+   */
+  async list() {
+    try {
+      const response = await this.sandbox.apiClient.get(this.sandbox._devicePath('/jobs'));
+      return (response.jobs || []).map(toJobInfo);
+    } catch (error) {
+      throw new JobError(`Failed to list jobs: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Get the handle of a running job spawned by this sandbox
+   * @param {string} jobId - Job ID
+   * @returns {ShellJob|null} The job, or null if it is unknown or has ended
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Send a signal to a job by ID
+   * @param {string} jobId - Job ID
+   * @param {string} [signal='TERM'] - Signal name
+   * @returns {Promise<void>}
+   */
+  async kill(jobId, signal = 'TERM') {
+    try {
+      await this.sandbox.apiClient.post(this.sandbox._devicePath(`/jobs/${encodeURIComponent(jobId)}/kill`), { signal });
+    } catch (error) {
+      throw new JobError(`Failed to kill job ${jobId}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Send a signal to every running job spawned by this sandbox
+   * @param {string} [signal='TERM'] - Signal name
+   * @returns {Promise<void>}
+   */
+  async killAll(signal = 'TERM') {
+    await Promise.all([...this.jobs.values()].map(job => job.kill(signal)));
+  }
+
+  /**
+   * Stop polling all jobs; called when the sandbox closes
+   * @private
+   */
+  _closeAll() {
+    [...this.jobs.values()].forEach(job => job._finish('closed', null));
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,15 @@
+/**
+ * Keys Module for AirTap Android SDK
+ * Exports the key code tables and key name normalization
+ */
+
+const { KEYCODES, Keys, MetaState, normalizeKey, metaStateOf, isModifier } = require('./keys');
+
+module.exports = {
+  KEYCODES,
+  Keys,
+  MetaState,
+  normalizeKey,
+  metaStateOf,
+  isModifier
+};
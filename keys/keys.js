@@ -0,0 +1,351 @@
+/**
+ * Key Codes for AirTap Android SDK
+ * Android key codes and meta states, and normalization of key names
+ */
+
+const { KeyError } = require('../exceptions');
+
+// Android KeyEvent key codes, by name without the KEYCODE_ prefix
+const KEYCODES = Object.freeze({
+  UNKNOWN: 0,
+  SOFT_LEFT: 1,
+  SOFT_RIGHT: 2,
+  HOME: 3,
+  BACK: 4,
+  CALL: 5,
+  ENDCALL: 6,
+  0: 7,
+  1: 8,
+  2: 9,
+  3: 10,
+  4: 11,
+  5: 12,
+  6: 13,
+  7: 14,
+  8: 15,
+  9: 16,
+  STAR: 17,
+  POUND: 18,
+  DPAD_UP: 19,
+  DPAD_DOWN: 20,
+  DPAD_LEFT: 21,
+  DPAD_RIGHT: 22,
+  DPAD_CENTER: 23,
+  VOLUME_UP: 24,
+  VOLUME_DOWN: 25,
+  POWER: 26,
+  CAMERA: 27,
+  CLEAR: 28,
+  A: 29,
+  B: 30,
+  C: 31,
+  D: 32,
+  E: 33,
+  F: 34,
+  G: 35,
+  H: 36,
+  I: 37,
+  J: 38,
+  K: 39,
+  L: 40,
+  M: 41,
+  N: 42,
+  O: 43,
+  P: 44,
+  Q: 45,
+  R: 46,
+  S: 47,
+  T: 48,
+  U: 49,
+  V: 50,
+  W: 51,
+  X: 52,
+  Y: 53,
+  Z: 54,
+  COMMA: 55,
+  PERIOD: 56,
+  ALT_LEFT: 57,
+  ALT_RIGHT: 58,
+  SHIFT_LEFT: 59,
+  SHIFT_RIGHT: 60,
+  TAB: 61,
+  SPACE: 62,
+  SYM: 63,
+  EXPLORER: 64,
+  ENVELOPE: 65,
+  ENTER: 66,
+  DEL: 67,
+  GRAVE: 68,
+  MINUS: 69,
+  EQUALS: 70,
+  LEFT_BRACKET: 71,
+  RIGHT_BRACKET: 72,
+  BACKSLASH: 73,
+  SEMICOLON: 74,
+  APOSTROPHE: 75,
+  SLASH: 76,
+  AT: 77,
+  NUM: 78,
+  HEADSETHOOK: 79,
+  FOCUS: 80,
+  PLUS: 81,
+  MENU: 82,
+  NOTIFICATION: 83,
+  SEARCH: 84,
+  MEDIA_PLAY_PAUSE: 85,
+  MEDIA_STOP: 86,
+  MEDIA_NEXT: 87,
+  MEDIA_PREVIOUS: 88,
+  MEDIA_REWIND: 89,
+  MEDIA_FAST_FORWARD: 90,
+  MUTE: 91,
+  PAGE_UP: 92,
+  PAGE_DOWN: 93,
+  PICTSYMBOLS: 94,
+  SWITCH_CHARSET: 95,
+  BUTTON_A: 96,
+  BUTTON_B: 97,
+  BUTTON_C: 98,
+  BUTTON_X: 99,
+  BUTTON_Y: 100,
+  BUTTON_Z: 101,
+  BUTTON_L1: 102,
+  BUTTON_R1: 103,
+  BUTTON_L2: 104,
+  BUTTON_R2: 105,
+  BUTTON_THUMBL: 106,
+  BUTTON_THUMBR: 107,
+  BUTTON_START: 108,
+  BUTTON_SELECT: 109,
+  BUTTON_MODE: 110,
+  ESCAPE: 111,
+  FORWARD_DEL: 112,
+  CTRL_LEFT: 113,
+  CTRL_RIGHT: 114,
+  CAPS_LOCK: 115,
+  SCROLL_LOCK: 116,
+  META_LEFT: 117,
+  META_RIGHT: 118,
+  FUNCTION: 119,
+  SYSRQ: 120,
+  BREAK: 121,
+  MOVE_HOME: 122,
+  MOVE_END: 123,
+  INSERT: 124,
+  FORWARD: 125,
+  MEDIA_PLAY: 126,
+  MEDIA_PAUSE: 127,
+  MEDIA_CLOSE: 128,
+  MEDIA_EJECT: 129,
+  MEDIA_RECORD: 130,
+  F1: 131,
+  F2: 132,
+  F3: 133,
+  F4: 134,
+  F5: 135,
+  F6: 136,
+  F7: 137,
+  F8: 138,
+  F9: 139,
+  F10: 140,
+  F11: 141,
+  F12: 142,
+  NUM_LOCK: 143,
+  NUMPAD_0: 144,
+  NUMPAD_1: 145,
+  NUMPAD_2: 146,
+  NUMPAD_3: 147,
+  NUMPAD_4: 148,
+  NUMPAD_5: 149,
+  NUMPAD_6: 150,
+  NUMPAD_7: 151,
+  NUMPAD_8: 152,
+  NUMPAD_9: 153,
+  NUMPAD_DIVIDE: 154,
+  NUMPAD_MULTIPLY: 155,
+  NUMPAD_SUBTRACT: 156,
+  NUMPAD_ADD: 157,
+  NUMPAD_DOT: 158,
+  NUMPAD_COMMA: 159,
+  NUMPAD_ENTER: 160,
+  NUMPAD_EQUALS: 161,
+  NUMPAD_LEFT_PAREN: 162,
+  NUMPAD_RIGHT_PAREN: 163,
+  VOLUME_MUTE: 164,
+  INFO: 165,
+  CHANNEL_UP: 166,
+  CHANNEL_DOWN: 167,
+  ZOOM_IN: 168,
+  ZOOM_OUT: 169,
+  SETTINGS: 176,
+  APP_SWITCH: 187,
+  BUTTON_1: 188,
+  BUTTON_2: 189,
+  BUTTON_3: 190,
+  BUTTON_4: 191,
+  BUTTON_5: 192,
+  BUTTON_6: 193,
+  BUTTON_7: 194,
+  BUTTON_8: 195,
+  BUTTON_9: 196,
+  BUTTON_10: 197,
+  BUTTON_11: 198,
+  BUTTON_12: 199,
+  BUTTON_13: 200,
+  BUTTON_14: 201,
+  BUTTON_15: 202,
+  BUTTON_16: 203,
+  LANGUAGE_SWITCH: 204,
+  MANNER_MODE: 205,
+  CONTACTS: 207,
+  CALENDAR: 208,
+  MUSIC: 209,
+  CALCULATOR: 210,
+  ASSIST: 219,
+  BRIGHTNESS_DOWN: 220,
+  BRIGHTNESS_UP: 221,
+  MEDIA_AUDIO_TRACK: 222,
+  SLEEP: 223,
+  WAKEUP: 224,
+  VOICE_ASSIST: 231,
+  NAVIGATE_PREVIOUS: 260,
+  NAVIGATE_NEXT: 261,
+  NAVIGATE_IN: 262,
+  NAVIGATE_OUT: 263,
+  DPAD_UP_LEFT: 268,
+  DPAD_DOWN_LEFT: 269,
+  DPAD_UP_RIGHT: 270,
+  DPAD_DOWN_RIGHT: 271,
+  MEDIA_SKIP_FORWARD: 272,
+  MEDIA_SKIP_BACKWARD: 273,
+  MEDIA_STEP_FORWARD: 274,
+  MEDIA_STEP_BACKWARD: 275,
+  SOFT_SLEEP: 276,
+  CUT: 277,
+  COPY: 278,
+  PASTE: 279,
+  SYSTEM_NAVIGATION_UP: 280,
+  SYSTEM_NAVIGATION_DOWN: 281,
+  SYSTEM_NAVIGATION_LEFT: 282,
+  SYSTEM_NAVIGATION_RIGHT: 283,
+  ALL_APPS: 284,
+  REFRESH: 285
+});
+
+// Names used by other tools for the same keys
+const ALIASES = Object.freeze({
+  ALT: 'ALT_LEFT',
+  SHIFT: 'SHIFT_LEFT',
+  CTRL: 'CTRL_LEFT',
+  CONTROL: 'CTRL_LEFT',
+  META: 'META_LEFT',
+  ESC: 'ESCAPE',
+  RETURN: 'ENTER',
+  BACKSPACE: 'DEL',
+  DELETE: 'FORWARD_DEL',
+  UP: 'DPAD_UP',
+  DOWN: 'DPAD_DOWN',
+  LEFT: 'DPAD_LEFT',
+  RIGHT: 'DPAD_RIGHT',
+  RECENTS: 'APP_SWITCH'
+});
+
+/**
+ * Key names as sent to the device, e.g. Keys.ENTER is "KEYCODE_ENTER"
+ * @type {Object<string, string>}
+ */
+const Keys = Object.freeze(Object.fromEntries(
+  Object.keys(KEYCODES).map(name => [name, `KEYCODE_${name}`])
+));
+
+/**
+ * Android KeyEvent meta state flags, combined with bitwise OR
+ * @type {Object<string, number>}
+ */
+const MetaState = Object.freeze({
+  SHIFT_ON: 0x1,
+  ALT_ON: 0x2,
+  SYM_ON: 0x4,
+  FUNCTION_ON: 0x8,
+  ALT_LEFT_ON: 0x10,
+  ALT_RIGHT_ON: 0x20,
+  SHIFT_LEFT_ON: 0x40,
+  SHIFT_RIGHT_ON: 0x80,
+  CTRL_ON: 0x1000,
+  CTRL_LEFT_ON: 0x2000,
+  CTRL_RIGHT_ON: 0x4000,
+  META_ON: 0x10000,
+  META_LEFT_ON: 0x20000,
+  META_RIGHT_ON: 0x40000,
+  CAPS_LOCK_ON: 0x100000,
+  NUM_LOCK_ON: 0x200000,
+  SCROLL_LOCK_ON: 0x400000
+});
+
+// Meta state set while a modifier key is held
+const MODIFIERS = Object.freeze({
+  KEYCODE_SHIFT_LEFT: MetaState.SHIFT_ON | MetaState.SHIFT_LEFT_ON,
+  KEYCODE_SHIFT_RIGHT: MetaState.SHIFT_ON | MetaState.SHIFT_RIGHT_ON,
+  KEYCODE_ALT_LEFT: MetaState.ALT_ON | MetaState.ALT_LEFT_ON,
+  KEYCODE_ALT_RIGHT: MetaState.ALT_ON | MetaState.ALT_RIGHT_ON,
+  KEYCODE_CTRL_LEFT: MetaState.CTRL_ON | MetaState.CTRL_LEFT_ON,
+  KEYCODE_CTRL_RIGHT: MetaState.CTRL_ON | MetaState.CTRL_RIGHT_ON,
+  KEYCODE_META_LEFT: MetaState.META_ON | MetaState.META_LEFT_ON,
+  KEYCODE_META_RIGHT: MetaState.META_ON | MetaState.META_RIGHT_ON,
+  KEYCODE_SYM: MetaState.SYM_ON,
+  KEYCODE_FUNCTION: MetaState.FUNCTION_ON
+});
+
+const CODE_NAMES = new Map(Object.entries(KEYCODES).map(([name, code]) => [code, name]));
+
+/**
+ * Convert a key given in any supported style to the name sent to the device
+ * @param {string|number} key - "ENTER", "KEYCODE_ENTER", "enter", an alias such as "ctrl",
+ *   a Keys value, or a numeric key code
+ * @returns {string} Key name of the form "KEYCODE_ENTER"
+ * @throws {KeyError} If the key is unknown
+ */
+function normalizeKey(key) {
+  let name = null;
+  if (typeof key === 'number') {
+    name = CODE_NAMES.get(key);
+  } else if (typeof key === 'string') {
+    const upper = key.trim().toUpperCase().replace(/^KEYCODE_/, '');
+    name = ALIASES[upper] || upper;
+  }
+  if (name && name !== 'UNKNOWN' && Object.prototype.hasOwnProperty.call(KEYCODES, name)) {
+    return `KEYCODE_${name}`;
+  }
+  throw new KeyError(`Unknown key ${JSON.stringify(key)}: use a name such as "ENTER" or "KEYCODE_ENTER", or a value of Keys`);
+}
+
+/**
+ * Meta state produced by holding modifier keys
+ * @param {Iterable<string>} keys - Normalized key names
+ * @returns {number} Combined MetaState flags, 0 if no modifier is held
+ */
+function metaStateOf(keys) {
+  let state = 0;
+  for (const key of keys) {
+    state |= MODIFIERS[key] || 0;
+  }
+  return state;
+}
+
+/**
+ * Whether a key is a modifier that sets a meta state while held
+ * @param {string} key - Normalized key name
+ * @returns {boolean} True for shift, alt, ctrl, meta, sym and function keys
+ */
+function isModifier(key) {
+  return Object.prototype.hasOwnProperty.call(MODIFIERS, key);
+}
+
+module.exports = {
+  KEYCODES,
+  Keys,
+  MetaState,
+  normalizeKey,
+  metaStateOf,
+  isModifier
+};
@@ -0,0 +1,14 @@
+/**
+ * Location Module for AirTap Android SDK
+ * Exports the location manager and GPX/KML route parsing
+ */
+
+const LocationManager = require('./manager');
+const { parseRoute, distanceBetween, bearingBetween } = require('./route');
+
+module.exports = {
+  LocationManager,
+  parseRoute,
+  distanceBetween,
+  bearingBetween
+};
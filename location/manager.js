@@ -0,0 +1,208 @@
+/**
+ * Location Manager for AirTap Android SDK
+ * Mocks the device GPS position and plays routes back as a sequence of fixes
+ */
+
+const fs = require('fs');
+const { sleep } = require('../wait');
+const { checkPosition, parseRoute, toRoutePoints, toSegments, positionAt } = require('./route');
+const { LocationError, WaitCancelledError } = require('../exceptions');
+
+// Speed used for points without timestamps when no speed is given: 50 km/h
+const DEFAULT_SPEED = 50 / 3.6;
+
+class LocationManager {
+  /**
+   * Create a new location manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+    this._playback = null;
+  }
+
+  /**
+   * Whether a route is being played
+   * @returns {boolean} True while playRoute is running
+   */
+  get playing() {
+    return this._playback !== null;
+  }
+
+  /**
+   * Move the device to a mock GPS position
+   * @param {number} latitude - Latitude in degrees, from -90 to 90
+   * @param {number} longitude - Longitude in degrees, from -180 to 180
+   * @param {Object} [options] - Fix options
+   * @param {number} [options.altitude] - Altitude in meters
+   * @param {number} [options.accuracy] - Horizontal accuracy in meters
+   * @param {number} [options.speed] - Speed in m/s
+   * @param {number} [options.bearing] - Bearing in degrees clockwise from north
+   * @returns {Promise<boolean>} True if successful
+   * @throws {LocationError} If the position is invalid or cannot be set
+   */
+  async set(latitude, longitude, { altitude = null, accuracy = null, speed = null, bearing = null } = {}) {
+    try {
+      checkPosition(latitude, longitude);
+      if (accuracy !== null && !(typeof accuracy === 'number' && accuracy > 0)) {
+        throw new LocationError(`Invalid accuracy ${JSON.stringify(accuracy)}: expected a positive number of meters`);
+      }
+      const fix = { latitude, longitude };
+      if (altitude !== null) fix.altitude = altitude;
+      if (accuracy !== null) fix.accuracy = accuracy;
+      if (speed !== null) fix.speed = speed;
+      if (bearing !== null) fix.bearing = bearing;
+
+      await this.sandbox.apiClient.post(this.sandbox._devicePath('/location'), fix);
+      return true;
+    } catch (error) {
+      throw new LocationError(`Failed to set location: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Read the current mock position
+   * @returns {Promise<Object|null>} Fix of the form { latitude, longitude, altitude, accuracy, speed, bearing },
+   *   or null if no position has been set
+   */
+  async get() {
+    try {
+      const response = await this.sandbox.apiClient.get(this.sandbox._devicePath('/location'));
+      return response.location || null;
+    } catch (error) {
+      throw new LocationError(`Failed to read location: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Play a route back, moving the mock position along it at regular intervals.
+   *
+   * Points are interpolated linearly, so fixes between route points follow a straight line.
+   * Each segment takes its recorded time (GPX/KML timestamps) unless a speed is given.
+   * Cancelling stops the playback and resolves with cancelled: true, leaving the device at the last fix.
+   *
+   * @param {Array|string} route - Points ([latitude, longitude] or { latitude, longitude, altitude?, time? }),
+   *   GPX or KML text, or the path of a local .gpx or .kml file
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.speed] - Constant speed in m/s (defaults to the recorded times, or 50 km/h)
+   * @param {number} [options.playbackRate=1] - Time multiplier, e.g. 10 to play a route ten times faster
+   * @param {number} [options.intervalMs=1000] - Time between fixes
+   * @param {number} [options.accuracy] - Horizontal accuracy of every fix, in meters
+   * @param {AbortSignal} [options.signal] - Cancels the playback
+   * @param {Function} [options.onFix] - Called with each fix after it is sent
+   * @returns {Promise<Object>} Summary of the form { fixes, distanceMeters, durationMs, cancelled, lastFix },
+   *   where durationMs is the route time covered before the playback ended
+   * @throws {LocationError} If the route is invalid, another route is playing or a fix cannot be sent
+   */
+  async playRoute(route, { speed = null, playbackRate = 1, intervalMs = 1000, accuracy = null, signal = null, onFix = null } = {}) {
+    if (this._playback) {
+      throw new LocationError('A route is already playing: call stopRoute() first');
+    }
+    let segments;
+    try {
+      if (speed !== null && !(typeof speed === 'number' && speed > 0)) {
+        throw new LocationError(`Invalid speed ${JSON.stringify(speed)}: expected a positive number of m/s`);
+      }
+      if (!(typeof playbackRate === 'number' && playbackRate > 0)) {
+        throw new LocationError(`Invalid playback rate ${JSON.stringify(playbackRate)}: expected a positive number`);
+      }
+      if (!(typeof intervalMs === 'number' && intervalMs > 0)) {
+        throw new LocationError(`Invalid interval ${JSON.stringify(intervalMs)}: expected a positive number of milliseconds`);
+      }
+      const points = this._loadRoute(route);
+      if (points.length < 2) {
+        throw new LocationError('A route needs at least two points');
+      }
+      segments = toSegments(points, { speed, defaultSpeed: DEFAULT_SPEED });
+    } catch (error) {
+      throw new LocationError(`Invalid route: ${error.message}`, error);
+    }
+
+    const last = segments[segments.length - 1];
+    const routeMs = last.startMs + last.durationMs;
+    const distanceMeters = segments.reduce((total, segment) => total + segment.distance, 0);
+
+    // Either the caller's signal or stopRoute() ends the playback
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) controller.abort(signal.reason);
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    this._playback = controller;
+
+    let fixes = 0;
+    let lastFix = null;
+    let routeTimeMs = 0;
+    try {
+      for (;;) {
+        if (controller.signal.aborted) break;
+        lastFix = positionAt(segments, routeTimeMs);
+        await this.set(lastFix.latitude, lastFix.longitude, {
+          altitude: lastFix.altitude,
+          accuracy,
+          speed: lastFix.speed,
+          bearing: lastFix.bearing
+        });
+        fixes++;
+        if (onFix) onFix({ ...lastFix, routeTimeMs });
+        if (routeTimeMs >= routeMs) break;
+
+        const stepMs = Math.min(intervalMs * playbackRate, routeMs - routeTimeMs);
+        await sleep(stepMs / playbackRate, controller.signal);
+        routeTimeMs += stepMs;
+      }
+    } catch (error) {
+      if (!(error instanceof WaitCancelledError)) {
+        throw error;
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      this._playback = null;
+    }
+
+    return {
+      fixes,
+      distanceMeters,
+      durationMs: routeTimeMs,
+      cancelled: controller.signal.aborted,
+      lastFix
+    };
+  }
+
+  /**
+   * Stop the route being played, if any
+   * @returns {boolean} True if a route was playing
+   */
+  stopRoute() {
+    if (!this._playback) {
+      return false;
+    }
+    this._playback.abort();
+    return true;
+  }
+
+  /**
+   * Convert a route argument to points
+   * @param {Array|string} route - Points, GPX/KML text or a file path
+   * @returns {Array<Object>} Route points
+   * @private
+   */
+  _loadRoute(route) {
+    if (Array.isArray(route)) {
+      return toRoutePoints(route);
+    }
+    if (typeof route !== 'string') {
+      throw new LocationError('Expected an array of points, GPX/KML text or a file path');
+    }
+    if (route.trimStart().startsWith('<')) {
+      return parseRoute(route);
+    }
+    if (!fs.existsSync(route)) {
+      throw new LocationError(`Route file not found: ${route}`);
+    }
+    return parseRoute(fs.readFileSync(route, 'utf8'));
+  }
+}
+
+module.exports = LocationManager;
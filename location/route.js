@@ -0,0 +1,266 @@
+/**
+ * Routes for AirTap Android SDK
+ * Parses GPX and KML routes and interpolates positions along them
+ */
+
+const { parseXml } = require('../ui/xml');
+const { LocationError } = require('../exceptions');
+
+// Mean Earth radius used by the haversine formula
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Check that a position is on the globe
+ * @param {*} latitude - Latitude in degrees
+ * @param {*} longitude - Longitude in degrees
+ * @throws {LocationError} If either coordinate is out of range
+ */
+function checkPosition(latitude, longitude) {
+  if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)) {
+    throw new LocationError(`Invalid latitude ${JSON.stringify(latitude)}: expected a number from -90 to 90`);
+  }
+  if (typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+    throw new LocationError(`Invalid longitude ${JSON.stringify(longitude)}: expected a number from -180 to 180`);
+  }
+}
+
+/**
+ * Build a route point, checking its values
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number|null} [altitude] - Altitude in meters
+ * @param {Date|string|null} [time] - Time the position was recorded
+ * @returns {Object} Point of the form { latitude, longitude, altitude, time }
+ */
+function toPoint(latitude, longitude, altitude = null, time = null) {
+  checkPosition(latitude, longitude);
+  const date = time === null || time === undefined ? null : new Date(time);
+  return {
+    latitude,
+    longitude,
+    altitude: Number.isFinite(altitude) ? altitude : null,
+    time: date && !Number.isNaN(date.getTime()) ? date : null
+  };
+}
+
+/**
+ * Local name of an element, without its namespace prefix (e.g. "coord" for "gx:coord")
+ * @param {Object} element - Parsed element
+ * @returns {string} Local name
+ */
+function localName(element) {
+  return element.tag.split(':').pop();
+}
+
+/**
+ * Find all descendants with a local name, in document order
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {Array<Object>} Matching elements
+ */
+function descendants(element, name) {
+  const found = [];
+  element.children.forEach(child => {
+    if (localName(child) === name) {
+      found.push(child);
+    }
+    found.push(...descendants(child, name));
+  });
+  return found;
+}
+
+/**
+ * Text of the first child with a local name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {string|null} Trimmed text, or null if there is no such child
+ */
+function childText(element, name) {
+  const child = element.children.find(candidate => localName(candidate) === name);
+  return child ? child.text.trim() : null;
+}
+
+/**
+ * Read the points of a GPX document: the track points, or else the route points, or else the waypoints
+ * @param {Object} root - Parsed <gpx> element
+ * @returns {Array<Object>} Points of the form { latitude, longitude, altitude, time }
+ */
+function parseGpx(root) {
+  const elements = ['trkpt', 'rtept', 'wpt']
+    .map(name => descendants(root, name))
+    .find(found => found.length > 0) || [];
+  return elements.map(element => toPoint(
+    parseFloat(element.attributes.lat),
+    parseFloat(element.attributes.lon),
+    parseFloat(childText(element, 'ele')),
+    childText(element, 'time')
+  ));
+}
+
+/**
+ * Read the points of a KML document: timed gx:Track coordinates if present, otherwise the
+ * coordinates of every LineString and Point
+ * @param {Object} root - Parsed <kml> element
+ * @returns {Array<Object>} Points of the form { latitude, longitude, altitude, time }
+ */
+function parseKml(root) {
+  const tracks = descendants(root, 'Track');
+  if (tracks.length > 0) {
+    return tracks.flatMap(track => {
+      const times = descendants(track, 'when').map(element => element.text.trim());
+      return descendants(track, 'coord').map((element, index) => {
+        const [longitude, latitude, altitude] = element.text.trim().split(/\s+/).map(parseFloat);
+        return toPoint(latitude, longitude, altitude, times[index]);
+      });
+    });
+  }
+  // KML coordinates are "longitude,latitude[,altitude]" tuples separated by whitespace
+  return descendants(root, 'coordinates').flatMap(element =>
+    element.text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+      const [longitude, latitude, altitude] = tuple.split(',').map(parseFloat);
+      return toPoint(latitude, longitude, altitude);
+    })
+  );
+}
+
+/**
+ * Parse a GPX or KML document into route points
+ * @param {string} xml - Document text
+ * @returns {Array<Object>} Points of the form { latitude, longitude, altitude, time }
+ * @throws {LocationError} If the document is not a GPX or KML route
+ */
+function parseRoute(xml) {
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (error) {
+    throw new LocationError(`Invalid route document: ${error.message}`, error);
+  }
+  const format = localName(root).toLowerCase();
+  if (format !== 'gpx' && format !== 'kml') {
+    throw new LocationError(`Unsupported route document <${root.tag}>: expected GPX or KML`);
+  }
+  const points = format === 'gpx' ? parseGpx(root) : parseKml(root);
+  if (points.length === 0) {
+    throw new LocationError(`The ${format.toUpperCase()} document contains no points`);
+  }
+  return points;
+}
+
+/**
+ * Convert points given in code
+ * @param {Array<Array<number>|Object>} points - [latitude, longitude, altitude?] pairs, or objects of
+ *   the form { latitude | lat, longitude | lng | lon, altitude?, time? }
+ * @returns {Array<Object>} Points of the form { latitude, longitude, altitude, time }
+ * @throws {LocationError} If a point is invalid
+ */
+function toRoutePoints(points) {
+  return points.map(point => {
+    if (Array.isArray(point)) {
+      return toPoint(point[0], point[1], point[2]);
+    }
+    if (point && typeof point === 'object') {
+      const latitude = point.latitude !== undefined ? point.latitude : point.lat;
+      const longitude = [point.longitude, point.lng, point.lon].find(value => value !== undefined);
+      return toPoint(latitude, longitude, point.altitude, point.time);
+    }
+    throw new LocationError(`Invalid route point ${JSON.stringify(point)}: expected [latitude, longitude] or { latitude, longitude }`);
+  });
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - Point of the form { latitude, longitude }
+ * @param {Object} to - Point of the form { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+function distanceBetween(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial compass bearing from one point to another
+ * @param {Object} from - Point of the form { latitude, longitude }
+ * @param {Object} to - Point of the form { latitude, longitude }
+ * @returns {number} Bearing in degrees from 0 (north) to 360, clockwise
+ */
+function bearingBetween(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLongitude) * Math.cos(toRadians(to.latitude));
+  const x = Math.cos(toRadians(from.latitude)) * Math.sin(toRadians(to.latitude)) -
+    Math.sin(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.cos(dLongitude);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Lay a route out in time: each segment lasts its recorded duration, or its length at a constant speed
+ * @param {Array<Object>} points - Route points
+ * @param {Object} options - Timing options
+ * @param {number|null} options.speed - Speed in m/s; overrides recorded times when set
+ * @param {number} options.defaultSpeed - Speed in m/s for segments without recorded times
+ * @returns {Array<Object>} Segments of the form { from, to, startMs, durationMs, distance, speed, bearing }
+ */
+function toSegments(points, { speed, defaultSpeed }) {
+  const segments = [];
+  let startMs = 0;
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const distance = distanceBetween(from, to);
+    const recordedMs = from.time && to.time ? to.time - from.time : null;
+    const durationMs = speed === null && recordedMs !== null && recordedMs >= 0
+      ? recordedMs
+      : distance / (speed || defaultSpeed) * 1000;
+    segments.push({
+      from,
+      to,
+      startMs,
+      durationMs,
+      distance,
+      speed: durationMs > 0 ? distance / (durationMs / 1000) : 0,
+      bearing: bearingBetween(from, to)
+    });
+    startMs += durationMs;
+  }
+  return segments;
+}
+
+/**
+ * Position along a route at a point in time
+ * @param {Array<Object>} segments - Segments from toSegments
+ * @param {number} timeMs - Time since the start of the route
+ * @returns {Object} Fix of the form { latitude, longitude, altitude, speed, bearing }
+ */
+function positionAt(segments, timeMs) {
+  const segment = segments.find(candidate => timeMs < candidate.startMs + candidate.durationMs) ||
+    segments[segments.length - 1];
+  const progress = segment.durationMs > 0 ? Math.min(1, Math.max(0, (timeMs - segment.startMs) / segment.durationMs)) : 1;
+  const { from, to } = segment;
+  const between = (a, b) => a + (b - a) * progress;
+  // A point without elevation keeps the altitude of its neighbour
+  const fromAltitude = from.altitude !== null ? from.altitude : to.altitude;
+  const toAltitude = to.altitude !== null ? to.altitude : from.altitude;
+  return {
+    latitude: between(from.latitude, to.latitude),
+    longitude: between(from.longitude, to.longitude),
+    altitude: fromAltitude !== null ? between(fromAltitude, toAltitude) : null,
+    speed: segment.speed,
+    bearing: segment.bearing
+  };
+}
+
+module.exports = {
+  checkPosition,
+  parseRoute,
+  toRoutePoints,
+  distanceBetween,
+  bearingBetween,
+  toSegments,
+  positionAt
+};
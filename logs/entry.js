@@ -0,0 +1,116 @@
+/**
+ * Log Entries for AirTap Android SDK
+ * Parses logcat lines and filters entries by tag, level and process
+ */
+
+const { LogError } = require('../exceptions');
+
+/**
+ * Log levels as printed by logcat, from least to most severe
+ * @type {Object<string, string>}
+ */
+const LogLevel = Object.freeze({
+  VERBOSE: 'V',
+  DEBUG: 'D',
+  INFO: 'I',
+  WARN: 'W',
+  ERROR: 'E',
+  FATAL: 'F'
+});
+
+// Severity of each level letter; A (assert) is printed by older devices for the same priority as F
+const SEVERITY = Object.freeze({ V: 0, D: 1, I: 2, W: 3, E: 4, F: 5, A: 5 });
+
+// Long names accepted for filters, e.g. level: 'warning'
+const LEVEL_NAMES = Object.freeze({ ...LogLevel, WARNING: 'W', ASSERT: 'F' });
+
+// `logcat -v threadtime`, optionally with `-v year`:
+// "2024-05-01 08:00:01.123  1234  1250 I ActivityManager: Start proc ..."
+const THREADTIME_LINE = /^(?:(\d{4})-)?(\d\d)-(\d\d)\s+(\d\d):(\d\d):(\d\d)\.(\d{3})\s+(\d+)\s+(\d+)\s+([VDIWEFA])\s+(.*?)\s*: ?(.*)$/;
+
+// ActivityManager announces new processes as "Start proc 1234:com.example.app/u0a123 for activity ..."
+const START_PROC = /^Start proc (\d+):([^/\s]+)/;
+
+/**
+ * Normalize a log level given as a letter or a name
+ * @param {string} level - "W", "w", "warn", "WARNING" or a LogLevel value
+ * @returns {string} Level letter
+ * @throws {LogError} If the level is unknown
+ */
+function normalizeLevel(level) {
+  const upper = typeof level === 'string' ? level.trim().toUpperCase() : '';
+  if (Object.prototype.hasOwnProperty.call(SEVERITY, upper)) {
+    return upper === 'A' ? 'F' : upper;
+  }
+  if (Object.prototype.hasOwnProperty.call(LEVEL_NAMES, upper)) {
+    return LEVEL_NAMES[upper];
+  }
+  throw new LogError(`Unknown log level ${JSON.stringify(level)}: expected one of V, D, I, W, E, F or a LogLevel value`);
+}
+
+/**
+ * Parse a line of `logcat -v threadtime` output. Timestamps are read as UTC, as printed by `-v UTC`;
+ * without `-v year` the current year is assumed.
+ * @param {string} line - Output line
+ * @returns {Object|null} Entry of the form { timestamp, pid, tid, level, tag, message, line }, or null for
+ *   lines that are not log entries (e.g. "--------- beginning of main")
+ */
+function parseLogLine(line) {
+  const match = THREADTIME_LINE.exec(line);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, millis, pid, tid, level, tag, message] = match;
+  return {
+    timestamp: new Date(Date.UTC(
+      year ? Number(year) : new Date().getUTCFullYear(),
+      Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds), Number(millis)
+    )),
+    pid: Number(pid),
+    tid: Number(tid),
+    level: level === 'A' ? 'F' : level,
+    tag,
+    message,
+    line
+  };
+}
+
+/**
+ * Build a predicate for entries matching tag, level and package filters.
+ *
+ * The package filter follows the package's processes: it starts from the given process IDs and
+ * adds the ones ActivityManager reports as started for the package, so a restarted app stays in view.
+ *
+ * @param {Object} [filters] - Filters
+ * @param {string|Array<string>} [filters.tags] - Only entries with one of these tags
+ * @param {string} [filters.level] - Minimum level, e.g. "W" or "warn"
+ * @param {string} [filters.package] - Only entries from this package's processes
+ * @param {Iterable<number>} [filters.pids] - Process IDs of the package when filtering starts
+ * @returns {Function} Predicate receiving a parsed entry
+ * @throws {LogError} If the level is unknown
+ */
+function createFilter({ tags = null, level = null, package: packageName = null, pids = [] } = {}) {
+  const tagSet = tags === null ? null : new Set(Array.isArray(tags) ? tags : [tags]);
+  const minimum = level === null ? 0 : SEVERITY[normalizeLevel(level)];
+  const packagePids = new Set(pids);
+
+  return entry => {
+    if (packageName !== null) {
+      const started = entry.tag === 'ActivityManager' ? START_PROC.exec(entry.message) : null;
+      if (started && started[2] === packageName) {
+        packagePids.add(Number(started[1]));
+      }
+      if (!packagePids.has(entry.pid)) {
+        return false;
+      }
+    }
+    return SEVERITY[entry.level] >= minimum && (tagSet === null || tagSet.has(entry.tag));
+  };
+}
+
+module.exports = {
+  LogLevel,
+  normalizeLevel,
+  parseLogLine,
+  createFilter
+};
@@ -0,0 +1,15 @@
+/**
+ * Logs Module for AirTap Android SDK
+ * Exports the log manager and logcat parsing
+ */
+
+const LogManager = require('./manager');
+const { LogLevel, normalizeLevel, parseLogLine, createFilter } = require('./entry');
+
+module.exports = {
+  LogManager,
+  LogLevel,
+  normalizeLevel,
+  parseLogLine,
+  createFilter
+};
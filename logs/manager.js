@@ -0,0 +1,260 @@
+/**
+ * Log Manager for AirTap Android SDK
+ * Streams, filters, buffers and saves the device's logcat output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sh } = require('../shell');
+const { parseLogLine, createFilter } = require('./entry');
+const { LogError } = require('../exceptions');
+
+// threadtime lines with the year, in UTC so timestamps do not depend on the device's time zone
+const LOGCAT = 'logcat -v threadtime -v year -v UTC';
+
+class LogManager {
+  /**
+   * Create a new log manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+    this.bufferSize = 1000;
+    this._recent = [];
+    this._collector = null;
+  }
+
+  /**
+   * Whether entries are being collected into the buffer
+   * @returns {boolean} True between start and stop
+   */
+  get collecting() {
+    return this._collector !== null;
+  }
+
+  /**
+   * Stream log entries as they are written.
+   *
+   * Each iteration runs its own logcat job, which is killed when the loop ends, breaks or the
+   * signal aborts; aborting ends the iteration without an error.
+   *
+   * @param {Object} [options] - Stream options
+   * @param {string|Array<string>} [options.tags] - Only entries with one of these tags
+   * @param {string} [options.level] - Minimum level ("V", "D", "I", "W", "E", "F", a LogLevel value or a
+   *   name such as "warn")
+   * @param {string} [options.package] - Only entries from this package's processes, following restarts
+   * @param {Date|string|null} [options.since='now'] - "now" for new entries only, a Date, or null for the
+   *   whole log buffer
+   * @param {number} [options.pollIntervalMs=250] - Delay between output polls
+   * @param {AbortSignal} [options.signal] - Ends the stream
+   * @yields {Object} Entry of the form { timestamp, pid, tid, level, tag, message, line }
+   * @throws {LogError} If the filters are invalid or logcat cannot be read
+   */
+  async * stream({ since = 'now', pollIntervalMs = 250, signal = null, ...filters } = {}) {
+    let filter;
+    let job;
+    try {
+      filter = await this._createFilter(filters);
+      job = await this._spawn(since, pollIntervalMs);
+    } catch (error) {
+      throw new LogError(`Failed to stream logs: ${error.message}`, error);
+    }
+    const onAbort = () => job.kill().catch(() => {});
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    try {
+      for await (const line of job.lines()) {
+        const entry = parseLogLine(line);
+        if (entry && filter(entry)) {
+          yield entry;
+        }
+      }
+    } catch (error) {
+      throw new LogError(`Failed to stream logs: ${error.message}`, error);
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (job.status === 'running') {
+        await job.kill().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Read the entries currently in the device's log buffer, like `logcat -d`
+   * @param {Object} [filters] - Filters (tags, level, package; see stream)
+   * @returns {Promise<Array<Object>>} Entries of the form { timestamp, pid, tid, level, tag, message, line }
+   * @throws {LogError} If the filters are invalid or logcat cannot be read
+   */
+  async dump(filters = {}) {
+    try {
+      const filter = await this._createFilter(filters);
+      const { stdout } = await this.sandbox.exec(`${LOGCAT} -d`, { throw_on_error: true });
+      return stdout.split(/\r?\n/).map(parseLogLine).filter(entry => entry && filter(entry));
+    } catch (error) {
+      throw new LogError(`Failed to read logs: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Collect entries in the background, keeping the last ones for failure reports (see recent and save)
+   * @param {Object} [options] - Collection options, plus the filters of stream
+   * @param {number} [options.bufferSize=1000] - Number of entries to keep
+   * @param {Date|string|null} [options.since='now'] - Where to start (see stream)
+   * @param {number} [options.pollIntervalMs=250] - Delay between output polls
+   * @returns {Promise<void>}
+   * @throws {LogError} If collection is already running or cannot start
+   */
+  async start({ bufferSize = 1000, since = 'now', pollIntervalMs = 250, ...filters } = {}) {
+    try {
+      if (this._collector) {
+        throw new LogError('Log collection is already running: call stop() first');
+      }
+      if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+        throw new LogError(`Invalid buffer size ${JSON.stringify(bufferSize)}: expected a positive integer`);
+      }
+      const filter = await this._createFilter(filters);
+      const job = await this._spawn(since, pollIntervalMs);
+      this.bufferSize = bufferSize;
+      this._recent = [];
+      this._collector = { job, done: this._collect(job, filter) };
+    } catch (error) {
+      throw new LogError(`Failed to start log collection: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Stop collecting entries; the buffered entries are kept
+   * @returns {Promise<Array<Object>>} The buffered entries
+   * @throws {LogError} If the collection lost the log output
+   */
+  async stop() {
+    if (!this._collector) {
+      return this.recent();
+    }
+    const { job, done } = this._collector;
+    if (job.status === 'running') {
+      await job.kill().catch(() => {});
+    }
+    const error = await done;
+    this._collector = null;
+    if (error) {
+      throw new LogError(`Log collection failed: ${error.message}`, error);
+    }
+    return this.recent();
+  }
+
+  /**
+   * The last collected entries
+   * @param {number} [count] - Number of entries (defaults to all buffered entries)
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  recent(count = this.bufferSize) {
+    return count > 0 ? this._recent.slice(-count) : [];
+  }
+
+  /**
+   * Save log entries to a local file as logcat text, one line per entry
+   * @param {string} localPath - Local path to write to
+   * @param {Object} [options] - Save options
+   * @param {Array<Object>} [options.entries] - Entries to save (defaults to the buffered entries while
+   *   collecting or after collection, otherwise the device's current log buffer)
+   * @returns {Promise<number>} Number of entries written
+   * @throws {LogError} If the logs cannot be read or written
+   */
+  async save(localPath, { entries = null } = {}) {
+    let lines = entries;
+    if (lines === null) {
+      lines = this._collector || this._recent.length > 0 ? this.recent() : await this.dump();
+    }
+    try {
+      const dir = path.dirname(localPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(localPath, lines.map(entry => `${entry.line}\n`).join(''));
+      return lines.length;
+    } catch (error) {
+      throw new LogError(`Failed to save logs to ${localPath}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Empty the device's log buffer and the collected entries
+   * @returns {Promise<boolean>} True if successful
+   */
+  async clear() {
+    try {
+      await this.sandbox.exec('logcat -c', { throw_on_error: true });
+      this._recent = [];
+      return true;
+    } catch (error) {
+      throw new LogError(`Failed to clear logs: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Build the entry filter, looking up the package's running processes
+   * @private
+   * @param {Object} filters - Filters (tags, level, package)
+   * @returns {Promise<Function>} Predicate receiving a parsed entry
+   */
+  async _createFilter({ tags = null, level = null, package: packageName = null }) {
+    const filter = createFilter({ tags, level, package: packageName });
+    if (packageName === null) {
+      return filter;
+    }
+    // pidof exits with 1 when the package is not running
+    const { stdout } = await this.sandbox.exec(sh`pidof ${packageName} || true`, { throw_on_error: true });
+    const pids = stdout.trim().split(/\s+/).filter(Boolean).map(Number);
+    return createFilter({ tags, level, package: packageName, pids });
+  }
+
+  /**
+   * Start a logcat job
+   * @private
+   * @param {Date|string|null} since - "now", a Date, or null for the whole buffer
+   * @param {number} pollIntervalMs - Delay between output polls
+   * @returns {Promise<ShellJob>} The job
+   */
+  async _spawn(since, pollIntervalMs) {
+    let command = LOGCAT;
+    if (since === 'now') {
+      // The device clock decides which entries are new, not the host's
+      const { stdout } = await this.sandbox.exec('date +%s', { throw_on_error: true });
+      command += ` -T ${parseInt(stdout.trim(), 10)}.000`;
+    } else if (since instanceof Date) {
+      command += ` -T ${(since.getTime() / 1000).toFixed(3)}`;
+    } else if (since !== null) {
+      throw new LogError(`Invalid since ${JSON.stringify(since)}: expected "now", a Date or null`);
+    }
+    return this.sandbox.jobs.spawn(command, { pollIntervalMs });
+  }
+
+  /**
+   * Feed a collection job's entries into the buffer until it ends
+   * @private
+   * @param {ShellJob} job - logcat job
+   * @param {Function} filter - Entry filter
+   * @returns {Promise<Error|null>} Why the output was lost, or null
+   */
+  async _collect(job, filter) {
+    try {
+      for await (const line of job.lines()) {
+        const entry = parseLogLine(line);
+        if (entry && filter(entry)) {
+          this._recent.push(entry);
+          if (this._recent.length > this.bufferSize) {
+            this._recent.splice(0, this._recent.length - this.bufferSize);
+          }
+        }
+      }
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+}
+
+module.exports = LogManager;
@@ -0,0 +1,116 @@
+/**
+ * Network Conditions for AirTap Android SDK
+ * Presets and validation for emulated latency, bandwidth and packet loss
+ */
+
+const { NetworkError } = require('../exceptions');
+
+// No emulation: the device's own connection, unthrottled
+const UNRESTRICTED = Object.freeze({ offline: false, latencyMs: 0, downloadKbps: null, uploadKbps: null, lossPercent: 0 });
+
+const NETWORK_PRESETS = Object.freeze({
+  offline: Object.freeze({ ...UNRESTRICTED, offline: true }),
+  '2g': Object.freeze({ ...UNRESTRICTED, latencyMs: 800, downloadKbps: 250, uploadKbps: 50 }),
+  '3g': Object.freeze({ ...UNRESTRICTED, latencyMs: 300, downloadKbps: 750, uploadKbps: 250 }),
+  '4g': Object.freeze({ ...UNRESTRICTED, latencyMs: 40, downloadKbps: 4000, uploadKbps: 3000 }),
+  lossy: Object.freeze({ ...UNRESTRICTED, latencyMs: 150, downloadKbps: 1500, uploadKbps: 750, lossPercent: 10 })
+});
+
+/**
+ * Check that a value is a number within a range
+ * @param {string} name - Option name for the error message
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @throws {NetworkError} If the value is out of range
+ */
+function checkRange(name, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new NetworkError(`Invalid ${name} ${JSON.stringify(value)}: expected a number from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Resolve a preset or custom conditions into a full set of conditions.
+ *
+ * Custom conditions start from no emulation, or from `preset` when given, so
+ * { preset: '3g', lossPercent: 5 } is 3G with 5% packet loss.
+ *
+ * @param {string|Object|null} conditions - Preset name (see NETWORK_PRESETS), custom conditions, or
+ *   null for no emulation
+ * @returns {Object} Conditions of the form { offline, latencyMs, downloadKbps, uploadKbps, lossPercent },
+ *   where a null bandwidth is unlimited
+ * @throws {NetworkError} If the preset or any value is invalid
+ */
+function resolveConditions(conditions) {
+  if (conditions === null) {
+    return { ...UNRESTRICTED };
+  }
+  if (typeof conditions !== 'string' && (typeof conditions !== 'object' || Array.isArray(conditions))) {
+    throw new NetworkError(`Invalid network conditions ${JSON.stringify(conditions)}: expected a preset name or an object`);
+  }
+  const { preset = null, ...custom } = typeof conditions === 'string' ? { preset: conditions } : conditions;
+  if (preset !== null && !Object.prototype.hasOwnProperty.call(NETWORK_PRESETS, preset)) {
+    const names = Object.keys(NETWORK_PRESETS).map(name => `"${name}"`).join(', ');
+    throw new NetworkError(`Unknown network preset ${JSON.stringify(preset)}: expected one of ${names}`);
+  }
+
+  const resolved = { ...(preset ? NETWORK_PRESETS[preset] : UNRESTRICTED) };
+  Object.entries(custom).forEach(([name, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(UNRESTRICTED, name)) {
+      throw new NetworkError(`Unknown network condition "${name}": expected ${Object.keys(UNRESTRICTED).join(', ')}`);
+    }
+    if (value !== undefined) {
+      resolved[name] = value;
+    }
+  });
+
+  if (typeof resolved.offline !== 'boolean') {
+    throw new NetworkError(`Invalid offline ${JSON.stringify(resolved.offline)}: expected true or false`);
+  }
+  checkRange('latency', resolved.latencyMs, 0, 60000);
+  if (resolved.downloadKbps !== null) checkRange('download bandwidth', resolved.downloadKbps, 1, 10000000);
+  if (resolved.uploadKbps !== null) checkRange('upload bandwidth', resolved.uploadKbps, 1, 10000000);
+  checkRange('packet loss', resolved.lossPercent, 0, 100);
+  return resolved;
+}
+
+/**
+ * Convert conditions to the API representation
+ * @param {Object} conditions - Resolved conditions
+ * @returns {Object} Payload of the form { offline, latency_ms, download_kbps, upload_kbps, loss_percent }
+ */
+function toPayload(conditions) {
+  return {
+    offline: conditions.offline,
+    latency_ms: conditions.latencyMs,
+    download_kbps: conditions.downloadKbps,
+    upload_kbps: conditions.uploadKbps,
+    loss_percent: conditions.lossPercent
+  };
+}
+
+/**
+ * Convert conditions returned by the API
+ * @param {Object|null} payload - Conditions as returned by the API, or null if none are applied
+ * @returns {Object} Conditions of the form { offline, latencyMs, downloadKbps, uploadKbps, lossPercent }
+ */
+function fromPayload(payload) {
+  if (!payload) {
+    return { ...UNRESTRICTED };
+  }
+  return {
+    offline: Boolean(payload.offline),
+    latencyMs: payload.latency_ms || 0,
+    downloadKbps: payload.download_kbps || null,
+    uploadKbps: payload.upload_kbps || null,
+    lossPercent: payload.loss_percent || 0
+  };
+}
+
+module.exports = {
+  NETWORK_PRESETS,
+  resolveConditions,
+  toPayload,
+  fromPayload
+};
@@ -0,0 +1,201 @@
+/**
+ * HAR export for AirTap Android SDK
+ * Converts traffic captured on the device to HTTP Archive (HAR 1.2) logs
+ */
+
+const HAR_VERSION = '1.2';
+const CREATOR = Object.freeze({ name: 'airtap-android-js', version: '1.0.0' });
+
+/**
+ * Convert headers to HAR name/value pairs
+ * @param {Array<Object>|Object<string, string>|null} headers - Headers as [{ name, value }] or a plain object
+ * @returns {Array<Object>} Headers of the form { name, value }
+ */
+function toNameValues(headers) {
+  if (!headers) {
+    return [];
+  }
+  if (Array.isArray(headers)) {
+    return headers.map(({ name, value }) => ({ name, value: String(value) }));
+  }
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item) }))
+  );
+}
+
+/**
+ * Value of the first header with a name, compared case-insensitively
+ * @param {Array<Object>} headers - Headers of the form { name, value }
+ * @param {string} name - Header name
+ * @returns {string|null} Header value, or null if absent
+ */
+function headerValue(headers, name) {
+  const header = headers.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Cookies sent in Cookie request headers
+ * @param {Array<Object>} headers - Request headers
+ * @returns {Array<Object>} Cookies of the form { name, value }
+ */
+function requestCookies(headers) {
+  return headers
+    .filter(header => header.name.toLowerCase() === 'cookie')
+    .flatMap(header => header.value.split(';'))
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+}
+
+/**
+ * Cookies set by Set-Cookie response headers; attributes other than the value are not kept
+ * @param {Array<Object>} headers - Response headers
+ * @returns {Array<Object>} Cookies of the form { name, value }
+ */
+function responseCookies(headers) {
+  return headers
+    .filter(header => header.name.toLowerCase() === 'set-cookie')
+    .map(header => {
+      const pair = header.value.split(';')[0].trim();
+      const index = pair.indexOf('=');
+      return index === -1 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+}
+
+/**
+ * Query string parameters of a URL
+ * @param {string} url - Absolute URL
+ * @returns {Array<Object>} Parameters of the form { name, value }
+ */
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Size of a captured body in bytes
+ * @param {Object|null} body - Body of the form { text, encoding? }
+ * @returns {number} Size, 0 if there is no body
+ */
+function bodySize(body) {
+  if (!body || typeof body.text !== 'string') {
+    return 0;
+  }
+  if (typeof body.size === 'number') {
+    return body.size;
+  }
+  return Buffer.byteLength(body.text, body.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Convert one captured exchange to a HAR entry
+ * @param {Object} entry - Exchange as returned by the API
+ * @returns {Object} HAR entry
+ */
+function toHarEntry(entry) {
+  const request = entry.request || {};
+  const response = entry.response || {};
+  const requestHeaders = toNameValues(request.headers);
+  const responseHeaders = toNameValues(response.headers);
+  const requestBody = request.body || null;
+  const responseBody = response.body || null;
+
+  // HAR requires send, wait and receive; unknown optional phases are -1
+  const timings = entry.timings || {};
+  const harTimings = {
+    blocked: timings.blocked !== undefined ? timings.blocked : -1,
+    dns: timings.dns !== undefined ? timings.dns : -1,
+    connect: timings.connect !== undefined ? timings.connect : -1,
+    ssl: timings.ssl !== undefined ? timings.ssl : -1,
+    send: timings.send || 0,
+    wait: timings.wait !== undefined ? timings.wait : (entry.time_ms || 0),
+    receive: timings.receive || 0
+  };
+
+  const harRequest = {
+    method: request.method || 'GET',
+    url: request.url,
+    httpVersion: request.http_version || 'HTTP/1.1',
+    cookies: requestCookies(requestHeaders),
+    headers: requestHeaders,
+    queryString: queryString(request.url),
+    headersSize: -1,
+    bodySize: bodySize(requestBody)
+  };
+  if (requestBody && typeof requestBody.text === 'string') {
+    harRequest.postData = {
+      mimeType: requestBody.mime_type || headerValue(requestHeaders, 'content-type') || '',
+      text: requestBody.encoding === 'base64'
+        ? Buffer.from(requestBody.text, 'base64').toString('utf8')
+        : requestBody.text
+    };
+  }
+
+  const content = {
+    size: bodySize(responseBody),
+    mimeType: (responseBody && responseBody.mime_type) || headerValue(responseHeaders, 'content-type') || ''
+  };
+  if (responseBody && typeof responseBody.text === 'string') {
+    content.text = responseBody.text;
+    if (responseBody.encoding === 'base64') content.encoding = 'base64';
+  }
+
+  const harEntry = {
+    startedDateTime: new Date(entry.started_at).toISOString(),
+    time: entry.time_ms !== undefined
+      ? entry.time_ms
+      : Object.values(harTimings).filter(value => value > 0).reduce((total, value) => total + value, 0),
+    request: harRequest,
+    response: {
+      status: response.status || 0,
+      statusText: response.status_text || '',
+      httpVersion: response.http_version || harRequest.httpVersion,
+      cookies: responseCookies(responseHeaders),
+      headers: responseHeaders,
+      content,
+      redirectURL: response.redirect_url || headerValue(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: content.size
+    },
+    cache: {},
+    timings: harTimings
+  };
+  if (entry.server_ip) {
+    harEntry.serverIPAddress = entry.server_ip;
+  }
+  return harEntry;
+}
+
+/**
+ * Build a HAR log from captured traffic
+ * @param {Array<Object>} entries - Exchanges as returned by the API, each of the form
+ *   { started_at, time_ms, server_ip?, request, response, timings? }
+ * @param {Object} [options] - Log options
+ * @param {string} [options.comment] - Comment stored on the log, e.g. the device ID
+ * @returns {Object} HAR document of the form { log: { version, creator, entries } }, entries in start order
+ */
+function toHar(entries, { comment = null } = {}) {
+  const log = {
+    version: HAR_VERSION,
+    creator: { ...CREATOR },
+    pages: [],
+    entries: entries
+      .map(toHarEntry)
+      .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime))
+  };
+  if (comment) {
+    log.comment = comment;
+  }
+  return { log };
+}
+
+module.exports = {
+  toHar
+};
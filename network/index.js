@@ -0,0 +1,15 @@
+/**
+ * Network Module for AirTap Android SDK
+ * Exports the network manager, condition presets and HAR export
+ */
+
+const NetworkManager = require('./manager');
+const { NETWORK_PRESETS, resolveConditions } = require('./conditions');
+const { toHar } = require('./har');
+
+module.exports = {
+  NetworkManager,
+  NETWORK_PRESETS,
+  resolveConditions,
+  toHar
+};
@@ -0,0 +1,136 @@
+/**
+ * Network Manager for AirTap Android SDK
+ * Emulates network conditions and captures the device's HTTP(S) traffic
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveConditions, toPayload, fromPayload } = require('./conditions');
+const { toHar } = require('./har');
+const { NetworkError } = require('../exceptions');
+
+class NetworkManager {
+  /**
+   * Create a new network manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+    this._captureId = null;
+  }
+
+  /**
+   * Whether traffic is being captured
+   * @returns {boolean} True between startCapture and stopCapture
+   */
+  get capturing() {
+    return this._captureId !== null;
+  }
+
+  /**
+   * Read the emulated network conditions
+   * @returns {Promise<Object>} Conditions of the form { offline, latencyMs, downloadKbps, uploadKbps, lossPercent },
+   *   where a null bandwidth is unlimited
+   */
+  async getConditions() {
+    try {
+      const response = await this.sandbox.apiClient.get(this.sandbox._devicePath('/network/conditions'));
+      return fromPayload(response.conditions);
+    } catch (error) {
+      throw new NetworkError(`Failed to read network conditions: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Emulate network conditions on the device's connection
+   * @param {string|Object|null} conditions - Preset name ("offline", "2g", "3g", "4g" or "lossy"),
+   *   custom conditions { preset?, offline?, latencyMs?, downloadKbps?, uploadKbps?, lossPercent? },
+   *   or null to remove the emulation
+   * @returns {Promise<Object>} Previous conditions, which can be passed back to restore them
+   * @throws {NetworkError} If the conditions are invalid or cannot be applied
+   */
+  async setConditions(conditions) {
+    try {
+      const resolved = resolveConditions(conditions);
+      const previous = await this.getConditions();
+      if (conditions === null) {
+        await this.sandbox.apiClient.delete(this.sandbox._devicePath('/network/conditions'));
+      } else {
+        await this.sandbox.apiClient.post(this.sandbox._devicePath('/network/conditions'), toPayload(resolved));
+      }
+      return previous;
+    } catch (error) {
+      throw new NetworkError(`Failed to set network conditions: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Start recording the device's HTTP(S) traffic. Traffic is routed through a proxy whose
+   * certificate authority the device trusts, so HTTPS requests are readable; apps that pin
+   * their certificates will fail to connect while the capture runs.
+   * @param {Object} [options] - Capture options
+   * @param {Array<string>} [options.hosts] - Only record requests to these hosts (default: all)
+   * @param {boolean} [options.includeBodies=true] - Record request and response bodies
+   * @param {number} [options.maxBodyBytes=1048576] - Truncate bodies larger than this
+   * @returns {Promise<string>} Capture ID
+   * @throws {NetworkError} If a capture is already running or cannot be started
+   */
+  async startCapture({ hosts = null, includeBodies = true, maxBodyBytes = 1024 * 1024 } = {}) {
+    try {
+      if (this._captureId) {
+        throw new NetworkError('A capture is already running: call stopCapture() first');
+      }
+      if (hosts !== null && !(Array.isArray(hosts) && hosts.every(host => typeof host === 'string' && host))) {
+        throw new NetworkError('Capture hosts must be an array of host names');
+      }
+      const payload = { include_bodies: includeBodies, max_body_bytes: maxBodyBytes };
+      if (hosts) payload.hosts = hosts;
+
+      const response = await this.sandbox.apiClient.post(this.sandbox._devicePath('/network/capture'), payload);
+      this._captureId = response.capture_id;
+      return this._captureId;
+    } catch (error) {
+      throw new NetworkError(`Failed to start capture: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Stop recording and return the captured traffic as a HAR document
+   * @param {Object} [options] - Export options
+   * @param {string} [options.path] - Local path to write the HAR file to
+   * @returns {Promise<Object>} HAR 1.2 document of the form { log: { version, creator, entries } }
+   * @throws {NetworkError} If no capture is running or the traffic cannot be exported; if only the file
+   *   cannot be written, the error carries the document as `har`
+   */
+  async stopCapture({ path: localPath = null } = {}) {
+    let har;
+    try {
+      if (!this._captureId) {
+        throw new NetworkError('No capture is running: call startCapture() first');
+      }
+      const response = await this.sandbox.apiClient.delete(
+        this.sandbox._devicePath(`/network/capture/${this._captureId}`)
+      );
+      this._captureId = null;
+      har = toHar(response.entries || [], { comment: `Captured on device ${this.sandbox.deviceId}` });
+    } catch (error) {
+      throw new NetworkError(`Failed to stop capture: ${error.message}`, error);
+    }
+
+    if (localPath) {
+      try {
+        const dir = path.dirname(localPath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(localPath, JSON.stringify(har, null, 2));
+      } catch (error) {
+        // The capture is gone from the device, so hand the traffic back with the error
+        throw new NetworkError(`Failed to save capture to ${localPath}: ${error.message}`, error, har);
+      }
+    }
+    return har;
+  }
+}
+
+module.exports = NetworkManager;
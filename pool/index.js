@@ -0,0 +1,10 @@
+/**
+ * Pool Module for AirTap Android SDK
+ * Exports the DevicePool for leasing sandboxes to parallel workers
+ */
+
+const DevicePool = require('./pool');
+
+module.exports = {
+  DevicePool
+};
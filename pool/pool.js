@@ -0,0 +1,319 @@
+/**
+ * Device Pool for AirTap Android SDK
+ * Leases a bounded set of sandboxes to parallel workers and reuses them between leases
+ */
+
+const { AndroidSandbox } = require('../sandbox');
+const { asyncDispose } = require('../cleanup');
+const { PoolError } = require('../exceptions');
+
+/**
+ * Default health check: the device must still run shell commands
+ * @param {AndroidSandbox} sandbox - Sandbox to check
+ * @returns {Promise<boolean>} True if healthy
+ */
+async function defaultHealthCheck(sandbox) {
+  const { stdout, exitCode } = await sandbox.exec('echo ok', { timeout_ms: 10000 });
+  return exitCode === 0 && stdout.trim() === 'ok';
+}
+
+class DevicePool {
+  /**
+   * Create a device pool. Sandboxes are provisioned on demand, up to max.
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.max=2] - Maximum number of sandboxes
+   * @param {Object} [options.sandboxOptions] - Options passed to AndroidSandbox.create for every sandbox
+   * @param {Array<string>} [options.resetPackages] - Packages force-stopped and cleared between leases
+   * @param {Function} [options.healthCheck] - Async function receiving a sandbox and returning whether
+   *   it can be leased again (defaults to running `echo ok`)
+   * @param {number} [options.acquireTimeoutMs] - Default time acquire() waits for a sandbox (no limit if omitted)
+   * @param {Function} [options.onCreate] - Called with each new sandbox before its first lease, e.g. to attach
+   *   event listeners that stay for the sandbox's life in the pool
+   */
+  constructor({ max = 2, sandboxOptions = {}, resetPackages = [], healthCheck = defaultHealthCheck, acquireTimeoutMs = null, onCreate = null } = {}) {
+    if (!Number.isInteger(max) || max < 1) {
+      throw new PoolError(`Pool size must be a positive integer, got ${max}`);
+    }
+    this.max = max;
+    this.sandboxOptions = sandboxOptions;
+    this.resetPackages = resetPackages;
+    this.healthCheck = healthCheck;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.onCreate = onCreate;
+
+    this._sandboxes = new Set();
+    this._idle = [];
+    this._leased = new Set();
+    this._waiters = [];
+    this._provisions = new Set();
+    // Listeners each sandbox had when leased; the ones added during the lease are removed on release
+    this._listeners = new Map();
+    this._closed = false;
+  }
+
+  /**
+   * Current pool occupancy
+   * @type {Object} Counts of the form { size, idle, leased, pending, provisioning }
+   */
+  get stats() {
+    return {
+      size: this._sandboxes.size,
+      idle: this._idle.length,
+      leased: this._leased.size,
+      pending: this._waiters.length,
+      provisioning: this._provisions.size
+    };
+  }
+
+  /**
+   * Lease a sandbox, provisioning one if none is idle and the pool is below max
+   * @param {Object} [options] - Acquire options
+   * @param {number} [options.timeoutMs] - Give up after this long (defaults to the pool's acquireTimeoutMs)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<AndroidSandbox>} A sandbox leased to the caller until release()
+   * @throws {PoolError} If the pool is closed, the wait times out or is aborted, or provisioning fails
+   */
+  acquire({ timeoutMs = this.acquireTimeoutMs, signal = null } = {}) {
+    if (this._closed) {
+      return Promise.reject(new PoolError('Pool is closed'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new PoolError('Acquire aborted', signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => waiter.reject(new PoolError('Acquire aborted', signal.reason));
+      const settle = fn => value => {
+        if (waiter.settled) return;
+        waiter.settled = true;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this._waiters = this._waiters.filter(w => w !== waiter);
+        fn(value);
+      };
+      const waiter = { settled: false };
+      waiter.resolve = settle(resolve);
+      waiter.reject = settle(reject);
+
+      if (timeoutMs !== null) {
+        timer = setTimeout(() => {
+          waiter.reject(new PoolError(`Timed out after ${timeoutMs}ms waiting for a sandbox (${this._describe()})`));
+        }, timeoutMs);
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this._waiters.push(waiter);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Return a leased sandbox. It is reset and health-checked, then leased again or, if unhealthy,
+   * closed and replaced on demand.
+   * @param {AndroidSandbox} sandbox - Sandbox obtained from acquire()
+   * @param {Object} [options] - Release options
+   * @param {boolean} [options.destroy=false] - Close the sandbox instead of reusing it
+   * @returns {Promise<void>}
+   * @throws {PoolError} If the sandbox is not leased from this pool
+   */
+  async release(sandbox, { destroy = false } = {}) {
+    if (this._closed) {
+      // close() has already released every device
+      return;
+    }
+    if (!this._leased.has(sandbox)) {
+      throw new PoolError('Sandbox is not leased from this pool');
+    }
+    this._leased.delete(sandbox);
+    const listeners = this._listeners.get(sandbox);
+    this._listeners.delete(sandbox);
+
+    let healthy = !destroy && sandbox.deviceId !== null;
+    if (healthy) {
+      try {
+        await this._reset(sandbox, listeners);
+        healthy = await this.healthCheck(sandbox);
+      } catch (error) {
+        sandbox.logger.warn(`Discarding sandbox ${sandbox.deviceId}: ${error.message}`);
+        healthy = false;
+      }
+    }
+    if (this._closed) {
+      return;
+    }
+
+    if (healthy) {
+      this._idle.push(sandbox);
+    } else {
+      this._sandboxes.delete(sandbox);
+      await this._dispose(sandbox);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Run a function with a leased sandbox, releasing it afterwards
+   * @param {Function} fn - Async function receiving the sandbox
+   * @param {Object} [options] - Acquire options (see acquire)
+   * @returns {Promise<*>} Result of fn
+   */
+  async use(fn, options = {}) {
+    const sandbox = await this.acquire(options);
+    try {
+      return await fn(sandbox);
+    } finally {
+      await this.release(sandbox);
+    }
+  }
+
+  /**
+   * Close the pool: reject pending acquires and release every device, leased or idle,
+   * including ones still being provisioned
+   * @returns {Promise<void>}
+   * @throws {PoolError} If some devices could not be released (all are attempted)
+   */
+  async close() {
+    this._closed = true;
+    [...this._waiters].forEach(waiter => waiter.reject(new PoolError('Pool is closed')));
+
+    // In-flight provisions dispose of their sandbox themselves once the pool is closed
+    await Promise.allSettled([...this._provisions]);
+
+    const sandboxes = [...this._sandboxes];
+    this._sandboxes.clear();
+    this._idle = [];
+    this._leased.clear();
+    this._listeners.clear();
+
+    const results = await Promise.allSettled(sandboxes.map(sandbox => sandbox.close()));
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length > 0) {
+      throw new PoolError(`Failed to release ${failures.length} of ${sandboxes.length} devices`, failures[0].reason);
+    }
+  }
+
+  /**
+   * Close the pool at the end of an `await using` block
+   * @returns {Promise<void>}
+   */
+  async [asyncDispose]() {
+    await this.close();
+  }
+
+  /**
+   * Hand idle sandboxes to waiters and provision new ones while there is capacity
+   * @private
+   */
+  _dispatch() {
+    while (!this._closed && this._waiters.length > 0) {
+      if (this._idle.length > 0) {
+        this._lease(this._waiters[0], this._idle.shift());
+      } else if (this._sandboxes.size + this._provisions.size < this.max) {
+        this._provision(this._waiters.shift());
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Provision a sandbox for a waiter
+   * @private
+   * @param {Object} waiter - Pending acquire
+   */
+  _provision(waiter) {
+    const provision = AndroidSandbox.create(this.sandboxOptions).then(async sandbox => {
+      this._provisions.delete(provision);
+      if (this._closed) {
+        // close() has already rejected the waiters it could see; this one was taken off the queue
+        waiter.reject(new PoolError('Pool is closed'));
+        await this._dispose(sandbox);
+        return;
+      }
+      if (this.onCreate) {
+        try {
+          await this.onCreate(sandbox);
+        } catch (error) {
+          waiter.reject(new PoolError(`Failed to set up a sandbox: ${error.message}`, error));
+          await this._dispose(sandbox);
+          this._dispatch();
+          return;
+        }
+      }
+      this._sandboxes.add(sandbox);
+      if (waiter.settled) {
+        // The waiter gave up meanwhile; keep the sandbox for the next one
+        this._idle.push(sandbox);
+        this._dispatch();
+      } else {
+        this._lease(waiter, sandbox);
+      }
+    }, error => {
+      this._provisions.delete(provision);
+      waiter.reject(new PoolError(`Failed to provision a sandbox: ${error.message}`, error));
+      this._dispatch();
+    });
+    this._provisions.add(provision);
+  }
+
+  /**
+   * Lease a sandbox to a waiter
+   * @private
+   */
+  _lease(waiter, sandbox) {
+    this._listeners.set(sandbox, new Map(
+      sandbox.eventNames().map(name => [name, sandbox.rawListeners(name)])
+    ));
+    this._leased.add(sandbox);
+    waiter.resolve(sandbox);
+  }
+
+  /**
+   * Clear per-lease state: background jobs, event listeners added during the lease, the reset packages
+   * and the foreground app
+   * @private
+   * @param {AndroidSandbox} sandbox - Sandbox to reset
+   * @param {Map<string, Array<Function>>} listeners - Listeners the sandbox had when it was leased
+   * @returns {Promise<void>}
+   */
+  async _reset(sandbox, listeners) {
+    await sandbox.jobs.killAll('KILL');
+    sandbox.eventNames().forEach(name => {
+      const before = listeners.get(name) || [];
+      sandbox.rawListeners(name)
+        .filter(listener => !before.includes(listener))
+        .forEach(listener => sandbox.removeListener(name, listener));
+    });
+    for (const packageName of this.resetPackages) {
+      await sandbox.apps.forceStop(packageName);
+      await sandbox.apps.clearData(packageName);
+    }
+    await sandbox.pressKey('KEYCODE_HOME');
+  }
+
+  /**
+   * Close a sandbox that is leaving the pool, logging instead of throwing
+   * @private
+   * @param {AndroidSandbox} sandbox - Sandbox to close
+   * @returns {Promise<void>}
+   */
+  async _dispose(sandbox) {
+    try {
+      await sandbox.close();
+    } catch (error) {
+      sandbox.logger.error(`Error releasing device ${sandbox.deviceId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describe occupancy for error messages
+   * @private
+   * @returns {string} e.g. "2 leased, 0 idle, max 2"
+   */
+  _describe() {
+    return `${this._leased.size} leased, ${this._idle.length} idle, max ${this.max}`;
+  }
+}
+
+module.exports = DevicePool;
@@ -0,0 +1,13 @@
+/**
+ * Profiles Module for AirTap Android SDK
+ * Exports the device presets and profile resolution
+ */
+
+const { DEVICE_PRESETS, resolveProfile, normalizeLocale, normalizeTimezone } = require('./profile');
+
+module.exports = {
+  DEVICE_PRESETS,
+  resolveProfile,
+  normalizeLocale,
+  normalizeTimezone
+};
@@ -0,0 +1,167 @@
+/**
+ * Device Profiles for AirTap Android SDK
+ * Named hardware presets and client-side validation of device configuration
+ */
+
+const { ProfileError } = require('../exceptions');
+
+// Configuration used when neither a preset nor an explicit option sets a value
+const DEFAULT_PROFILE = {
+  resolution: [1280, 720],
+  dpi: 160,
+  memory_mb: 2048,
+  android_version: '13',
+  device_model: 'Pixel 4'
+};
+
+const DEVICE_PRESETS = Object.freeze({
+  phone: Object.freeze({ resolution: [1080, 2400], dpi: 420, memory_mb: 4096, android_version: '14', device_model: 'Pixel 7' }),
+  tablet: Object.freeze({ resolution: [2560, 1600], dpi: 320, memory_mb: 4096, android_version: '14', device_model: 'Pixel Tablet' }),
+  foldable: Object.freeze({ resolution: [2208, 1840], dpi: 420, memory_mb: 6144, android_version: '14', device_model: 'Pixel Fold' }),
+  'low-end': Object.freeze({ resolution: [720, 1600], dpi: 280, memory_mb: 2048, android_version: '11', device_model: 'Galaxy A03 Core', gpu_mode: 'software' })
+});
+
+const ANDROID_VERSIONS = ['10', '11', '12', '13', '14', '15'];
+const ORIENTATIONS = ['portrait', 'landscape'];
+const GPU_MODES = ['auto', 'host', 'software'];
+
+/**
+ * Describe a list of allowed values for error messages
+ * @param {Array<string>} values - Allowed values
+ * @returns {string} Comma-separated quoted values
+ */
+function listOf(values) {
+  return values.map(value => `"${value}"`).join(', ');
+}
+
+/**
+ * Check that a value is an integer within a range
+ * @param {string} name - Option name
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @throws {ProfileError} If the value is out of range
+ */
+function checkInteger(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ProfileError(`Invalid ${name} ${JSON.stringify(value)}: expected an integer from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Canonicalize a BCP 47 locale tag such as "en-US"
+ * @param {string} locale - Locale tag
+ * @returns {string} Canonical tag
+ * @throws {ProfileError} If the tag is invalid
+ */
+function normalizeLocale(locale) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    if (/^[a-z]{2,3}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/.test(canonical)) {
+      return canonical;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ProfileError(`Invalid locale ${JSON.stringify(locale)}: expected a language tag such as "en-US"`);
+}
+
+/**
+ * Canonicalize an IANA time zone name such as "Europe/Paris"
+ * @param {string} timezone - Time zone name
+ * @returns {string} Canonical name
+ * @throws {ProfileError} If the time zone is unknown
+ */
+function normalizeTimezone(timezone) {
+  try {
+    if (typeof timezone === 'string') {
+      return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ProfileError(`Invalid timezone ${JSON.stringify(timezone)}: expected an IANA time zone such as "Europe/Paris"`);
+}
+
+/**
+ * Validate the initial battery state
+ * @param {Object} battery - Battery state of the form { level, charging }
+ * @returns {Object} Battery state with charging defaulting to false
+ * @throws {ProfileError} If the state is invalid
+ */
+function normalizeBattery(battery) {
+  if (!battery || typeof battery !== 'object') {
+    throw new ProfileError('Invalid battery: expected an object of the form { level, charging }');
+  }
+  const { level, charging = false } = battery;
+  checkInteger('battery level', level, 0, 100);
+  if (typeof charging !== 'boolean') {
+    throw new ProfileError(`Invalid battery charging ${JSON.stringify(charging)}: expected a boolean`);
+  }
+  return { level, charging };
+}
+
+/**
+ * Resolve a device configuration from an optional preset and explicit options, which take
+ * precedence over the preset. Everything is validated before any device is provisioned.
+ * @param {Object} [options] - Device options, as accepted by the AndroidSandbox constructor
+ * @param {string} [options.profile] - Preset name (see DEVICE_PRESETS)
+ * @returns {Object} Configuration of the form { profile, resolution, dpi, memory_mb, android_version,
+ *   device_model, locale, timezone, orientation, gpu_mode, battery }; unset optional values are null
+ * @throws {ProfileError} If the preset or any option is invalid
+ */
+function resolveProfile({ profile = null, ...options } = {}) {
+  if (profile !== null && !Object.prototype.hasOwnProperty.call(DEVICE_PRESETS, profile)) {
+    throw new ProfileError(`Unknown device profile ${JSON.stringify(profile)}: expected one of ${listOf(Object.keys(DEVICE_PRESETS))}`);
+  }
+
+  const config = { ...DEFAULT_PROFILE, ...(profile ? DEVICE_PRESETS[profile] : {}) };
+  Object.entries(options).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) {
+      config[name] = value;
+    }
+  });
+
+  const { resolution, dpi, memory_mb, device_model } = config;
+  if (!Array.isArray(resolution) || resolution.length !== 2) {
+    throw new ProfileError(`Invalid resolution ${JSON.stringify(resolution)}: expected [width, height]`);
+  }
+  resolution.forEach(size => checkInteger('resolution', size, 240, 7680));
+  checkInteger('dpi', dpi, 120, 640);
+  checkInteger('memory_mb', memory_mb, 1024, 16384);
+
+  const android_version = String(config.android_version);
+  if (!ANDROID_VERSIONS.includes(android_version)) {
+    throw new ProfileError(`Unsupported android_version "${android_version}": expected one of ${listOf(ANDROID_VERSIONS)}`);
+  }
+  if (typeof device_model !== 'string' || !device_model.trim()) {
+    throw new ProfileError(`Invalid device_model ${JSON.stringify(device_model)}: expected a model name such as "Pixel 7"`);
+  }
+  if (config.orientation && !ORIENTATIONS.includes(config.orientation)) {
+    throw new ProfileError(`Invalid orientation ${JSON.stringify(config.orientation)}: expected one of ${listOf(ORIENTATIONS)}`);
+  }
+  if (config.gpu_mode && !GPU_MODES.includes(config.gpu_mode)) {
+    throw new ProfileError(`Invalid gpu_mode ${JSON.stringify(config.gpu_mode)}: expected one of ${listOf(GPU_MODES)}`);
+  }
+
+  return {
+    profile,
+    resolution: resolution.slice(),
+    dpi,
+    memory_mb,
+    android_version,
+    device_model,
+    locale: config.locale ? normalizeLocale(config.locale) : null,
+    timezone: config.timezone ? normalizeTimezone(config.timezone) : null,
+    orientation: config.orientation || null,
+    gpu_mode: config.gpu_mode || null,
+    battery: config.battery ? normalizeBattery(config.battery) : null
+  };
+}
+
+module.exports = {
+  DEVICE_PRESETS,
+  resolveProfile,
+  normalizeLocale,
+  normalizeTimezone
+};
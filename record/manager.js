@@ -4,6 +4,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { sh } = require('../shell');
 const { RecordingError } = require('../exceptions');
 
 class RecordManager {
@@ -14,6 +15,7 @@ class RecordManager {
   constructor(sandbox) {
     this.sandbox = sandbox;
     this.recordingId = null;
+    this.job = null;
     this.isRecording = false;
     this.recordingStartTime = null;
   }
@@ -40,10 +42,13 @@ class RecordManager {
       // Build the command with options
       const audioOption = options.audio ? '--audio-source=mic' : '--audio-source=none';
       const timeLimitMs = options.timeLimit * 1000;
+      const size = `${options.width}x${options.height}`;
+      const bitRate = `${options.bitRate}M`;
+      const recordingPath = `/sdcard/recording_${this.recordingId}.mp4`;
       
-      // Start recording
-      await this.sandbox.executeShellCommand(
-        `screenrecord --size ${options.width}x${options.height} --bit-rate ${options.bitRate}M ${audioOption} --time-limit ${options.timeLimit} /sdcard/recording_${this.recordingId}.mp4`
+      // Start recording in the background; screenrecord runs until stopped or the time limit
+      this.job = await this.sandbox.jobs.spawn(
+        sh`screenrecord --size ${size} --bit-rate ${bitRate} ${audioOption} --time-limit ${options.timeLimit} ${recordingPath}`
       );
       
       this.isRecording = true;
@@ -65,13 +70,19 @@ class RecordManager {
         throw new RecordingError('No active recording to stop');
       }
       
-      // Android's screenrecord can only be stopped with a signal
-      await this.sandbox.executeShellCommand('pkill -INT screenrecord');
-      
-      // Wait for the recording to finalize
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      this.isRecording = false;
+      try {
+        // Android's screenrecord finalizes the file when interrupted
+        if (this.job.status === 'running') {
+          await this.job.kill('INT');
+        }
+        
+        // Wait for the recording to finalize
+        await this.job.wait();
+      } finally {
+        // A lost job cannot be stopped again, so allow a new recording either way
+        this.isRecording = false;
+        this.job = null;
+      }
       const recordingPath = `/sdcard/recording_${this.recordingId}.mp4`;
       
       // Check if the file exists
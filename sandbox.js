@@ -4,13 +4,79 @@
  * The main interface to interact with a virtual Android device in the cloud.
  */
 
-const axios = require('axios');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const ApiClient = require('./api/client');
 const StreamManager = require('./stream/manager');
 const AppManager = require('./apps/manager');
 const RecordManager = require('./record/manager');
 const FileManager = require('./files/manager');
-const { AirTapError, ApiKeyError, ConnectionError } = require('./exceptions');
+const UiManager = require('./ui/manager');
+const JobManager = require('./jobs/manager');
+const SnapshotManager = require('./snapshots/manager');
+const ClipboardManager = require('./clipboard/manager');
+const SettingsManager = require('./settings/manager');
+const LocationManager = require('./location/manager');
+const NetworkManager = require('./network/manager');
+const LogManager = require('./logs/manager');
+const { resolveProfile } = require('./profiles');
+const cleanup = require('./cleanup');
+const { Gesture, presets } = require('./gesture');
+const ActionSequence = require('./batch/sequence');
+const { ScreenGeometry } = require('./screen');
+const { normalizeKey, metaStateOf } = require('./keys');
+const { sleep, poll } = require('./wait');
+const { AirTapError, ApiKeyError, ApiError, ConnectionError, KeyError, ShellError, WaitTimeoutError } = require('./exceptions');
+
+/**
+ * Check whether an activity component matches an expected activity name.
+ * 
+ * @param {string} component - Resumed component, e.g. "com.android.settings/.Settings"
+ * @param {string|RegExp} expected - Component ("pkg/.Cls" or "pkg/pkg.Cls"), fully qualified
+ *   class name, simple class name, or a RegExp tested against "pkg/fully.qualified.Cls"
+ * @returns {boolean} True if the component matches
+ */
+function activityMatches(component, expected) {
+  const qualify = (pkg, cls) => cls.startsWith(".") ? pkg + cls : cls;
+  const [pkg, cls] = component.split("/");
+  const className = qualify(pkg, cls || "");
+  
+  if (expected instanceof RegExp) {
+    return expected.test(`${pkg}/${className}`);
+  }
+  if (expected.includes("/")) {
+    const [expectedPkg, expectedCls] = expected.split("/");
+    return expectedPkg === pkg && qualify(expectedPkg, expectedCls) === className;
+  }
+  return className === expected || className.endsWith(expected.startsWith(".") ? expected : `.${expected}`);
+}
+
+/**
+ * Copy wait options for action events, leaving out the abort signal.
+ * 
+ * @param {Object} options - Wait options
+ * @returns {Object} The options without signal
+ */
+function waitArgs(options) {
+  const args = { ...options };
+  delete args.signal;
+  return args;
+}
+
+/**
+ * Resolve the API key from an option or the environment.
+ * 
+ * @param {string|null} api_key - API key option
+ * @returns {string} The API key
+ * @throws {ApiKeyError} If no API key is provided or found in environment
+ */
+function resolveApiKey(api_key) {
+  const key = api_key || process.env.AIRTAP_API_KEY;
+  if (!key) {
+    throw new ApiKeyError("No API key provided. Set AIRTAP_API_KEY environment variable or pass api_key parameter.");
+  }
+  return key;
+}
 
 /**
  * Main class for interacting with a virtual Android device in the cloud.
@@ -21,50 +87,138 @@ const { AirTapError, ApiKeyError, ConnectionError } = require('./exceptions');
  * - App management
  * - Screenshot and screen recording
  * - File transfer
- * - Shell command execution
+ * - Shell command execution and background shell jobs
+ * - UI hierarchy inspection
+ * - Device snapshots
+ * 
+ * Emits structured action:start, action:end and action:error events for every device action.
  */
-class AndroidSandbox {
+class AndroidSandbox extends EventEmitter {
   /**
    * Initialize a new virtual Android device.
    * 
+   * Device options override the values of the selected profile preset.
+   * 
    * @param {Object} options - Configuration options
+   * @param {string} [options.profile] - Device preset: "phone", "tablet", "foldable" or "low-end" (see DEVICE_PRESETS)
    * @param {Array<number>} [options.resolution=[1280, 720]] - Screen resolution as [width, height] array
    * @param {number} [options.dpi=160] - Screen density (dots per inch)
    * @param {boolean} [options.webrtc=false] - Enable WebRTC streaming
    * @param {number} [options.memory_mb=2048] - VM memory in megabytes
+   * @param {string} [options.android_version="13"] - Android version: "10" to "15"
+   * @param {string} [options.device_model="Pixel 4"] - Device model name reported by the device
+   * @param {string} [options.locale] - System locale as a language tag, e.g. "fr-FR"
+   * @param {string} [options.timezone] - IANA time zone, e.g. "Europe/Paris"
+   * @param {string} [options.orientation] - Initial orientation: "portrait" or "landscape"
+   * @param {string} [options.gpu_mode] - GPU emulation: "auto", "host" or "software"
+   * @param {Object} [options.battery] - Initial battery state of the form { level: 0-100, charging: boolean }
+   * @param {string} [options.from_snapshot] - Boot the device from a saved snapshot (see SnapshotManager)
    * @param {string} [options.api_key] - AirTap API key (defaults to AIRTAP_API_KEY env variable)
+   * @param {string} [options.base_url] - API base URL (defaults to AIRTAP_BASE_URL env variable, then the AirTap cloud)
+   * @param {number} [options.timeout_ms=10000] - Default request timeout (defaults to AIRTAP_TIMEOUT_MS env variable)
+   * @param {Object} [options.headers] - Extra HTTP headers sent with every request (merged over AIRTAP_HEADERS)
+   * @param {Object|boolean} [options.retry] - Retry policy for transient API failures (see ApiClient), or false to disable
+   * @param {boolean} [options.strict] - Throw ApiError on failed device calls instead of logging and returning
+   *   an empty result (defaults to the AIRTAP_STRICT env variable; will become the default in a future release)
+   * @param {Object} [options.logger=console] - Logger with debug/info/warn/error methods (pino and winston loggers work as-is)
+   * @param {number} [options.keepalive_ms] - Send a heartbeat at this interval to keep a long session alive
+   * @param {number} [options.idle_timeout_ms] - Release the device after this long without device actions
+   *   or running background jobs
    * @throws {ApiKeyError} If no API key is provided or found in environment
+   * @throws {ProfileError} If the profile or a device option is invalid
    * @throws {ConnectionError} If connection to the cloud service fails
    */
   constructor({ 
-    resolution = [1280, 720], 
-    dpi = 160, 
+    profile = null,
+    resolution = null, 
+    dpi = null, 
     webrtc = false, 
-    memory_mb = 2048, 
-    api_key = null 
+    memory_mb = null, 
+    android_version = null,
+    device_model = null,
+    locale = null,
+    timezone = null,
+    orientation = null,
+    gpu_mode = null,
+    battery = null,
+    from_snapshot = null,
+    api_key = null,
+    base_url = null,
+    timeout_ms = null,
+    headers = null,
+    retry = null,
+    strict = null,
+    logger = null,
+    keepalive_ms = null,
+    idle_timeout_ms = null
   } = {}) {
-    this.api_key = api_key || process.env.AIRTAP_API_KEY;
-    if (!this.api_key) {
-      throw new ApiKeyError("No API key provided. Set AIRTAP_API_KEY environment variable or pass api_key parameter.");
-    }
+    super();
+    
+    this.api_key = resolveApiKey(api_key);
+    
+    // Validated before anything is provisioned
+    const config = resolveProfile({
+      profile, resolution, dpi, memory_mb, android_version, device_model, locale, timezone, orientation, gpu_mode, battery
+    });
+    this.profile = config.profile;
+    this.resolution = config.resolution;
+    this.dpi = config.dpi;
+    this.memory_mb = config.memory_mb;
+    this.android_version = config.android_version;
+    this.device_model = config.device_model;
+    this.locale = config.locale;
+    this.timezone = config.timezone;
+    this.orientation = config.orientation;
+    this.gpu_mode = config.gpu_mode;
+    this.battery = config.battery;
+    this.from_snapshot = from_snapshot;
+    this.logger = logger || console;
+    this.strict = strict !== null ? strict : ['1', 'true'].includes(process.env.AIRTAP_STRICT);
+    this.keepalive_ms = keepalive_ms;
+    this.idle_timeout_ms = idle_timeout_ms;
     
-    this.resolution = resolution;
-    this.dpi = dpi;
-    this.memory_mb = memory_mb;
+    // Shared transport used by the sandbox and all managers
+    this.apiClient = new ApiClient(this.api_key, {
+      baseUrl: base_url,
+      timeout: timeout_ms,
+      headers: headers,
+      retry: retry
+    });
     
     // Initialize managers
     this.stream = new StreamManager(this);
     this.apps = new AppManager(this);
     this.record = new RecordManager(this);
     this.files = new FileManager(this);
+    this.ui = new UiManager(this);
+    this.jobs = new JobManager(this);
+    this.snapshots = new SnapshotManager(this);
+    this.clipboard = new ClipboardManager(this);
+    this.settings = new SettingsManager(this);
+    this.location = new LocationManager(this);
+    this.network = new NetworkManager(this);
+    this.logs = new LogManager(this);
     
     // Enable WebRTC if requested
     if (webrtc) {
       this.stream.enableWebrtc();
     }
     
-    // Will be initialized during create() call
+    // Will be initialized during create() or attach() call
     this._device_id = null;
+    this.session_id = null;
+    this.created_at = null;
+    // Quarter turns from the natural orientation, in degrees; updated by get/setOrientation()
+    this.rotation = 0;
+    
+    // Keepalive and idle tracking, started once connected
+    this.last_active_at = null;
+    this._actions_in_flight = 0;
+    this._keepalive_timer = null;
+    this._idle_timer = null;
+    
+    // Keys held down with keyDown(), as normalized key names
+    this._held_keys = new Set();
   }
 
   /**
@@ -80,6 +234,254 @@ class AndroidSandbox {
     return sandbox;
   }
   
+  /**
+   * Create a sandbox around a device that is already running, e.g. after a worker restart.
+   * 
+   * The device's resolution, dpi, memory, Android version and model are taken from the device itself.
+   * 
+   * @param {string} device_id - ID of a running device (see listDevices)
+   * @param {Object} [options] - Configuration options (see constructor)
+   * @returns {Promise<AndroidSandbox>} A sandbox controlling the existing device
+   * @throws {ConnectionError} If the device does not exist, has been released or cannot be reached
+   */
+  static async attach(device_id, options = {}) {
+    const sandbox = new AndroidSandbox(options);
+    await sandbox._attachDevice(device_id);
+    return sandbox;
+  }
+  
+  /**
+   * Rebuild a sandbox from session info produced by toSession() in another process.
+   * 
+   * @param {Object|string} session - Session info, or its JSON serialization
+   * @param {Object} [options] - Configuration options (see constructor); the API key is not part of the session
+   * @returns {Promise<AndroidSandbox>} A sandbox controlling the session's device
+   * @throws {ConnectionError} If the session has no device or the device cannot be attached
+   */
+  static async fromSession(session, options = {}) {
+    const info = typeof session === "string" ? JSON.parse(session) : session;
+    if (!info || !info.device_id) {
+      throw new ConnectionError("Session info has no device_id");
+    }
+    return AndroidSandbox.attach(info.device_id, { base_url: info.base_url, ...options });
+  }
+  
+  /**
+   * List the running devices of the account.
+   * 
+   * @param {Object} [options] - Connection options (api_key, base_url, timeout_ms, headers, retry; see constructor)
+   * @returns {Promise<Array<Object>>} Devices of the form { device_id, status, created_at, session_id,
+   *   resolution, dpi, memory_mb, android_version, device_model }
+   * @throws {ApiKeyError} If no API key is provided or found in environment
+   * @throws {ConnectionError} If the devices cannot be listed
+   */
+  static async listDevices({ api_key = null, base_url = null, timeout_ms = null, headers = null, retry = null } = {}) {
+    const apiClient = new ApiClient(resolveApiKey(api_key), {
+      baseUrl: base_url,
+      timeout: timeout_ms,
+      headers: headers,
+      retry: retry
+    });
+    try {
+      const result = await apiClient.get("/devices");
+      return result.devices || [];
+    } catch (e) {
+      throw new ConnectionError(`Failed to list devices: ${e.message}`, e);
+    }
+  }
+  
+  /**
+   * Release all devices of the sandboxes this process created or attached and has not closed yet.
+   * 
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeoutMs=10000] - Maximum time to wait for each release
+   * @returns {Promise<number>} Number of devices released
+   */
+  static async releaseAll(options = {}) {
+    return cleanup.releaseAll(options);
+  }
+  
+  /**
+   * Release all live sandboxes when the process is interrupted (SIGINT, SIGTERM, SIGHUP) or
+   * finishes its work with sandboxes still open, so a crashed or aborted script does not leak devices.
+   * 
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.signals] - Signals to handle instead of SIGINT, SIGTERM and SIGHUP
+   * @param {number} [options.timeoutMs=10000] - Maximum time to wait for each release
+   * @returns {Function} Function removing the hooks
+   */
+  static installExitHooks(options = {}) {
+    return cleanup.installExitHooks(options);
+  }
+  
+  /**
+   * ID of the device backing this sandbox (null until created or after close).
+   * 
+   * @type {string|null}
+   */
+  get deviceId() {
+    return this._device_id;
+  }
+  
+  /**
+   * Build an API path scoped to this sandbox's device.
+   * 
+   * @private
+   * @param {string} suffix - Path below the device resource (e.g. "/input/key")
+   * @returns {string} Device-scoped API path
+   * @throws {ConnectionError} If the sandbox has no device
+   */
+  _devicePath(suffix) {
+    if (!this._device_id) {
+      throw new ConnectionError("Sandbox is not connected to a device; use AndroidSandbox.create()");
+    }
+    return `/devices/${this._device_id}${suffix}`;
+  }
+  
+  /**
+   * Handle a failed device call: rethrow in strict mode, otherwise log and return a fallback.
+   * 
+   * @private
+   * @param {string} message - Description of the failed operation
+   * @param {Error} error - The failure
+   * @param {*} [fallback] - Value returned in non-strict mode
+   * @returns {*} The fallback value
+   * @throws {AirTapError} The original error, in strict mode
+   */
+  _handleFailure(message, error, fallback) {
+    if (this.strict) {
+      throw error;
+    }
+    this.logger.error(`${message}: ${error.message}`);
+    return fallback;
+  }
+  
+  /**
+   * Run a device action, publishing action:start, action:end and (on failure) action:error events.
+   * 
+   * Every event carries { name, args, device_id, started_at }; action:end and action:error
+   * add { status, duration_ms }, and action:error adds the error. action:end is emitted for
+   * failed actions too (with status "error"), so each start is always paired with an end.
+   * 
+   * @private
+   * @param {string} name - Action name (usually the method name)
+   * @param {Object} args - Action arguments, as passed to the method
+   * @param {Function} fn - Async function performing the action
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} Whatever fn throws, after the events are emitted
+   */
+  async _runAction(name, args, fn) {
+    const event = { name, args, device_id: this._device_id, started_at: Date.now() };
+    this.emit("action:start", event);
+    this._actions_in_flight++;
+    this.last_active_at = event.started_at;
+    
+    try {
+      const result = await fn();
+      this.emit("action:end", { ...event, status: "ok", duration_ms: Date.now() - event.started_at });
+      return result;
+    } catch (error) {
+      const failed = { ...event, status: "error", duration_ms: Date.now() - event.started_at };
+      this.emit("action:error", { ...failed, error });
+      this.emit("action:end", failed);
+      throw error;
+    } finally {
+      this._actions_in_flight--;
+      this.last_active_at = Date.now();
+    }
+  }
+  
+  /**
+   * Start tracking a newly connected device: register it for releaseAll and start the
+   * keepalive and idle timers.
+   * 
+   * @private
+   */
+  _startLifecycle() {
+    cleanup.track(this);
+    this.last_active_at = Date.now();
+    
+    // Timers are unref'd: they never keep the process alive on their own
+    if (this.keepalive_ms) {
+      this._keepalive_timer = setInterval(() => this._sendKeepalive(), this.keepalive_ms);
+      this._keepalive_timer.unref();
+    }
+    if (this.idle_timeout_ms) {
+      this._scheduleIdleCheck(this.idle_timeout_ms);
+    }
+  }
+  
+  /**
+   * Stop the keepalive and idle timers.
+   * 
+   * @private
+   */
+  _stopTimers() {
+    clearInterval(this._keepalive_timer);
+    clearTimeout(this._idle_timer);
+    this._keepalive_timer = null;
+    this._idle_timer = null;
+  }
+  
+  /**
+   * Send a heartbeat keeping the device's session alive. Failures are logged; a device that
+   * no longer exists stops the keepalive.
+   * 
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _sendKeepalive() {
+    const device_id = this._device_id;
+    if (!device_id) {
+      return;
+    }
+    try {
+      await this.apiClient.post(this._devicePath("/heartbeat"), {});
+    } catch (e) {
+      this.logger.warn(`Keepalive failed for device ${device_id}: ${e.message}`);
+      if (e.status === 404) {
+        clearInterval(this._keepalive_timer);
+        this._keepalive_timer = null;
+      }
+    }
+  }
+  
+  /**
+   * Check for idleness after a delay.
+   * 
+   * @private
+   * @param {number} delay_ms - Delay before the check
+   */
+  _scheduleIdleCheck(delay_ms) {
+    this._idle_timer = setTimeout(() => this._checkIdle(), delay_ms);
+    this._idle_timer.unref();
+  }
+  
+  /**
+   * Release the device if nothing used it for idle_timeout_ms, emitting an "idle" event
+   * first; otherwise check again when the timeout would next expire.
+   * 
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _checkIdle() {
+    this._idle_timer = null;
+    const idle_ms = Date.now() - this.last_active_at;
+    const busy = this._actions_in_flight > 0 || this.jobs.jobs.size > 0;
+    if (busy || idle_ms < this.idle_timeout_ms) {
+      this._scheduleIdleCheck(busy ? this.idle_timeout_ms : this.idle_timeout_ms - idle_ms);
+      return;
+    }
+    
+    this.logger.info(`Releasing device ${this._device_id} after ${idle_ms}ms without activity`);
+    this.emit("idle", { device_id: this._device_id, idle_ms });
+    try {
+      await this.close();
+    } catch (e) {
+      this.logger.error(`Error releasing idle device: ${e.message}`);
+    }
+  }
+  
   /**
    * Initialize the connection to a virtual Android device.
    * 
@@ -97,49 +499,35 @@ class AndroidSandbox {
       dpi: this.dpi,
       memory_mb: this.memory_mb,
       session_id: session_id,
-      android_version: "13",
-      device_model: "Pixel 4"
-    };
-    
-    // Build API endpoint URL
-    const api_url = "https://api.airtap.ai/v1/devices";
-    
-    // Set up authentication headers
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json",
-      "X-Client-Version": "1.0.0" // Replace with package.version
+      android_version: this.android_version,
+      device_model: this.device_model
     };
+    // Optional settings are left to the service's defaults unless given
+    ["locale", "timezone", "orientation", "gpu_mode", "battery"].forEach(key => {
+      if (this[key] !== null) {
+        payload[key] = this[key];
+      }
+    });
+    if (this.from_snapshot) {
+      payload.from_snapshot = this.from_snapshot;
+    }
     
+    let result;
     try {
-      // Make API request to provision a device
-      const response = await axios.post(api_url, payload, { headers, timeout: 60000 });
-      
-      // Check for successful response
-      if (response.status === 201) {
-        const result = response.data;
-        const device_id = result.device_id;
-        if (!device_id) {
-          throw new ConnectionError("Missing device_id in API response");
-        }
-        this._device_id = device_id;
-        return device_id;
-      } else {
-        let error_msg = `Failed to initialize device: ${response.status}`;
-        if (response.data && response.data.error) {
-          error_msg = `Failed to initialize device: ${response.data.error}`;
-        }
-        throw new ConnectionError(error_msg);
-      }
+      // Make API request to provision a device. The session ID doubles as the idempotency
+      // key, so a retried request returns the same device instead of provisioning another.
+      result = await this._runAction("create", payload, () =>
+        this.apiClient.post("/devices", payload, { timeout: 60000, idempotencyKey: session_id })
+      );
     } catch (e) {
-      if (e.response) {
+      if (e.status) {
         // The request was made and the server responded with a status code outside of 2xx
-        let error_msg = `Failed to initialize device: ${e.response.status}`;
-        if (e.response.data && e.response.data.error) {
-          error_msg = `Failed to initialize device: ${e.response.data.error}`;
+        let error_msg = `Failed to initialize device: ${e.status}`;
+        if (e.data && e.data.error) {
+          error_msg = `Failed to initialize device: ${e.data.error}`;
         }
         throw new ConnectionError(error_msg);
-      } else if (e.request) {
+      } else if (e.cause && e.cause.request) {
         // The request was made but no response was received
         throw new ConnectionError(`Connection error when initializing device: No response received`);
       } else {
@@ -147,169 +535,360 @@ class AndroidSandbox {
         throw new ConnectionError(`Connection error when initializing device: ${e.message}`);
       }
     }
+    
+    const device_id = result && result.device_id;
+    if (!device_id) {
+      throw new ConnectionError("Missing device_id in API response");
+    }
+    this._device_id = device_id;
+    this.session_id = session_id;
+    this.created_at = result.created_at || new Date().toISOString();
+    this.rotation = result.rotation || 0;
+    this._startLifecycle();
+    return device_id;
   }
   
   /**
-   * Perform a tap gesture at the specified coordinates.
+   * Connect this sandbox to an existing device.
    * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @returns {Promise<void>}
+   * @private
+   * @param {string} device_id - Device ID
+   * @returns {Promise<string>} Device ID
+   * @throws {ConnectionError} If the device cannot be attached
    */
-  async tap(x, y) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/tap`;
+  async _attachDevice(device_id) {
+    let info;
+    try {
+      info = await this._runAction("attach", { device_id }, () =>
+        this.apiClient.get(`/devices/${encodeURIComponent(device_id)}`)
+      );
+    } catch (e) {
+      if (e.status === 404) {
+        throw new ConnectionError(`Device ${device_id} not found or already released`, e);
+      }
+      throw new ConnectionError(`Failed to attach to device ${device_id}: ${e.message}`, e);
+    }
     
-    const payload = {
-      x: x,
-      y: y
-    };
+    if (info.status && info.status !== "running") {
+      throw new ConnectionError(`Device ${device_id} is ${info.status}`);
+    }
     
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
+    this._device_id = device_id;
+    this.session_id = info.session_id || null;
+    this.created_at = info.created_at || null;
+    if (info.resolution) this.resolution = info.resolution;
+    if (info.dpi) this.dpi = info.dpi;
+    if (info.memory_mb) this.memory_mb = info.memory_mb;
+    if (info.android_version) this.android_version = info.android_version;
+    if (info.device_model) this.device_model = info.device_model;
+    this.rotation = info.rotation || 0;
+    this._startLifecycle();
+    return device_id;
+  }
+  
+  /**
+   * Session info needed to reattach to this sandbox's device from another process.
+   * The API key is deliberately left out.
+   * 
+   * @returns {Object} Session info of the form { device_id, session_id, base_url, created_at,
+   *   resolution, dpi, memory_mb, android_version, device_model }
+   */
+  toSession() {
+    return {
+      device_id: this._device_id,
+      session_id: this.session_id,
+      base_url: this.apiClient.baseUrl,
+      created_at: this.created_at,
+      resolution: this.resolution,
+      dpi: this.dpi,
+      memory_mb: this.memory_mb,
+      android_version: this.android_version,
+      device_model: this.device_model
     };
-    
+  }
+  
+  /**
+   * JSON serialization of the sandbox, i.e. its session info.
+   * 
+   * @returns {Object} See toSession
+   */
+  toJSON() {
+    return this.toSession();
+  }
+  
+  /**
+   * Geometry of the device screen in its current orientation, used to resolve norm() and dp()
+   * coordinates and to map points from screenshots.
+   * 
+   * @example
+   * const image = await sandbox.screenshot();
+   * const [x, y] = sandbox.screen.fromScreenshot([120, 340], image);
+   * 
+   * @type {ScreenGeometry}
+   */
+  get screen() {
+    return new ScreenGeometry({ resolution: this.resolution, dpi: this.dpi, rotation: this.rotation });
+  }
+  
+  /**
+   * Resolve a point given in any unit to device pixels.
+   * 
+   * @private
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Array<number>} [x, y] in pixels
+   */
+  _point(x, y) {
+    return this.screen.toPixels(x, y);
+  }
+  
+  /**
+   * Resolve a distance given in any unit to device pixels.
+   * 
+   * @private
+   * @param {number|Length} value - Distance
+   * @returns {number} Pixels
+   */
+  _length(value) {
+    return this.screen.toPixelLength(value);
+  }
+  
+  /**
+   * Read the current display rotation from the device.
+   * 
+   * @returns {Promise<Object>} Orientation of the form { rotation, orientation } where rotation is
+   *   0, 90, 180 or 270 and orientation is "portrait" or "landscape"
+   */
+  async getOrientation() {
+    const output = await this.executeShellCommand("dumpsys input | grep SurfaceOrientation");
+    const match = /SurfaceOrientation:\s*(\d)/.exec(output);
+    if (match) {
+      this.rotation = parseInt(match[1], 10) * 90;
+    }
+    return { rotation: this.rotation, orientation: this.screen.orientation };
+  }
+  
+  /**
+   * Rotate the display, turning auto-rotate off so the orientation sticks.
+   * 
+   * @param {string|number} orientation - "portrait", "landscape", "reverse-portrait", "reverse-landscape",
+   *   or a rotation of 0, 90, 180 or 270 from the natural orientation
+   * @returns {Promise<boolean>} True if the display was rotated
+   * @throws {ScreenError} If the orientation is unknown
+   */
+  async setOrientation(orientation) {
+    const rotation = ScreenGeometry.rotationOf(orientation, this.resolution);
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Tap operation returned status code ${response.status}`);
-      }
+      await this.exec(
+        `settings put system accelerometer_rotation 0 && settings put system user_rotation ${rotation / 90}`,
+        { throw_on_error: true }
+      );
     } catch (e) {
-      console.error(`Error performing tap: ${e.message}`);
+      return this._handleFailure("Error setting orientation", e, false);
     }
+    this.rotation = rotation;
+    return true;
   }
   
   /**
-   * Perform a double tap gesture at the specified coordinates.
+   * Start building a multi-touch gesture, performed with its perform() method.
+   * 
+   * @example
+   * const gesture = sandbox.gesture();
+   * gesture.pointer().down(300, 800).moveTo(300, 400, 300).up();
+   * gesture.pointer().down(700, 800).wait(100).moveTo(700, 400, 300).up();
+   * await gesture.perform();
    * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
+   * @returns {Gesture} An empty gesture bound to this sandbox
+   */
+  gesture() {
+    return new Gesture(this);
+  }
+  
+  /**
+   * Perform a gesture built with gesture() or the Gesture class.
+   * 
+   * @param {Gesture} gesture - The gesture
    * @returns {Promise<void>}
+   * @throws {GestureError} If the gesture is invalid
    */
-  async doubleTap(x, y) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/double_tap`;
-    
-    const payload = {
-      x: x,
-      y: y
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
-    
+  async performGesture(gesture) {
+    gesture.validate();
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Double tap operation returned status code ${response.status}`);
-      }
+      await this._runAction("gesture", { pointers: gesture.pointers.length, duration_ms: gesture.durationMs }, () =>
+        this._sendGesture(gesture)
+      );
     } catch (e) {
-      console.error(`Error performing double tap: ${e.message}`);
+      this._handleFailure("Error performing gesture", e);
     }
   }
   
   /**
-   * Perform a swipe gesture from start to end coordinates.
+   * Send a gesture to the device, allowing for its duration on top of the request timeout.
    * 
-   * @param {Array<number>} start - Starting [x, y] coordinates
-   * @param {Array<number>} end - Ending [x, y] coordinates
-   * @param {number} [duration_ms=500] - Duration of swipe in milliseconds
+   * @private
+   * @param {Gesture} gesture - The gesture
+   * @returns {Promise<Object>} API response
+   */
+  _sendGesture(gesture) {
+    return this.apiClient.post(this._devicePath("/input/gesture"), gesture.toJSON(), {
+      timeout: this.apiClient.timeout + gesture.durationMs
+    });
+  }
+  
+  /**
+   * Perform a preset gesture as a named action.
+   * 
+   * @private
+   * @param {string} name - Action name
+   * @param {Object} args - Action arguments
+   * @param {string} description - Description used when logging a failure
+   * @param {Function} build - Function returning the gesture
    * @returns {Promise<void>}
+   * @throws {GestureError} If the arguments do not make a valid gesture
    */
-  async swipe(start, end, duration_ms = 500) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/swipe`;
-    
-    const payload = {
-      start_x: start[0],
-      start_y: start[1],
-      end_x: end[0],
-      end_y: end[1],
-      duration_ms: duration_ms
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
-    
+  async _performPreset(name, args, description, build) {
+    const gesture = build();
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Swipe operation returned status code ${response.status}`);
-      }
+      await this._runAction(name, args, () => this._sendGesture(gesture));
     } catch (e) {
-      console.error(`Error performing swipe: ${e.message}`);
+      this._handleFailure(`Error performing ${description}`, e);
     }
   }
   
+  /**
+   * Perform a tap gesture at the specified coordinates.
+   * 
+   * Coordinates of this and the other touch methods are device pixels, or norm() and dp() values
+   * resolved against the screen in its current orientation (see screen).
+   * 
+   * @example
+   * const { norm, dp } = require('@airtap/android');
+   * await sandbox.tap(norm(0.5), norm(0.9));
+   * await sandbox.tap(dp(24), dp(48));
+   * 
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Promise<void>}
+   */
+  async tap(x, y) {
+    return this._performPreset("tap", { x, y }, "tap", () => presets.tap(...this._point(x, y)));
+  }
+  
+  /**
+   * Perform a double tap gesture at the specified coordinates.
+   * 
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Promise<void>}
+   */
+  async doubleTap(x, y) {
+    return this._performPreset("doubleTap", { x, y }, "double tap", () => presets.doubleTap(...this._point(x, y)));
+  }
+  
+  /**
+   * Perform a swipe gesture from start to end coordinates.
+   * 
+   * @param {Array<number|Length>} start - Starting [x, y] coordinates
+   * @param {Array<number|Length>} end - Ending [x, y] coordinates
+   * @param {number} [duration_ms=500] - Duration of swipe in milliseconds
+   * @returns {Promise<void>}
+   */
+  async swipe(start, end, duration_ms = 500) {
+    return this._performPreset("swipe", { start, end, duration_ms }, "swipe", () =>
+      presets.swipe(this._point(...start), this._point(...end), duration_ms)
+    );
+  }
+  
   /**
    * Perform a long press gesture at the specified coordinates.
    * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
    * @param {number} [duration_ms=1000] - Duration of press in milliseconds
    * @returns {Promise<void>}
    */
   async longPress(x, y, duration_ms = 1000) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/long_press`;
-    
-    const payload = {
-      x: x,
-      y: y,
-      duration_ms: duration_ms
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
-    
-    try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Long press operation returned status code ${response.status}`);
-      }
-    } catch (e) {
-      console.error(`Error performing long press: ${e.message}`);
-    }
+    return this._performPreset("longPress", { x, y, duration_ms }, "long press", () =>
+      presets.longPress(...this._point(x, y), duration_ms)
+    );
   }
   
   /**
-   * Perform a pinch out (zoom in) gesture.
+   * Perform a pinch out (zoom in) gesture: two fingers moving apart.
    * 
-   * @param {Array<number>} center - Center [x, y] coordinates of the pinch
-   * @param {number} distance - Distance to pinch in pixels
+   * @param {Array<number|Length>} center - Center [x, y] coordinates of the pinch
+   * @param {number|Length} distance - Distance to pinch
+   * @param {number} [duration_ms=400] - Duration of the pinch in milliseconds
    * @returns {Promise<void>}
    */
-  async pinchOut(center, distance) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/pinch`;
-    
-    const payload = {
-      center_x: center[0],
-      center_y: center[1],
-      distance: distance,
-      direction: "out"  // out for zoom in, in for zoom out
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
-    
-    try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Pinch out operation returned status code ${response.status}`);
-      }
-    } catch (e) {
-      console.error(`Error performing pinch out: ${e.message}`);
-    }
+  async pinchOut(center, distance, duration_ms = 400) {
+    return this._performPreset("pinchOut", { center, distance, duration_ms }, "pinch out", () =>
+      presets.pinch(this._point(...center), this._length(distance), "out", duration_ms)
+    );
+  }
+  
+  /**
+   * Perform a pinch in (zoom out) gesture: two fingers moving together.
+   * 
+   * @param {Array<number|Length>} center - Center [x, y] coordinates of the pinch
+   * @param {number|Length} distance - Distance to pinch
+   * @param {number} [duration_ms=400] - Duration of the pinch in milliseconds
+   * @returns {Promise<void>}
+   */
+  async pinchIn(center, distance, duration_ms = 400) {
+    return this._performPreset("pinchIn", { center, distance, duration_ms }, "pinch in", () =>
+      presets.pinch(this._point(...center), this._length(distance), "in", duration_ms)
+    );
+  }
+  
+  /**
+   * Perform a two-finger rotation around a center.
+   * 
+   * @param {Array<number|Length>} center - Center [x, y] coordinates of the rotation
+   * @param {number} degrees - Rotation angle; positive is clockwise
+   * @param {Object} [options] - Options
+   * @param {number|Length} [options.radius=200] - Distance of each finger from the center
+   * @param {number} [options.duration_ms=500] - Duration of the rotation in milliseconds
+   * @returns {Promise<void>}
+   */
+  async rotate(center, degrees, { radius = 200, duration_ms = 500 } = {}) {
+    return this._performPreset("rotate", { center, degrees, radius, duration_ms }, "rotation", () =>
+      presets.rotate(this._point(...center), degrees, this._length(radius), duration_ms)
+    );
+  }
+  
+  /**
+   * Perform a swipe with two parallel fingers.
+   * 
+   * @param {Array<number|Length>} start - Starting [x, y] coordinates, between the fingers
+   * @param {Array<number|Length>} end - Ending [x, y] coordinates, between the fingers
+   * @param {number} [duration_ms=500] - Duration of swipe in milliseconds
+   * @param {Object} [options] - Options
+   * @param {number|Length} [options.spacing=100] - Distance between the fingers
+   * @returns {Promise<void>}
+   */
+  async twoFingerSwipe(start, end, duration_ms = 500, { spacing = 100 } = {}) {
+    return this._performPreset("twoFingerSwipe", { start, end, duration_ms, spacing }, "two-finger swipe", () =>
+      presets.twoFingerSwipe(this._point(...start), this._point(...end), duration_ms, this._length(spacing))
+    );
+  }
+  
+  /**
+   * Drag an item and drop it elsewhere: long press to pick it up, move, then release.
+   * 
+   * @param {Array<number|Length>} start - [x, y] coordinates of the item
+   * @param {Array<number|Length>} end - [x, y] coordinates of the drop target
+   * @param {Object} [options] - Options
+   * @param {number} [options.hold_ms=600] - Press duration before moving, long enough to start a drag
+   * @param {number} [options.duration_ms=500] - Duration of the move in milliseconds
+   * @param {number} [options.drop_delay_ms=200] - Time over the target before releasing
+   * @returns {Promise<void>}
+   */
+  async dragAndDrop(start, end, { hold_ms = 600, duration_ms = 500, drop_delay_ms = 200 } = {}) {
+    return this._performPreset("dragAndDrop", { start, end, hold_ms, duration_ms, drop_delay_ms }, "drag and drop", () =>
+      presets.dragAndDrop(this._point(...start), this._point(...end), hold_ms, duration_ms, drop_delay_ms)
+    );
   }
   
   /**
@@ -319,162 +898,394 @@ class AndroidSandbox {
    * @returns {Promise<void>}
    */
   async typeText(text) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/text`;
-    
     const payload = {
       text: text
     };
     
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
-    
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 15000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Type text operation returned status code ${response.status}`);
-      }
+      await this._runAction("typeText", { text }, () =>
+        this.apiClient.post(this._devicePath("/input/text"), payload, { timeout: 15000 })
+      );
     } catch (e) {
-      console.error(`Error typing text: ${e.message}`);
+      this._handleFailure("Error typing text", e);
     }
   }
   
   /**
-   * Press a special key on the virtual keyboard.
+   * Build a key event payload, adding the meta state of the modifiers currently held.
+   * 
+   * @private
+   * @param {Object} payload - Key event fields
+   * @returns {Object} Payload sent to the device
+   */
+  _keyPayload(payload) {
+    const meta_state = metaStateOf(this._held_keys);
+    return meta_state ? { ...payload, meta_state } : payload;
+  }
+  
+  /**
+   * Press a key on the virtual keyboard.
    * 
-   * @param {string} key - Key to press (e.g., "ENTER", "HOME", "BACK")
+   * Keys can be given as "ENTER" or "KEYCODE_ENTER" (any case), as common aliases such as "ESC"
+   * or "CTRL", as a value of Keys, or as a numeric Android key code. While modifiers are held with
+   * keyDown(), the key is pressed with their meta state.
+   * 
+   * @param {string|number} key - Key to press (e.g., Keys.ENTER, "HOME", "KEYCODE_BACK")
    * @returns {Promise<void>}
+   * @throws {KeyError} If the key is unknown
    */
   async pressKey(key) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/key`;
-    
-    const payload = {
+    key = normalizeKey(key);
+    const payload = this._keyPayload({
       key: key
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
+    });
     
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Press key operation returned status code ${response.status}`);
-      }
+      await this._runAction("pressKey", { key }, () =>
+        this.apiClient.post(this._devicePath("/input/key"), payload)
+      );
     } catch (e) {
-      console.error(`Error pressing key: ${e.message}`);
+      this._handleFailure("Error pressing key", e);
     }
   }
   
   /**
-   * Press a combination of keys simultaneously.
+   * Press a combination of keys simultaneously, e.g. [Keys.CTRL_LEFT, Keys.A].
    * 
-   * @param {Array<string>} keys - List of keys to press together
+   * @param {Array<string|number>} keys - List of keys to press together (see pressKey)
    * @returns {Promise<void>}
+   * @throws {KeyError} If the list is empty or a key is unknown
    */
   async pressCombo(keys) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/input/combo`;
-    
-    const payload = {
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new KeyError("A key combination needs at least one key");
+    }
+    keys = keys.map(key => normalizeKey(key));
+    const payload = this._keyPayload({
       keys: keys
-    };
+    });
     
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
+    try {
+      await this._runAction("pressCombo", { keys }, () =>
+        this.apiClient.post(this._devicePath("/input/combo"), payload)
+      );
+    } catch (e) {
+      this._handleFailure("Error pressing key combination", e);
+    }
+  }
+  
+  /**
+   * Press and hold a key until keyUp(). Held modifiers (shift, ctrl, alt, meta) apply their meta
+   * state to the keys pressed meanwhile.
+   * 
+   * @example
+   * await sandbox.keyDown(Keys.SHIFT_LEFT);
+   * await sandbox.pressKey(Keys.DPAD_RIGHT);  // extends the selection
+   * await sandbox.keyUp(Keys.SHIFT_LEFT);
+   * 
+   * @param {string|number} key - Key to hold (see pressKey)
+   * @returns {Promise<void>}
+   * @throws {KeyError} If the key is unknown or already held
+   */
+  async keyDown(key) {
+    key = normalizeKey(key);
+    if (this._held_keys.has(key)) {
+      throw new KeyError(`Key ${key} is already held`);
+    }
+    const payload = this._keyPayload({ key, action: "down" });
     
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 10000 });
-      
-      if (response.status !== 200) {
-        console.warn(`Warning: Press combo operation returned status code ${response.status}`);
-      }
+      await this._runAction("keyDown", { key }, () =>
+        this.apiClient.post(this._devicePath("/input/key"), payload)
+      );
+      this._held_keys.add(key);
+    } catch (e) {
+      this._handleFailure("Error pressing key down", e);
+    }
+  }
+  
+  /**
+   * Release a key held with keyDown().
+   * 
+   * @param {string|number} key - Key to release (see pressKey)
+   * @returns {Promise<void>}
+   * @throws {KeyError} If the key is unknown or not held
+   */
+  async keyUp(key) {
+    key = normalizeKey(key);
+    if (!this._held_keys.has(key)) {
+      throw new KeyError(`Key ${key} is not held; press it with keyDown() first`);
+    }
+    // The release no longer carries the key's own meta state
+    this._held_keys.delete(key);
+    const payload = this._keyPayload({ key, action: "up" });
+    
+    try {
+      await this._runAction("keyUp", { key }, () =>
+        this.apiClient.post(this._devicePath("/input/key"), payload)
+      );
     } catch (e) {
-      console.error(`Error pressing key combination: ${e.message}`);
+      this._held_keys.add(key);
+      this._handleFailure("Error releasing key", e);
     }
   }
   
+  /**
+   * Keys currently held with keyDown(), as "KEYCODE_" names.
+   * 
+   * @type {Array<string>}
+   */
+  get heldKeys() {
+    return [...this._held_keys];
+  }
+  
+  /**
+   * Start a sequence of input steps that runs on the device in a single request, with the
+   * pauses between steps taken on the device instead of across the network.
+   * 
+   * @example
+   * const results = await sandbox.actions()
+   *   .tap(270, 1200).wait(200)
+   *   .type("hello").pressKey("ENTER")
+   *   .run();
+   * 
+   * @returns {ActionSequence} An empty sequence bound to this sandbox
+   */
+  actions() {
+    return new ActionSequence(this);
+  }
+  
+  /**
+   * Run a list of input steps on the device in a single request.
+   * 
+   * @param {Array<Object>} steps - Steps of the form { action, ...arguments }, where action is
+   *   "tap", "doubleTap", "longPress", "swipe", "gesture", "type", "pressKey", "pressCombo" or "wait",
+   *   e.g. { action: "tap", x: 270, y: 1200 } or { action: "wait", duration_ms: 200 }
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.stop_on_error=true] - Skip the remaining steps after a failed step
+   * @returns {Promise<Array<Object>>} Per-step results of the form { index, name, status, durationMs, error }
+   *   where status is "ok", "error" or "skipped"
+   * @throws {BatchError} If a step is invalid
+   */
+  async batch(steps, { stop_on_error = true } = {}) {
+    const sequence = this.actions();
+    steps.forEach(step => sequence.add(step));
+    return sequence.run({ stopOnError: stop_on_error });
+  }
+  
+  /**
+   * Send a batch of input steps to the device.
+   * 
+   * @private
+   * @param {Array<Object>} steps - Steps in API form
+   * @param {boolean} stop_on_error - Skip the remaining steps after a failed step
+   * @param {number} duration_ms - Time the steps take on the device
+   * @returns {Promise<Object>} API response of the form { results }; on failure in non-strict mode every
+   *   step reports the request error
+   */
+  async _runBatch(steps, stop_on_error, duration_ms) {
+    try {
+      return await this._runAction("batch", { steps: steps.map(step => step.name), stop_on_error }, () =>
+        this.apiClient.post(this._devicePath("/input/batch"), { steps, stop_on_error }, {
+          timeout: this.apiClient.timeout + duration_ms
+        })
+      );
+    } catch (e) {
+      return this._handleFailure("Error running batch", e, {
+        results: steps.map(() => ({ status: "error", error: e.message }))
+      });
+    }
+  }
+  
+  /**
+   * Tap the center of the element matching a selector.
+   * 
+   * @param {Object|string} selector - UI selector (e.g. { text: "Sign in" }) or XPath-like expression
+   * @param {Object} [options] - Options
+   * @param {number} [options.index] - Zero-based index among the matches, when several elements match
+   * @returns {Promise<UiNode>} The element that was tapped
+   * @throws {ElementNotFoundError} If no element matches
+   * @throws {AmbiguousElementError} If several elements match and no index was given
+   */
+  async tapOn(selector, options = {}) {
+    return this._runAction("tapOn", { selector, ...options }, async () => {
+      const node = await this.ui.resolve(selector, options);
+      await this.tap(node.center.x, node.center.y);
+      return node;
+    });
+  }
+  
+  /**
+   * Long press the center of the element matching a selector.
+   * 
+   * @param {Object|string} selector - UI selector or XPath-like expression
+   * @param {Object} [options] - Options
+   * @param {number} [options.index] - Zero-based index among the matches, when several elements match
+   * @param {number} [options.duration_ms=1000] - Duration of press in milliseconds
+   * @returns {Promise<UiNode>} The element that was pressed
+   * @throws {ElementNotFoundError} If no element matches
+   * @throws {AmbiguousElementError} If several elements match and no index was given
+   */
+  async longPressOn(selector, options = {}) {
+    const { duration_ms = 1000, ...resolveOptions } = options;
+    return this._runAction("longPressOn", { selector, ...options }, async () => {
+      const node = await this.ui.resolve(selector, resolveOptions);
+      await this.longPress(node.center.x, node.center.y, duration_ms);
+      return node;
+    });
+  }
+  
+  /**
+   * Focus the element matching a selector by tapping it, then type text into it.
+   * 
+   * @param {Object|string} selector - UI selector (e.g. { resourceId: "com.example:id/email" })
+   * @param {string} text - Text to type
+   * @param {Object} [options] - Options
+   * @param {number} [options.index] - Zero-based index among the matches, when several elements match
+   * @returns {Promise<UiNode>} The element that was typed into
+   * @throws {ElementNotFoundError} If no element matches
+   * @throws {AmbiguousElementError} If several elements match and no index was given
+   */
+  async typeInto(selector, text, options = {}) {
+    return this._runAction("typeInto", { selector, text, ...options }, async () => {
+      const node = await this.ui.resolve(selector, options);
+      await this.tap(node.center.x, node.center.y);
+      await this.typeText(text);
+      return node;
+    });
+  }
+  
+  /**
+   * Focus the element matching a selector by tapping it, then paste text into it through the
+   * clipboard. Faster than typeInto for long text, and works for text typeInto cannot type,
+   * such as non-ASCII characters and emoji.
+   * 
+   * @param {Object|string} selector - UI selector (e.g. { resourceId: "com.example:id/email" })
+   * @param {string} text - Text to paste
+   * @param {Object} [options] - Options
+   * @param {number} [options.index] - Zero-based index among the matches, when several elements match
+   * @returns {Promise<UiNode>} The element that was pasted into
+   * @throws {ElementNotFoundError} If no element matches
+   * @throws {AmbiguousElementError} If several elements match and no index was given
+   * @throws {ClipboardError} If the text cannot be pasted
+   */
+  async pasteInto(selector, text, options = {}) {
+    return this._runAction("pasteInto", { selector, text, ...options }, async () => {
+      const node = await this.ui.resolve(selector, options);
+      await this.tap(node.center.x, node.center.y);
+      await this.clipboard.paste(text);
+      return node;
+    });
+  }
+  
   /**
    * Take a screenshot of the current screen.
    * 
    * @returns {Promise<Buffer>} Screenshot image data as Buffer
    */
   async screenshot() {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/screenshot`;
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Accept": "application/json"
-    };
-    
     try {
-      const response = await axios.get(api_url, { headers, timeout: 30000 });
-      
-      if (response.status === 200) {
-        const result = response.data;
+      return await this._runAction("screenshot", {}, async () => {
+        const result = await this.apiClient.get(this._devicePath("/screenshot"), {}, { timeout: 30000 });
+        
         if (result.image_data) {
           // Decode base64-encoded image
           return Buffer.from(result.image_data, 'base64');
         } else if (result.image_url) {
           // Download image from URL
-          const imageResponse = await axios.get(result.image_url, { 
-            responseType: 'arraybuffer',
-            timeout: 30000 
-          });
-          if (imageResponse.status === 200) {
-            return Buffer.from(imageResponse.data);
-          } else {
-            console.warn(`Warning: Failed to download screenshot from URL: ${imageResponse.status}`);
-            return Buffer.alloc(0);
-          }
+          return this.apiClient.download(result.image_url, { timeout: 30000 });
         }
-      } else {
-        console.warn(`Warning: Screenshot operation returned status code ${response.status}`);
-        return Buffer.alloc(0);
-      }
+        
+        throw new ApiError("Screenshot response contained no image", null, {
+          method: "GET",
+          endpoint: this._devicePath("/screenshot"),
+          deviceId: this._device_id
+        });
+      });
     } catch (e) {
-      console.error(`Error taking screenshot: ${e.message}`);
-      return Buffer.alloc(0);
+      return this._handleFailure("Error taking screenshot", e, Buffer.alloc(0));
     }
   }
   
   /**
-   * Run a shell command on the device.
+   * Run a shell command on the device and return its full result.
    * 
    * @param {string} command - Shell command to execute
-   * @returns {Promise<string>} Command output as string
+   * @param {Object} [options] - Execution options
+   * @param {number} [options.timeout_ms=30000] - Time allowed for the command to finish
+   * @param {Object<string, string>} [options.env] - Extra environment variables
+   * @param {string} [options.cwd] - Working directory
+   * @param {boolean} [options.throw_on_error=false] - Throw a ShellError on a non-zero exit code, and
+   *   rethrow request failures even in non-strict mode
+   * @returns {Promise<Object>} Result of the form { stdout, stderr, exitCode, durationMs }; exitCode is
+   *   null if the request failed (non-strict mode) or the server did not report one
+   * @throws {ShellError} If throw_on_error is set and the command exits with a non-zero code
    */
-  async shell(command) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/shell`;
-    
+  async exec(command, { timeout_ms = 30000, env = null, cwd = null, throw_on_error = false } = {}) {
     const payload = {
-      command: command
-    };
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
+      command: command,
+      timeout_ms: timeout_ms
     };
+    if (env) payload.env = env;
+    if (cwd) payload.cwd = cwd;
     
+    const started_at = Date.now();
+    let shell_result;
     try {
-      const response = await axios.post(api_url, payload, { headers, timeout: 30000 });
-      
-      if (response.status === 200) {
-        const result = response.data;
-        return result.output || "";
-      } else {
-        console.warn(`Warning: Shell command operation returned status code ${response.status}`);
-        return "";
-      }
+      const result = await this._runAction("exec", { command, timeout_ms, env, cwd }, () =>
+        // Leave the device time to report a command that ran into its own timeout
+        this.apiClient.post(this._devicePath("/shell"), payload, { timeout: timeout_ms + 5000 })
+      );
+      shell_result = {
+        // Older API versions only return the combined output
+        stdout: result.stdout !== undefined ? result.stdout : result.output || "",
+        stderr: result.stderr || "",
+        exitCode: result.exit_code !== undefined ? result.exit_code : null,
+        durationMs: Date.now() - started_at
+      };
     } catch (e) {
-      console.error(`Error executing shell command: ${e.message}`);
-      return "";
+      if (throw_on_error) {
+        throw e;
+      }
+      return this._handleFailure("Error executing shell command", e, {
+        stdout: "",
+        stderr: "",
+        exitCode: null,
+        durationMs: Date.now() - started_at
+      });
     }
+    
+    if (throw_on_error && shell_result.exitCode !== null && shell_result.exitCode !== 0) {
+      const detail = shell_result.stderr.trim() || shell_result.stdout.trim();
+      throw new ShellError(
+        `Command exited with code ${shell_result.exitCode}: ${command}${detail ? ` (${detail})` : ""}`,
+        command,
+        shell_result
+      );
+    }
+    return shell_result;
+  }
+  
+  /**
+   * Run a shell command on the device.
+   * 
+   * @param {string} command - Shell command to execute
+   * @returns {Promise<string>} Command output as string (see exec for the exit code and stderr)
+   */
+  async shell(command) {
+    const { stdout } = await this.exec(command);
+    return stdout;
+  }
+  
+  /**
+   * Run a shell command on the device.
+   * Alias of {@link AndroidSandbox#shell}, used by the managers.
+   * 
+   * @param {string} command - Shell command to execute
+   * @returns {Promise<string>} Command output as string
+   */
+  async executeShellCommand(command) {
+    return this.shell(command);
   }
   
   /**
@@ -482,55 +1293,193 @@ class AndroidSandbox {
    * 
    * @param {string} package_name - App package name
    * @param {number} [timeout_ms=5000] - Timeout in milliseconds
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.interval_ms=500] - Delay between checks
+   * @param {AbortSignal} [options.signal] - Cancels the wait
    * @returns {Promise<boolean>} True if app became active, False if timeout
    */
-  async waitForApp(package_name, timeout_ms = 5000) {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/current_app`;
-    
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Accept": "application/json"
-    };
-    
-    // Calculate end time for timeout
-    const end_time = Date.now() + timeout_ms;
-    
-    // Poll for current app until it matches or timeout
-    while (Date.now() < end_time) {
+  async waitForApp(package_name, timeout_ms = 5000, { interval_ms = 500, signal = null } = {}) {
+    return this._runAction("waitForApp", { package_name, timeout_ms }, async () => {
       try {
-        const response = await axios.get(api_url, { headers, timeout: 10000 });
-        
-        if (response.status === 200) {
-          const result = response.data;
-          const current_app = result.package_name || "";
-          
-          // Check if current app matches target package
-          if (current_app === package_name) {
-            return true;
-          }
-        } else {
-          console.warn(`Warning: Current app check returned status code ${response.status}`);
+        return await poll(async () => {
+          const result = await this.apiClient.get(this._devicePath("/current_app"));
+          return (result.package_name || "") === package_name;
+        }, { timeout_ms, interval_ms, signal, description: `app ${package_name}` });
+      } catch (e) {
+        if (!(e instanceof WaitTimeoutError)) {
+          throw e;
+        }
+        if (e.last_error) {
+          this._handleFailure("Error checking current app", e.last_error);
         }
+        return false;
+      }
+    });
+  }
+  
+  /**
+   * Wait until a condition holds.
+   * 
+   * Errors thrown by the predicate do not stop the wait; the last one is attached to the
+   * WaitTimeoutError if the condition never holds.
+   * 
+   * @param {Function} predicate - Async function receiving { attempt, elapsed_ms }; the wait ends
+   *   when it returns a truthy value
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout_ms=10000] - Timeout in milliseconds
+   * @param {number} [options.interval_ms=500] - Delay between checks
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @param {string} [options.description] - What is being waited for, used in the timeout message
+   * @returns {Promise<*>} The predicate's truthy result
+   * @throws {WaitTimeoutError} On timeout, with attempts, elapsed_ms, last_value and last_error
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitFor(predicate, options = {}) {
+    return this._runAction("waitFor", waitArgs(options), () => poll(predicate, options));
+  }
+  
+  /**
+   * Wait until an element matching a selector appears.
+   * 
+   * @param {Object|string} selector - UI selector or XPath-like expression
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @param {number} [options.index=0] - Zero-based index among the matches to wait for
+   * @returns {Promise<UiNode>} The matching element
+   * @throws {WaitTimeoutError} If no element matches in time
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForElement(selector, options = {}) {
+    return this._runAction("waitForElement", { selector, ...waitArgs(options) }, () => this.ui.waitFor(selector, options));
+  }
+  
+  /**
+   * Wait until no element matches a selector (e.g. a spinner or dialog has gone).
+   * 
+   * @param {Object|string} selector - UI selector or XPath-like expression
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @returns {Promise<boolean>} True once no element matches
+   * @throws {WaitTimeoutError} If the element is still present at the timeout
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForElementGone(selector, options = {}) {
+    return this._runAction("waitForElementGone", { selector, ...waitArgs(options) }, () => this.ui.waitForGone(selector, options));
+  }
+  
+  /**
+   * Get the component of the resumed (foreground) activity.
+   * 
+   * @returns {Promise<string|null>} Component such as "com.android.settings/.Settings", or null if unknown
+   */
+  async getCurrentActivity() {
+    const output = await this.executeShellCommand("dumpsys activity activities | grep ResumedActivity");
+    const match = /ActivityRecord\{\S+ u\d+ ([^\s}]+)/.exec(output);
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Wait until an activity is resumed in the foreground.
+   * 
+   * @param {string|RegExp} activity - Component ("com.example/.LoginActivity"), class name
+   *   ("com.example.LoginActivity" or "LoginActivity"), or a RegExp tested against "pkg/fully.qualified.Class"
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @returns {Promise<string>} Component of the resumed activity
+   * @throws {WaitTimeoutError} If the activity is not resumed in time; last_value is the last resumed component
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForActivity(activity, options = {}) {
+    let component = null;
+    
+    return this._runAction("waitForActivity", { activity, ...waitArgs(options) }, async () => {
+      try {
+        await poll(async () => {
+          component = await this.getCurrentActivity();
+          return component !== null && activityMatches(component, activity);
+        }, { ...options, description: `activity ${activity}` });
       } catch (e) {
-        console.error(`Error checking current app: ${e.message}`);
+        if (e instanceof WaitTimeoutError) {
+          // Report the activity that was showing instead of the predicate's false
+          e.last_value = component;
+        }
+        throw e;
       }
-      
-      // Wait before next poll
-      await this.wait(500);
-    }
+      return component;
+    });
+  }
+  
+  /**
+   * Wait until the screen stops changing, i.e. consecutive screenshots are identical.
+   * 
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @param {number} [options.stable_count=2] - Number of consecutive identical screenshots required
+   * @returns {Promise<Buffer>} The settled screenshot
+   * @throws {WaitTimeoutError} If the screen is still changing at the timeout
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForScreenStable(options = {}) {
+    const { stable_count = 2 } = options;
+    let previous = null;
+    let streak = 0;
     
-    // Timeout reached
-    return false;
+    return this._runAction("waitForScreenStable", { ...waitArgs(options), stable_count }, () =>
+      poll(async () => {
+        let image;
+        try {
+          image = await this.screenshot();
+        } catch (e) {
+          // A failed capture breaks the streak
+          previous = null;
+          throw e;
+        }
+        
+        // An empty buffer is a failed capture in non-strict mode
+        streak = previous && image.length > 0 && image.equals(previous) ? streak + 1 : 1;
+        previous = image.length > 0 ? image : null;
+        return previous && streak >= stable_count ? image : null;
+      }, { ...options, description: "the screen to stabilize" })
+    );
+  }
+  
+  /**
+   * Wait until the UI is idle, i.e. consecutive view hierarchy dumps are identical.
+   * 
+   * Cheaper than waitForScreenStable and unaffected by blinking cursors or animated images.
+   * 
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @param {number} [options.stable_count=2] - Number of consecutive identical dumps required
+   * @returns {Promise<UiNode>} Root node of the settled hierarchy
+   * @throws {WaitTimeoutError} If the hierarchy is still changing at the timeout
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForIdle(options = {}) {
+    return this._runAction("waitForIdle", waitArgs(options), () => this.ui.waitForIdle(options));
   }
   
   /**
    * Wait for the specified duration.
    * 
    * @param {number} duration_ms - Duration to wait in milliseconds
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the wait
    * @returns {Promise<void>}
+   * @throws {WaitCancelledError} If the signal aborts
    */
-  async wait(duration_ms) {
-    return new Promise(resolve => setTimeout(resolve, duration_ms));
+  async wait(duration_ms, { signal = null } = {}) {
+    return sleep(duration_ms, signal);
+  }
+  
+  /**
+   * Stop controlling the device without releasing it, e.g. before handing its session to
+   * another process. The device keeps running until it is closed or times out.
+   * 
+   * @returns {Object} Session info (see toSession)
+   */
+  detach() {
+    const session = this.toSession();
+    this.jobs._closeAll();
+    this._stopTimers();
+    cleanup.untrack(this);
+    this._device_id = null;
+    return session;
   }
   
   /**
@@ -539,26 +1488,39 @@ class AndroidSandbox {
    * @returns {Promise<void>}
    */
   async close() {
-    const api_url = `https://api.airtap.ai/v1/devices/${this._device_id}/release`;
+    if (!this._device_id) {
+      return;
+    }
     
-    const headers = {
-      "Authorization": `Bearer ${this.api_key}`,
-      "Content-Type": "application/json"
-    };
+    // Jobs end with the device; stop polling their output
+    this.jobs._closeAll();
+    this._stopTimers();
     
     try {
-      const response = await axios.post(api_url, {}, { headers, timeout: 30000 });
-      
-      if (response.status !== 200 && response.status !== 204) {
-        console.warn(`Warning: Device release operation returned status code ${response.status}`);
-      }
+      await this._runAction("close", {}, () =>
+        this.apiClient.post(this._devicePath("/release"), {}, {
+          timeout: 30000,
+          idempotencyKey: `release-${this._device_id}`
+        })
+      );
     } catch (e) {
-      console.error(`Error releasing device: ${e.message}`);
+      // In strict mode the error propagates and the device ID is kept, so close() can be retried
+      this._handleFailure("Error releasing device", e);
     }
     
     // Clear cached references
+    cleanup.untrack(this);
     this._device_id = null;
   }
+  
+  /**
+   * Release the device at the end of an `await using` block.
+   * 
+   * @returns {Promise<void>}
+   */
+  async [cleanup.asyncDispose]() {
+    await this.close();
+  }
 }
 
 module.exports = { AndroidSandbox };
@@ -0,0 +1,251 @@
+/**
+ * Screen Geometry for AirTap Android SDK
+ * Converts between units, orientations and screenshot coordinates
+ */
+
+const { Length } = require('./units');
+const { ScreenError } = require('../exceptions');
+
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Read the pixel size of a PNG or JPEG image from its header
+ * @param {Buffer} buffer - Image data
+ * @returns {Object} Size of the form { width, height }
+ * @throws {ScreenError} If the image is not a PNG or JPEG
+ */
+function imageSize(buffer) {
+  // PNG: the IHDR chunk follows the 8-byte signature
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments up to the start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  throw new ScreenError('Unsupported image: expected a PNG or JPEG screenshot');
+}
+
+/**
+ * Size of a screenshot given as image data or dimensions
+ * @param {Buffer|Object} image - Image data, or its size as { width, height }
+ * @returns {Object} Size of the form { width, height }
+ * @throws {ScreenError} If the size cannot be determined
+ */
+function sizeOf(image) {
+  const size = Buffer.isBuffer(image) ? imageSize(image) : image;
+  if (!size || !(size.width > 0) || !(size.height > 0)) {
+    throw new ScreenError('Screenshot size must be image data or an object of the form { width, height }');
+  }
+  return size;
+}
+
+class ScreenGeometry {
+  /**
+   * Create the geometry of a display
+   * @param {Object} options - Display properties
+   * @param {Array<number>} options.resolution - Resolution in the natural orientation, as [width, height]
+   * @param {number} options.dpi - Screen density
+   * @param {number} [options.rotation=0] - Current rotation from the natural orientation: 0, 90, 180 or 270
+   */
+  constructor({ resolution, dpi, rotation = 0 }) {
+    this.naturalWidth = resolution[0];
+    this.naturalHeight = resolution[1];
+    this.dpi = dpi;
+    this.rotation = ScreenGeometry.rotationOf(rotation, resolution);
+  }
+
+  /**
+   * Convert an orientation name or rotation to a rotation in degrees
+   * @param {string|number} orientation - "portrait", "landscape", "reverse-portrait", "reverse-landscape",
+   *   or a rotation of 0, 90, 180 or 270
+   * @param {Array<number>} resolution - Resolution in the natural orientation, as [width, height]
+   * @returns {number} Rotation from the natural orientation
+   * @throws {ScreenError} If the orientation is unknown
+   */
+  static rotationOf(orientation, resolution) {
+    if (ROTATIONS.includes(orientation)) {
+      return orientation;
+    }
+    const natural = resolution[0] > resolution[1] ? 'landscape' : 'portrait';
+    const rotations = natural === 'portrait'
+      ? { portrait: 0, landscape: 90, 'reverse-portrait': 180, 'reverse-landscape': 270 }
+      : { landscape: 0, portrait: 90, 'reverse-landscape': 180, 'reverse-portrait': 270 };
+    if (!Object.prototype.hasOwnProperty.call(rotations, orientation)) {
+      throw new ScreenError(`Unknown orientation ${JSON.stringify(orientation)}: expected portrait, landscape, ` +
+        'reverse-portrait, reverse-landscape, or a rotation of 0, 90, 180 or 270');
+    }
+    return rotations[orientation];
+  }
+
+  /**
+   * Current width in pixels, after rotation
+   * @type {number}
+   */
+  get width() {
+    return this.rotation % 180 === 0 ? this.naturalWidth : this.naturalHeight;
+  }
+
+  /**
+   * Current height in pixels, after rotation
+   * @type {number}
+   */
+  get height() {
+    return this.rotation % 180 === 0 ? this.naturalHeight : this.naturalWidth;
+  }
+
+  /**
+   * Current orientation: "portrait" or "landscape"
+   * @type {string}
+   */
+  get orientation() {
+    return this.width > this.height ? 'landscape' : 'portrait';
+  }
+
+  /**
+   * Convert a coordinate to device pixels
+   * @private
+   * @param {number|Length} value - Pixels, or a tagged length
+   * @param {number} extent - Screen dimension that normalized values are a fraction of
+   * @returns {number} Pixels
+   */
+  _resolve(value, extent) {
+    if (!(value instanceof Length)) {
+      return value;
+    }
+    switch (value.unit) {
+      case 'norm':
+        return Math.round(value.value * extent);
+      case 'dp':
+        return Math.round(value.value * this.dpi / 160);
+      default:
+        return value.value;
+    }
+  }
+
+  /**
+   * Convert a point to device pixels in the current orientation. Plain numbers are pixels;
+   * norm() values span the current width and height, from the first pixel (0) to the last (1).
+   * @param {number|Length} x - X coordinate
+   * @param {number|Length} y - Y coordinate
+   * @returns {Array<number>} [x, y] in pixels
+   */
+  toPixels(x, y) {
+    // Pixels are numbered from 0, so norm(1) is width - 1, the last one still on screen
+    return [this._resolve(x, this.width - 1), this._resolve(y, this.height - 1)];
+  }
+
+  /**
+   * Convert a distance to device pixels; norm() values are fractions of the shorter side
+   * @param {number|Length} value - Distance
+   * @returns {number} Pixels
+   */
+  toPixelLength(value) {
+    return this._resolve(value, Math.min(this.width, this.height));
+  }
+
+  /**
+   * Express a point in pixels as dp
+   * @param {Array<number>} point - [x, y] in pixels
+   * @returns {Array<number>} [x, y] in dp
+   */
+  toDp([x, y]) {
+    return [x * 160 / this.dpi, y * 160 / this.dpi];
+  }
+
+  /**
+   * Express a point in pixels as fractions of the current width and height, the inverse of toPixels
+   * @param {Array<number>} point - [x, y] in pixels
+   * @returns {Array<number>} [x, y] from 0 to 1
+   */
+  toNormalized([x, y]) {
+    return [x / (this.width - 1), y / (this.height - 1)];
+  }
+
+  /**
+   * Map a point on a screenshot, possibly scaled, to device pixels
+   * @param {Array<number>} point - [x, y] on the screenshot
+   * @param {Buffer|Object} image - Screenshot data, or its size as { width, height }
+   * @returns {Array<number>} [x, y] in device pixels, rounded
+   */
+  fromScreenshot([x, y], image) {
+    const { width, height } = sizeOf(image);
+    return [Math.round(x * this.width / width), Math.round(y * this.height / height)];
+  }
+
+  /**
+   * Map a point in device pixels to a screenshot, possibly scaled
+   * @param {Array<number>} point - [x, y] in device pixels
+   * @param {Buffer|Object} image - Screenshot data, or its size as { width, height }
+   * @returns {Array<number>} [x, y] on the screenshot, rounded
+   */
+  toScreenshot([x, y], image) {
+    const { width, height } = sizeOf(image);
+    return [Math.round(x * width / this.width), Math.round(y * height / this.height)];
+  }
+
+  /**
+   * Map a point taken in another orientation (e.g. recorded in portrait) to the same physical spot
+   * of the panel in the current orientation
+   * @param {Array<number>} point - [x, y] in pixels, in the other orientation
+   * @param {string|number} orientation - Orientation or rotation the point was taken in
+   * @returns {Array<number>} [x, y] in pixels, in the current orientation
+   */
+  fromOrientation(point, orientation) {
+    const resolution = [this.naturalWidth, this.naturalHeight];
+    const from = ScreenGeometry.rotationOf(orientation, resolution);
+    return this._fromNatural(this._toNatural(point, from), this.rotation);
+  }
+
+  /**
+   * Convert a point from a rotated frame to the natural frame
+   * @private
+   * @param {Array<number>} point - [x, y] in the rotated frame
+   * @param {number} rotation - Rotation of the frame
+   * @returns {Array<number>} [x, y] in the natural frame
+   */
+  _toNatural([x, y], rotation) {
+    // Last pixel column and row: coordinates are 0-based, so an edge maps onto the opposite edge
+    const W = this.naturalWidth - 1;
+    const H = this.naturalHeight - 1;
+    switch (rotation) {
+      case 90: return [W - y, x];
+      case 180: return [W - x, H - y];
+      case 270: return [y, H - x];
+      default: return [x, y];
+    }
+  }
+
+  /**
+   * Convert a point from the natural frame to a rotated frame
+   * @private
+   * @param {Array<number>} point - [x, y] in the natural frame
+   * @param {number} rotation - Rotation of the frame
+   * @returns {Array<number>} [x, y] in the rotated frame
+   */
+  _fromNatural([x, y], rotation) {
+    const W = this.naturalWidth - 1;
+    const H = this.naturalHeight - 1;
+    switch (rotation) {
+      case 90: return [y, W - x];
+      case 180: return [W - x, H - y];
+      case 270: return [H - y, x];
+      default: return [x, y];
+    }
+  }
+}
+
+module.exports = {
+  ScreenGeometry,
+  imageSize
+};
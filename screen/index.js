@@ -0,0 +1,16 @@
+/**
+ * Screen Module for AirTap Android SDK
+ * Exports coordinate units and the screen geometry used to resolve them
+ */
+
+const { Length, norm, dp, px } = require('./units');
+const { ScreenGeometry, imageSize } = require('./geometry');
+
+module.exports = {
+  Length,
+  norm,
+  dp,
+  px,
+  ScreenGeometry,
+  imageSize
+};
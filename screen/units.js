@@ -0,0 +1,74 @@
+/**
+ * Coordinate Units for AirTap Android SDK
+ * Tags coordinates and lengths with a unit, resolved to device pixels at input time
+ */
+
+const { ScreenError } = require('../exceptions');
+
+const UNITS = ['px', 'dp', 'norm'];
+
+class Length {
+  /**
+   * Create a length
+   * @param {number} value - Amount
+   * @param {string} unit - "px" (device pixels), "dp" (density-independent pixels) or "norm"
+   *   (fraction of the screen dimension, from 0 to 1)
+   * @throws {ScreenError} If the value or unit is invalid
+   */
+  constructor(value, unit) {
+    if (!UNITS.includes(unit)) {
+      throw new ScreenError(`Unknown unit ${JSON.stringify(unit)}: expected one of ${UNITS.join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new ScreenError(`Invalid ${unit} value ${JSON.stringify(value)}: expected a number`);
+    }
+    if (unit === 'norm' && (value < 0 || value > 1)) {
+      throw new ScreenError(`Normalized value ${value} is outside the range 0-1`);
+    }
+    this.value = value;
+    this.unit = unit;
+    Object.freeze(this);
+  }
+
+  /**
+   * Human-readable form, e.g. "48dp" or "0.5norm"
+   * @returns {string} The length
+   */
+  toString() {
+    return `${this.value}${this.unit}`;
+  }
+}
+
+/**
+ * Fraction of the screen's current width (for x), height (for y) or shorter side (for lengths)
+ * @param {number} value - Fraction from 0 to 1
+ * @returns {Length} The length
+ */
+function norm(value) {
+  return new Length(value, 'norm');
+}
+
+/**
+ * Density-independent pixels, scaled by the device's dpi (1dp is 1px at 160 dpi)
+ * @param {number} value - Amount in dp
+ * @returns {Length} The length
+ */
+function dp(value) {
+  return new Length(value, 'dp');
+}
+
+/**
+ * Device pixels; the same as passing a plain number
+ * @param {number} value - Amount in pixels
+ * @returns {Length} The length
+ */
+function px(value) {
+  return new Length(value, 'px');
+}
+
+module.exports = {
+  Length,
+  norm,
+  dp,
+  px
+};
@@ -0,0 +1,10 @@
+/**
+ * Settings Module for AirTap Android SDK
+ * Exports the settings manager for deterministic test environments
+ */
+
+const SettingsManager = require('./manager');
+
+module.exports = {
+  SettingsManager
+};
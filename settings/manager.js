@@ -0,0 +1,391 @@
+/**
+ * Settings Manager for AirTap Android SDK
+ * Changes device settings for deterministic test environments
+ */
+
+const { sh } = require('../shell');
+const { normalizeLocale, normalizeTimezone } = require('../profiles');
+const { SettingsError } = require('../exceptions');
+
+const NAMESPACES = ['system', 'secure', 'global'];
+
+// Settings keys are plain identifiers; values go through the shell quoted
+const SETTING_KEY = /^[A-Za-z0-9_.]+$/;
+
+const ANIMATION_SCALES = {
+  window: 'window_animation_scale',
+  transition: 'transition_animation_scale',
+  animator: 'animator_duration_scale'
+};
+
+// `cmd uimode night` argument for each dark mode
+const NIGHT_MODES = { auto: 'auto', false: 'no', true: 'yes' };
+
+// stay_on_while_plugged_in bit mask: AC, USB and wireless charging
+const STAY_ON_ALL_SOURCES = 7;
+
+// Android's screen_off_timeout when the setting was never written
+const DEFAULT_SCREEN_TIMEOUT_MS = 30000;
+
+/**
+ * Check that a value is a boolean
+ * @param {string} name - Setting name for the error message
+ * @param {*} value - Value to check
+ * @throws {SettingsError} If the value is not a boolean
+ */
+function checkBoolean(name, value) {
+  if (typeof value !== 'boolean') {
+    throw new SettingsError(`Invalid ${name} ${JSON.stringify(value)}: expected true or false`);
+  }
+}
+
+/**
+ * Check that a value is a number within a range
+ * @param {string} name - Setting name for the error message
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @throws {SettingsError} If the value is out of range
+ */
+function checkRange(name, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new SettingsError(`Invalid ${name} ${JSON.stringify(value)}: expected a number from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Parse a numeric setting
+ * @param {string|null} value - Raw value
+ * @param {number} fallback - Value used when the setting is unset
+ * @returns {number} The number
+ */
+function toNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+class SettingsManager {
+  /**
+   * Create a new settings manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+  }
+
+  /**
+   * Read a raw setting
+   * @param {string} namespace - "system", "secure" or "global"
+   * @param {string} key - Setting key (e.g. "screen_off_timeout")
+   * @returns {Promise<string|null>} Value, or null if unset
+   */
+  async get(namespace, key) {
+    try {
+      return await this._get(namespace, key);
+    } catch (error) {
+      throw new SettingsError(`Failed to read setting ${namespace}/${key}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Write a raw setting
+   * @param {string} namespace - "system", "secure" or "global"
+   * @param {string} key - Setting key
+   * @param {string|number|null} value - New value; null deletes the setting
+   * @returns {Promise<string|null>} Previous value, or null if it was unset
+   */
+  async put(namespace, key, value) {
+    try {
+      const previous = await this._get(namespace, key);
+      await this._put(namespace, key, value);
+      return previous;
+    } catch (error) {
+      throw new SettingsError(`Failed to write setting ${namespace}/${key}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Turn Wi-Fi on or off
+   * @param {boolean} enabled - Whether Wi-Fi is on
+   * @returns {Promise<boolean>} Previous state
+   */
+  async setWifi(enabled) {
+    return this._change('Wi-Fi', async () => {
+      checkBoolean('Wi-Fi state', enabled);
+      const previous = await this._get('global', 'wifi_on') === '1';
+      await this._exec(`svc wifi ${enabled ? 'enable' : 'disable'}`);
+      return previous;
+    });
+  }
+
+  /**
+   * Turn mobile data on or off
+   * @param {boolean} enabled - Whether mobile data is on
+   * @returns {Promise<boolean>} Previous state
+   */
+  async setMobileData(enabled) {
+    return this._change('mobile data', async () => {
+      checkBoolean('mobile data state', enabled);
+      const previous = await this._get('global', 'mobile_data') === '1';
+      await this._exec(`svc data ${enabled ? 'enable' : 'disable'}`);
+      return previous;
+    });
+  }
+
+  /**
+   * Turn airplane mode on or off
+   * @param {boolean} enabled - Whether airplane mode is on
+   * @returns {Promise<boolean>} Previous state
+   */
+  async setAirplaneMode(enabled) {
+    return this._change('airplane mode', async () => {
+      checkBoolean('airplane mode state', enabled);
+      const previous = await this._get('global', 'airplane_mode_on') === '1';
+      await this._exec(`cmd connectivity airplane-mode ${enabled ? 'enable' : 'disable'}`);
+      return previous;
+    });
+  }
+
+  /**
+   * Switch the system-wide dark theme
+   * @param {boolean|string} mode - true for dark, false for light, or "auto" to follow the time of day
+   * @returns {Promise<boolean|string>} Previous mode
+   */
+  async setDarkMode(mode) {
+    return this._change('dark mode', async () => {
+      if (![true, false, 'auto'].includes(mode)) {
+        throw new SettingsError(`Invalid dark mode ${JSON.stringify(mode)}: expected true, false or "auto"`);
+      }
+      const { stdout } = await this._exec('cmd uimode night');
+      const current = (/Night mode: (\w+)/.exec(stdout) || [])[1];
+      await this._exec(`cmd uimode night ${NIGHT_MODES[mode]}`);
+      return current === 'auto' ? 'auto' : current === 'yes';
+    });
+  }
+
+  /**
+   * Scale the system font size
+   * @param {number} scale - Font scale from 0.5 to 2 (1 is the default size)
+   * @returns {Promise<number>} Previous scale
+   */
+  async setFontScale(scale) {
+    return this._change('font scale', async () => {
+      checkRange('font scale', scale, 0.5, 2);
+      const previous = toNumber(await this._get('system', 'font_scale'), 1);
+      await this._put('system', 'font_scale', scale);
+      return previous;
+    });
+  }
+
+  /**
+   * Override the display density, which changes the size of everything on screen
+   * @param {number|null} dpi - Density from 120 to 640, or null for the device's physical density
+   * @returns {Promise<number|null>} Previous override, or null if there was none
+   */
+  async setDensity(dpi) {
+    return this._change('display density', async () => {
+      if (dpi !== null) {
+        checkRange('display density', dpi, 120, 640);
+      }
+      const { stdout } = await this._exec('wm density');
+      const override = /Override density: (\d+)/.exec(stdout);
+      await this._exec(dpi === null ? 'wm density reset' : `wm density ${Math.round(dpi)}`);
+      return override ? parseInt(override[1], 10) : null;
+    });
+  }
+
+  /**
+   * Set how long the screen stays on without input
+   * @param {number} timeoutMs - Timeout in milliseconds
+   * @returns {Promise<number>} Previous timeout (Android's default of 30000 if it was never set)
+   */
+  async setScreenTimeout(timeoutMs) {
+    return this._change('screen timeout', async () => {
+      checkRange('screen timeout', timeoutMs, 1000, 2147483647);
+      const previous = toNumber(await this._get('system', 'screen_off_timeout'), DEFAULT_SCREEN_TIMEOUT_MS);
+      await this._put('system', 'screen_off_timeout', Math.round(timeoutMs));
+      return previous;
+    });
+  }
+
+  /**
+   * Keep the screen on while the device is charging, which a virtual device always is
+   * @param {boolean} enabled - Whether the screen stays awake
+   * @returns {Promise<boolean>} Previous state
+   */
+  async setStayAwake(enabled) {
+    return this._change('stay awake', async () => {
+      checkBoolean('stay awake state', enabled);
+      const previous = toNumber(await this._get('global', 'stay_on_while_plugged_in'), 0) !== 0;
+      await this._put('global', 'stay_on_while_plugged_in', enabled ? STAY_ON_ALL_SOURCES : 0);
+      return previous;
+    });
+  }
+
+  /**
+   * Set the window, transition and animator duration scales
+   * @param {number|Object} scale - One scale for all three, or { window, transition, animator };
+   *   0 disables animations and 1 is the default speed
+   * @returns {Promise<Object>} Previous scales of the form { window, transition, animator }
+   */
+  async setAnimationScale(scale) {
+    return this._change('animation scale', async () => {
+      const scales = typeof scale === 'number' ? { window: scale, transition: scale, animator: scale } : scale || {};
+      Object.entries(scales).forEach(([name, value]) => {
+        if (!ANIMATION_SCALES[name]) {
+          throw new SettingsError(`Unknown animation scale ${JSON.stringify(name)}: expected window, transition or animator`);
+        }
+        checkRange(`${name} animation scale`, value, 0, 10);
+      });
+
+      const previous = {};
+      for (const [name, key] of Object.entries(ANIMATION_SCALES)) {
+        previous[name] = toNumber(await this._get('global', key), 1);
+      }
+      for (const [name, value] of Object.entries(scales)) {
+        await this._put('global', ANIMATION_SCALES[name], value);
+      }
+      return previous;
+    });
+  }
+
+  /**
+   * Turn off window, transition and animator animations, which makes UI tests faster and less flaky
+   * @returns {Promise<Object>} Previous scales, to pass to setAnimationScale to restore them
+   */
+  async disableAnimations() {
+    return this.setAnimationScale(0);
+  }
+
+  /**
+   * Set the device clock, turning network time off
+   * @param {Date|number|null} time - Date or timestamp in milliseconds, or null for network time
+   * @returns {Promise<Date|null>} Previous time, or null if the clock was on network time
+   */
+  async setTime(time) {
+    return this._change('time', async () => {
+      const date = time === null ? null : new Date(time);
+      if (date !== null && (!(time instanceof Date || typeof time === 'number') || Number.isNaN(date.getTime()))) {
+        throw new SettingsError(`Invalid time ${JSON.stringify(time)}: expected a Date, a timestamp or null`);
+      }
+      const automatic = await this._get('global', 'auto_time') !== '0';
+      const { stdout } = await this._exec('date +%s');
+      const previous = automatic ? null : new Date(parseInt(stdout, 10) * 1000);
+
+      if (date === null) {
+        await this._put('global', 'auto_time', 1);
+      } else {
+        await this._put('global', 'auto_time', 0);
+        await this._exec(`cmd alarm set-time ${date.getTime()}`);
+      }
+      return previous;
+    });
+  }
+
+  /**
+   * Set the time zone, turning automatic time zone detection off
+   * @param {string|null} timezone - IANA time zone (e.g. "Europe/Paris"), or null for automatic detection
+   * @returns {Promise<string|null>} Previous time zone, or null if it was detected automatically
+   */
+  async setTimezone(timezone) {
+    return this._change('timezone', async () => {
+      const canonical = timezone === null ? null : normalizeTimezone(timezone);
+      const automatic = await this._get('global', 'auto_time_zone') !== '0';
+      const { stdout } = await this._exec('getprop persist.sys.timezone');
+      const previous = automatic ? null : stdout.trim() || null;
+
+      if (canonical === null) {
+        await this._put('global', 'auto_time_zone', 1);
+      } else {
+        await this._put('global', 'auto_time_zone', 0);
+        await this._exec(sh`cmd alarm set-timezone ${canonical}`);
+      }
+      return previous;
+    });
+  }
+
+  /**
+   * Set the system language and region. The Android framework restarts to apply it, which
+   * closes running apps.
+   * @param {string} locale - Language tag (e.g. "fr-FR")
+   * @returns {Promise<string>} Previous locale
+   */
+  async setLocale(locale) {
+    return this._change('locale', async () => {
+      const canonical = normalizeLocale(locale);
+      const { stdout } = await this._exec('getprop persist.sys.locale');
+      await this._exec(sh`setprop persist.sys.locale ${canonical}`);
+      await this._exec('setprop ctl.restart zygote');
+      return stdout.trim() || null;
+    });
+  }
+
+  /**
+   * Run a setting change, wrapping any failure
+   * @private
+   * @param {string} name - Setting name for the error message
+   * @param {Function} change - Async function making the change and returning the previous value
+   * @returns {Promise<*>} Previous value
+   */
+  async _change(name, change) {
+    try {
+      return await change();
+    } catch (error) {
+      throw new SettingsError(`Failed to set ${name}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Run a command, failing on a non-zero exit code
+   * @private
+   * @param {string} command - Shell command
+   * @returns {Promise<Object>} Result of the form { stdout, stderr, exitCode, durationMs }
+   */
+  _exec(command) {
+    return this.sandbox.exec(command, { throw_on_error: true });
+  }
+
+  /**
+   * Read a raw setting
+   * @private
+   * @param {string} namespace - Settings namespace
+   * @param {string} key - Setting key
+   * @returns {Promise<string|null>} Value, or null if unset
+   */
+  async _get(namespace, key) {
+    this._checkSetting(namespace, key);
+    const { stdout } = await this._exec(sh`settings get ${namespace} ${key}`);
+    const value = stdout.trim();
+    return value === 'null' ? null : value;
+  }
+
+  /**
+   * Write or delete a raw setting
+   * @private
+   * @param {string} namespace - Settings namespace
+   * @param {string} key - Setting key
+   * @param {string|number|null} value - New value; null deletes the setting
+   */
+  async _put(namespace, key, value) {
+    this._checkSetting(namespace, key);
+    await this._exec(value === null ? sh`settings delete ${namespace} ${key}` : sh`settings put ${namespace} ${key} ${value}`);
+  }
+
+  /**
+   * Reject namespaces and keys the settings command cannot take
+   * @private
+   * @param {string} namespace - Settings namespace
+   * @param {string} key - Setting key
+   * @throws {SettingsError} If either is invalid
+   */
+  _checkSetting(namespace, key) {
+    if (!NAMESPACES.includes(namespace)) {
+      throw new SettingsError(`Invalid settings namespace ${JSON.stringify(namespace)}: expected system, secure or global`);
+    }
+    if (typeof key !== 'string' || !SETTING_KEY.test(key)) {
+      throw new SettingsError(`Invalid setting key ${JSON.stringify(key)}`);
+    }
+  }
+}
+
+module.exports = SettingsManager;
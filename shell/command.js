@@ -0,0 +1,55 @@
+/**
+ * Shell Command Builder for AirTap Android SDK
+ * Quotes arguments for the device shell (mksh with toybox utilities)
+ */
+
+// Arguments made only of these characters need no quoting
+const SAFE_ARGUMENT = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Quote a value as a single shell argument
+ * @param {string|number} value - Argument
+ * @returns {string} The argument, single-quoted if it contains anything but safe characters
+ * @throws {TypeError} If the value is null or undefined
+ */
+function quote(value) {
+  if (value === null || value === undefined) {
+    throw new TypeError(`Cannot use ${value} as a shell argument`);
+  }
+  const text = String(value);
+  if (text === '') {
+    return "''";
+  }
+  if (SAFE_ARGUMENT.test(text)) {
+    return text;
+  }
+  // Close the quotes, emit an escaped quote, and reopen them
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Build a command line, quoting every interpolated value as a separate argument.
+ *
+ * The literal parts of the template are trusted and passed through as-is; arrays expand to
+ * one quoted argument per element.
+ *
+ * @example
+ * sh`rm -f -- ${path}`               // rm -f -- '/sdcard/My Files/a.txt'
+ * sh`pm grant ${pkg} ${permissions}` // pm grant com.example android.permission.CAMERA ...
+ *
+ * @param {Array<string>} strings - Template literal parts
+ * @param {...*} values - Interpolated values
+ * @returns {string} Command line
+ */
+function sh(strings, ...values) {
+  return strings.reduce((command, literal, i) => {
+    const value = values[i - 1];
+    const argument = Array.isArray(value) ? value.map(quote).join(' ') : quote(value);
+    return command + argument + literal;
+  });
+}
+
+module.exports = {
+  quote,
+  sh
+};
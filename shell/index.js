@@ -0,0 +1,11 @@
+/**
+ * Shell Module for AirTap Android SDK
+ * Exports the command-building helpers
+ */
+
+const { quote, sh } = require('./command');
+
+module.exports = {
+  quote,
+  sh
+};
@@ -0,0 +1,10 @@
+/**
+ * Snapshots Module for AirTap Android SDK
+ * Exports the snapshot manager for saving and restoring device state
+ */
+
+const SnapshotManager = require('./manager');
+
+module.exports = {
+  SnapshotManager
+};
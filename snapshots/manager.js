@@ -0,0 +1,116 @@
+/**
+ * Snapshot Manager for AirTap Android SDK
+ * Saves and restores the full state of the Android device
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { SnapshotError } = require('../exceptions');
+
+// Snapshot names are used in URLs and shared across the account
+const SNAPSHOT_NAME = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+/**
+ * Reject snapshot names the API cannot store
+ * @param {string} name - Snapshot name
+ * @throws {SnapshotError} If the name is invalid
+ */
+function validateSnapshotName(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name)) {
+    throw new SnapshotError(
+      `Invalid snapshot name ${JSON.stringify(name)}: use up to 64 letters, digits, '.', '_' or '-', starting with a letter or digit`
+    );
+  }
+}
+
+/**
+ * Convert a snapshot description from the API
+ * @param {Object} snapshot - Snapshot as returned by the API
+ * @returns {Object} Snapshot info of the form { name, deviceId, createdAt, sizeBytes }
+ */
+function toSnapshotInfo(snapshot) {
+  return {
+    name: snapshot.name,
+    deviceId: snapshot.device_id || null,
+    createdAt: snapshot.created_at ? new Date(snapshot.created_at) : null,
+    sizeBytes: snapshot.size_bytes !== undefined ? snapshot.size_bytes : null
+  };
+}
+
+class SnapshotManager {
+  /**
+   * Create a new snapshot manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+  }
+
+  /**
+   * Save the device's full state (installed apps, app data, files, settings) under a name.
+   * Snapshots belong to the account: any sandbox can restore them or boot from them with the
+   * from_snapshot create option. Saving under an existing name replaces that snapshot.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} Snapshot info of the form { name, deviceId, createdAt, sizeBytes }
+   */
+  async save(name) {
+    try {
+      validateSnapshotName(name);
+      const response = await this.sandbox.apiClient.post(this.sandbox._devicePath('/snapshots'), { name }, {
+        timeout: 120000,
+        idempotencyKey: uuidv4()
+      });
+      return toSnapshotInfo(response);
+    } catch (error) {
+      throw new SnapshotError(`Failed to save snapshot ${name}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Roll the device back to a saved snapshot. Running background jobs end, as on a reboot.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<boolean>} True if successful
+   */
+  async restore(name) {
+    try {
+      validateSnapshotName(name);
+      await this.sandbox.apiClient.post(this.sandbox._devicePath('/restore'), { snapshot: name }, {
+        timeout: 120000,
+        idempotencyKey: uuidv4()
+      });
+      this.sandbox.jobs._closeAll();
+      return true;
+    } catch (error) {
+      throw new SnapshotError(`Failed to restore snapshot ${name}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * List the account's snapshots
+   * @returns {Promise<Array<Object>>} Snapshots of the form { name, deviceId, createdAt, sizeBytes }
+   */
+  async list() {
+    try {
+      const response = await this.sandbox.apiClient.get('/snapshots');
+      return (response.snapshots || []).map(toSnapshotInfo);
+    } catch (error) {
+      throw new SnapshotError(`Failed to list snapshots: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} name - Snapshot name
+   * @returns {Promise<boolean>} True if successful
+   */
+  async delete(name) {
+    try {
+      validateSnapshotName(name);
+      await this.sandbox.apiClient.delete(`/snapshots/${name}`);
+      return true;
+    } catch (error) {
+      throw new SnapshotError(`Failed to delete snapshot ${name}: ${error.message}`, error);
+    }
+  }
+}
+
+module.exports = SnapshotManager;
@@ -40,7 +40,7 @@ class StreamManager {
         streamId: this.streamId,
         quality: options.quality,
         audio: options.audio
-      });
+      }, { idempotencyKey: this.streamId });
       
       this.streamUrl = response.streamUrl;
       this.isStreaming = true;
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for the ApiClient transport
+ */
+
+const { AndroidSandbox, ApiClient } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+describe('ApiClient', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    client = new ApiClient('test-key', { baseUrl: server.baseUrl, retry: { baseDelayMs: 1 } });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should retry GET requests on retryable statuses', async () => {
+    const { device_id: deviceId } = await client.post('/devices');
+    server.injectFault({ method: 'GET', status: 502, times: 2 });
+
+    const result = await client.get(`/devices/${deviceId}/current_app`);
+    expect(result.package_name).toBeDefined();
+  });
+
+  test('should give up after the maximum number of attempts', async () => {
+    server.injectFault({ method: 'GET', status: 500, times: 5 });
+
+    const error = await client.get('/devices/unknown/current_app').catch(e => e);
+    expect(error.name).toBe('ApiError');
+    expect(error.status).toBe(500);
+    expect(error.attempts).toBe(3);
+  });
+
+  test('should not retry non-retryable statuses', async () => {
+    const error = await client.get('/devices/unknown/current_app').catch(e => e);
+    expect(error.status).toBe(404);
+    expect(error.attempts).toBe(1);
+  });
+
+  test('should honour Retry-After on 429', async () => {
+    server.injectFault({ method: 'GET', status: 429, retryAfter: 1 });
+
+    const started = Date.now();
+    await expect(client.get('/devices/unknown/current_app')).rejects.toMatchObject({ status: 404 });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+  });
+
+  test('should not retry POST requests without an idempotency key', async () => {
+    server.injectFault({ method: 'POST', path: '/devices' });
+
+    await expect(client.post('/devices')).rejects.toMatchObject({ status: 503, attempts: 1 });
+  });
+
+  test('should not leak a second device when provisioning is retried', async () => {
+    // The first response is lost after the device was provisioned
+    server.injectFault({ method: 'POST', path: '/devices', afterHandling: true });
+
+    const sandbox = await AndroidSandbox.create({
+      api_key: 'test-key',
+      base_url: server.baseUrl,
+      retry: { baseDelayMs: 1 }
+    });
+
+    expect(server.devices.size).toBe(1);
+    expect(server.devices.has(sandbox.deviceId)).toBe(true);
+    await sandbox.close();
+  });
+
+  describe('configuration', () => {
+    const ENV_VARS = ['AIRTAP_BASE_URL', 'AIRTAP_TIMEOUT_MS', 'AIRTAP_HEADERS'];
+    let savedEnv;
+
+    beforeEach(() => {
+      savedEnv = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+    });
+
+    afterEach(() => {
+      for (const [name, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    test('should read the base URL, timeout and headers from the environment', async () => {
+      process.env.AIRTAP_BASE_URL = server.baseUrl;
+      process.env.AIRTAP_TIMEOUT_MS = '4321';
+      process.env.AIRTAP_HEADERS = JSON.stringify({ 'X-Team': 'qa' });
+
+      const sandbox = await AndroidSandbox.create({ api_key: 'test-key' });
+      await sandbox.apps.isInstalled('com.example.app');
+
+      expect(sandbox.apiClient).toMatchObject({ baseUrl: server.baseUrl, timeout: 4321 });
+      // Every request, including the managers', goes through the shared client
+      expect(server.requests.length).toBeGreaterThanOrEqual(2);
+      server.requests.forEach(request => expect(request.headers).toMatchObject({
+        'x-team': 'qa',
+        authorization: 'Bearer test-key'
+      }));
+      await sandbox.close();
+    });
+
+    test('should let options take precedence over the environment', async () => {
+      process.env.AIRTAP_BASE_URL = 'http://127.0.0.1:9';
+      process.env.AIRTAP_TIMEOUT_MS = '4321';
+      process.env.AIRTAP_HEADERS = JSON.stringify({ 'X-Team': 'qa', 'X-Env': 'ci' });
+
+      const sandbox = await AndroidSandbox.create({
+        api_key: 'test-key',
+        base_url: server.baseUrl,
+        timeout_ms: 2500,
+        headers: { 'X-Team': 'mobile', Authorization: 'Bearer other-key' }
+      });
+
+      expect(sandbox.apiClient).toMatchObject({ baseUrl: server.baseUrl, timeout: 2500 });
+      expect(server.requests[0].headers).toMatchObject({
+        'x-team': 'mobile',
+        'x-env': 'ci',
+        // The API key always wins over custom headers
+        authorization: 'Bearer test-key'
+      });
+      await sandbox.close();
+    });
+
+    test('should reject AIRTAP_HEADERS that is not a JSON object', () => {
+      process.env.AIRTAP_HEADERS = '["X-Team"]';
+      expect(() => new ApiClient('test-key')).toThrow('AIRTAP_HEADERS must be a JSON object');
+      process.env.AIRTAP_HEADERS = 'X-Team: qa';
+      expect(() => new ApiClient('test-key')).toThrow('AIRTAP_HEADERS is not valid JSON');
+    });
+  });
+});
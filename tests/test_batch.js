@@ -0,0 +1,112 @@
+/**
+ * Unit tests for batched action sequences
+ */
+
+const { AndroidSandbox, BatchError, KeyError } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+describe('Action sequences', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device.inputs = [];
+    server.requests = [];
+  });
+
+  test('should run a chained sequence in a single request', async () => {
+    const results = await sandbox.actions()
+      .tap(270, 1200).wait(200)
+      .tap(950, 1050).wait(200)
+      .type('42')
+      .pressKey('ENTER')
+      .swipe([540, 1400], [540, 400], 300)
+      .run();
+
+    expect(server.requests.map(request => request.path)).toEqual([`/v1/devices/${sandbox.deviceId}/input/batch`]);
+    expect(device.inputs).toEqual([
+      { type: 'tap', x: 270, y: 1200 },
+      { type: 'tap', x: 950, y: 1050 },
+      { type: 'text', text: '42' },
+      { type: 'key', key: 'KEYCODE_ENTER' },
+      { type: 'swipe', start_x: 540, start_y: 1400, end_x: 540, end_y: 400, duration_ms: 300 }
+    ]);
+    expect(results.map(({ name, status }) => `${name}:${status}`)).toEqual([
+      'tap:ok', 'wait:ok', 'tap:ok', 'wait:ok', 'type:ok', 'pressKey:ok', 'swipe:ok'
+    ]);
+    expect(results[1]).toEqual({ index: 1, name: 'wait', status: 'ok', durationMs: 200, error: null });
+  });
+
+  test('should run a list of steps and report the failing one', async () => {
+    const steps = [
+      { action: 'tap', x: 10, y: 20 },
+      { action: 'type', text: 'naïve' },
+      { action: 'wait', duration_ms: 100 },
+      { action: 'type', text: 'never typed' }
+    ];
+
+    const results = await sandbox.batch(steps);
+    expect(results.map(result => result.status)).toEqual(['ok', 'error', 'skipped', 'skipped']);
+    expect(results[1].error).toBe('Cannot type "ï": only ASCII text can be typed');
+    expect(device.inputs).toEqual([{ type: 'tap', x: 10, y: 20 }]);
+
+    device.inputs = [];
+    const carriedOn = await sandbox.batch(steps, { stop_on_error: false });
+    expect(carriedOn.map(result => result.status)).toEqual(['ok', 'error', 'ok', 'ok']);
+    expect(device.inputs).toHaveLength(2);
+  });
+
+  test('should emit one action event for the whole batch', async () => {
+    const events = [];
+    sandbox.on('action:end', event => events.push(event));
+
+    const gesture = sandbox.gesture();
+    gesture.pointer().down(100, 100).moveTo(300, 100, 250).up();
+    await sandbox.actions().gesture(gesture).longPress(5, 5, 600).run();
+
+    expect(events).toEqual([expect.objectContaining({
+      name: 'batch',
+      args: { steps: ['gesture', 'longPress'], stop_on_error: true },
+      status: 'ok'
+    })]);
+    sandbox.removeAllListeners('action:end');
+  });
+
+  test('should reject invalid steps before sending anything', async () => {
+    expect(() => sandbox.actions().wait(-1)).toThrow(BatchError);
+    expect(() => sandbox.actions().wait(-1)).toThrow('Invalid wait duration -1');
+    expect(() => sandbox.actions().pressKey('')).toThrow(KeyError);
+    expect(() => sandbox.actions().tap(-1, 0)).toThrow('Invalid x coordinate');
+    await expect(sandbox.batch([{ action: 'scroll' }])).rejects.toThrow('Unknown batch action "scroll"');
+    await expect(sandbox.actions().run()).rejects.toThrow('the sequence has no steps');
+    expect(server.requests).toEqual([]);
+  });
+
+  test('should report the request error for every step in non-strict mode', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    sandbox.logger = logger;
+    server.injectFault({ method: 'POST', path: /\/input\/batch$/, status: 400 });
+
+    const results = await sandbox.actions().tap(270, 1200).pressKey('ENTER').run();
+
+    expect(results).toEqual([
+      { index: 0, name: 'tap', status: 'error', durationMs: null, error: expect.stringContaining('400') },
+      { index: 1, name: 'pressKey', status: 'error', durationMs: null, error: results[0].error }
+    ]);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error running batch'));
+    expect(device.inputs).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for automatic device cleanup: async dispose, exit hooks, keepalive and idle timeout
+ */
+
+const { AndroidSandbox, DevicePool } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+const { poll } = require('../wait');
+const { asyncDispose } = require('../cleanup');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('Automatic cleanup', () => {
+  let server;
+  let options;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    options = { api_key: 'test-key', base_url: server.baseUrl, logger: silentLogger };
+  });
+
+  afterAll(async () => {
+    await AndroidSandbox.releaseAll();
+    await server.stop();
+  });
+
+  const deviceOf = sandbox => server.devices.get(sandbox.deviceId);
+
+  test('should release the device when disposed', async () => {
+    const sandbox = await AndroidSandbox.create(options);
+    const device = deviceOf(sandbox);
+
+    await sandbox[asyncDispose]();
+    expect(device.released).toBe(true);
+
+    const pool = new DevicePool({ sandboxOptions: options });
+    const leased = await pool.acquire();
+    const pooled = deviceOf(leased);
+    await pool[asyncDispose]();
+    expect(pooled.released).toBe(true);
+  });
+
+  test('should release every live sandbox but not detached ones', async () => {
+    const [first, second, detached] = await Promise.all([1, 2, 3].map(() => AndroidSandbox.create(options)));
+    const devices = [first, second, detached].map(deviceOf);
+    detached.detach();
+
+    expect(await AndroidSandbox.releaseAll()).toBe(2);
+    expect(devices.map(device => device.released)).toEqual([true, true, false]);
+    expect(first.deviceId).toBeNull();
+    expect(await AndroidSandbox.releaseAll()).toBe(0);
+  });
+
+  test('should release live sandboxes on a signal and before exit', async () => {
+    const keepRunning = () => {};
+    process.on('SIGUSR2', keepRunning);
+    const uninstall = AndroidSandbox.installExitHooks({ signals: ['SIGUSR2'] });
+    try {
+      expect(AndroidSandbox.installExitHooks()).toBe(uninstall);
+      expect(process.listenerCount('SIGUSR2')).toBe(2);
+
+      const sandbox = await AndroidSandbox.create(options);
+      const device = deviceOf(sandbox);
+      process.emit('SIGUSR2', 'SIGUSR2');
+      await poll(() => device.released, { timeout_ms: 2000, interval_ms: 10 });
+      // The hooks are removed once triggered
+      expect(process.listenerCount('SIGUSR2')).toBe(1);
+
+      AndroidSandbox.installExitHooks({ signals: ['SIGUSR2'] });
+      const other = deviceOf(await AndroidSandbox.create(options));
+      process.emit('beforeExit', 0);
+      await poll(() => other.released, { timeout_ms: 2000, interval_ms: 10 });
+    } finally {
+      AndroidSandbox.installExitHooks()();
+      process.removeListener('SIGUSR2', keepRunning);
+    }
+    expect(process.listenerCount('SIGUSR2')).toBe(0);
+  });
+
+  test('should try to release before exit only once', async () => {
+    const sandbox = await AndroidSandbox.create({ ...options, logger: { ...silentLogger, error: jest.fn() } });
+    const close = sandbox.close.bind(sandbox);
+    sandbox.close = jest.fn(() => Promise.reject(new Error('DELETE failed')));
+    const beforeExitListeners = process.listenerCount('beforeExit');
+
+    AndroidSandbox.installExitHooks({ signals: [] });
+    process.emit('beforeExit', 0);
+    await poll(() => sandbox.logger.error.mock.calls.length > 0, { timeout_ms: 2000, interval_ms: 10 });
+    process.emit('beforeExit', 0);
+
+    expect(sandbox.close).toHaveBeenCalledTimes(1);
+    expect(sandbox.logger.error).toHaveBeenCalledWith(expect.stringContaining('DELETE failed'));
+    expect(process.listenerCount('beforeExit')).toBe(beforeExitListeners);
+    await close();
+  });
+
+  test('should send heartbeats while connected', async () => {
+    const sandbox = await AndroidSandbox.create({ ...options, keepalive_ms: 20 });
+    const device = deviceOf(sandbox);
+
+    await poll(() => device.heartbeats >= 2, { timeout_ms: 2000, interval_ms: 10 });
+    await sandbox.close();
+
+    const heartbeats = device.heartbeats;
+    await sandbox.wait(60);
+    expect(device.heartbeats).toBe(heartbeats);
+  });
+
+  test('should release a sandbox nobody touches', async () => {
+    const sandbox = await AndroidSandbox.create({ ...options, idle_timeout_ms: 150 });
+    const device = deviceOf(sandbox);
+    const idle = new Promise(resolve => sandbox.once('idle', resolve));
+
+    // Actions and running jobs postpone the release
+    await sandbox.wait(100);
+    await sandbox.tap(1, 1);
+    const job = await sandbox.jobs.spawn('logcat');
+    await sandbox.wait(200);
+    expect(device.released).toBe(false);
+
+    await job.kill();
+    await job.wait();
+    const event = await idle;
+    expect(event).toMatchObject({ device_id: device.id, idle_ms: expect.any(Number) });
+    expect(event.idle_ms).toBeGreaterThanOrEqual(150);
+    await poll(() => device.released, { timeout_ms: 2000, interval_ms: 10 });
+    expect(sandbox.deviceId).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the gesture builder and presets
+ */
+
+const { AndroidSandbox, Gesture, GestureError } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+describe('Gesture', () => {
+  test('should describe timed events per pointer', () => {
+    const gesture = new Gesture();
+    gesture.pointer().down(100, 800).wait(200).moveTo(100, 400, 300).up();
+    gesture.pointer(5).wait(100).down(500, 800).moveAlong([[500, 700], [500, 400]], 300).up();
+
+    expect(gesture.durationMs).toBe(500);
+    expect(gesture.toJSON()).toEqual({
+      pointers: [
+        {
+          id: 0,
+          events: [
+            { action: 'down', x: 100, y: 800, time_ms: 0 },
+            { action: 'move', x: 100, y: 800, time_ms: 200 },
+            { action: 'move', x: 100, y: 400, time_ms: 500 },
+            { action: 'up', x: 100, y: 400, time_ms: 500 }
+          ]
+        },
+        {
+          id: 5,
+          events: [
+            { action: 'down', x: 500, y: 800, time_ms: 100 },
+            { action: 'move', x: 500, y: 700, time_ms: 175 },
+            { action: 'move', x: 500, y: 400, time_ms: 400 },
+            { action: 'up', x: 500, y: 400, time_ms: 400 }
+          ]
+        }
+      ]
+    });
+    expect(gesture.pointer().id).toBe(6);
+  });
+
+  test('should reject invalid gestures', () => {
+    const pointer = new Gesture().pointer();
+    expect(() => pointer.moveTo(10, 10)).toThrow('Pointer 0 must be down to move');
+    expect(() => pointer.up()).toThrow('Pointer 0 is not down');
+    expect(() => pointer.down(-1, 10)).toThrow('Invalid x coordinate -1');
+    expect(() => pointer.down(1, 1).down(2, 2)).toThrow(GestureError);
+    expect(() => pointer.wait(NaN)).toThrow('Invalid duration');
+
+    expect(() => new Gesture().toJSON()).toThrow('at least one pointer');
+    const open = new Gesture();
+    open.pointer().down(1, 1);
+    expect(() => open.validate()).toThrow('Pointer 0 is still down');
+
+    const crowded = new Gesture();
+    for (let i = 0; i < 10; i++) {
+      crowded.pointer();
+    }
+    expect(() => crowded.pointer()).toThrow('at most 10 pointers');
+  });
+});
+
+describe('AndroidSandbox gestures', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device.inputs = [];
+  });
+
+  test('should perform a built gesture as a single action', async () => {
+    const events = [];
+    sandbox.on('action:end', event => events.push(event));
+
+    const gesture = sandbox.gesture();
+    gesture.pointer().down(300, 800).moveTo(300, 400, 200).up();
+    gesture.pointer().down(700, 800).moveTo(700, 400, 200).up();
+    await gesture.perform();
+
+    expect(device.inputs).toEqual([{ type: 'gesture', pointers: gesture.toJSON().pointers }]);
+    expect(events).toEqual([expect.objectContaining({ name: 'gesture', args: { pointers: 2, duration_ms: 200 } })]);
+    sandbox.removeAllListeners('action:end');
+
+    await expect(new Gesture().perform()).rejects.toThrow('not bound to a sandbox');
+    await expect(sandbox.performGesture(new Gesture())).rejects.toThrow(GestureError);
+  });
+
+  test('should build the classic gestures on top of the builder', async () => {
+    await sandbox.doubleTap(200, 300);
+    await sandbox.longPress(200, 300, 700);
+    await sandbox.pinchOut([540, 960], 300);
+    await sandbox.pinchIn([540, 960], 200);
+    await sandbox.dragAndDrop([100, 200], [600, 900]);
+
+    expect(device.inputs).toEqual([
+      { type: 'double_tap', x: 200, y: 300 },
+      { type: 'long_press', x: 200, y: 300, duration_ms: 700 },
+      { type: 'pinch', center_x: 540, center_y: 960, distance: 300, direction: 'out' },
+      { type: 'pinch', center_x: 540, center_y: 960, distance: 200, direction: 'in' },
+      { type: 'drag', start_x: 100, start_y: 200, end_x: 600, end_y: 900, hold_ms: 600, duration_ms: 1300 }
+    ]);
+  });
+
+  test('should rotate two fingers around a center', async () => {
+    await sandbox.rotate([500, 500], 90, { radius: 100, duration_ms: 600 });
+
+    const [{ type, pointers }] = device.inputs;
+    expect(type).toBe('gesture');
+    const ends = pointers.map(pointer => pointer.events[pointer.events.length - 1]);
+    expect(ends.map(({ x, y, time_ms }) => [x, y, time_ms])).toEqual([[500, 600, 600], [500, 400, 600]]);
+    // 90 degrees in steps of at most 15
+    expect(pointers[0].events).toHaveLength(8);
+  });
+
+  test('should swipe with two parallel fingers', async () => {
+    await sandbox.twoFingerSwipe([540, 1500], [540, 500], 300, { spacing: 200 });
+
+    const [{ pointers }] = device.inputs;
+    expect(pointers.map(pointer => pointer.events.map(({ x, y }) => [x, y]))).toEqual([
+      [[640, 1500], [640, 500], [640, 500]],
+      [[440, 1500], [440, 500], [440, 500]]
+    ]);
+  });
+
+  test('should reject invalid preset arguments without sending anything', async () => {
+    await expect(sandbox.tap(-5, 10)).rejects.toThrow('Invalid x coordinate -5');
+    expect(device.inputs).toEqual([]);
+  });
+});
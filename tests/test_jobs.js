@@ -0,0 +1,131 @@
+/**
+ * Unit tests for background shell jobs
+ */
+
+const { AndroidSandbox, JobError } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+describe('JobManager', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterEach(async () => {
+    await sandbox.close();
+  });
+
+  test('should run a command to completion and collect its output', async () => {
+    device.writeFile('/sdcard/notes.txt', 'first\nsecond\n');
+
+    const job = await sandbox.jobs.spawn('cat notes.txt missing.txt', { cwd: '/sdcard', pollIntervalMs: 10 });
+    const chunks = [];
+    for await (const chunk of job) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([
+      { stream: 'stdout', data: 'first\nsecond\n' },
+      { stream: 'stderr', data: expect.stringContaining('missing.txt') }
+    ]);
+    expect(await job.wait()).toEqual({ status: 'exited', exitCode: 1 });
+    expect(sandbox.jobs.get(job.id)).toBeNull();
+  });
+
+  test('should stream output of a long-running command until killed', async () => {
+    const job = await sandbox.jobs.spawn('logcat -v brief', { pollIntervalMs: 10 });
+    const events = [];
+    job.on('stdout', data => events.push(data));
+
+    const lines = [];
+    const reading = (async () => {
+      for await (const line of job.lines()) {
+        lines.push(line);
+        if (lines.length === 3) await job.kill();
+      }
+    })();
+
+    device.writeJobOutput(job.id, 'stdout', 'I/ActivityManager: Start proc\nW/Sys');
+    setTimeout(() => device.writeJobOutput(job.id, 'stdout', 'tem: low memory\nE/App: crash\n'), 30);
+
+    await reading;
+    expect(lines).toEqual(['I/ActivityManager: Start proc', 'W/System: low memory', 'E/App: crash']);
+    expect(events.join('')).toBe('I/ActivityManager: Start proc\nW/System: low memory\nE/App: crash\n');
+    expect(job).toMatchObject({ status: 'killed', exitCode: 143 });
+  });
+
+  test('should write to stdin', async () => {
+    const session = await sandbox.jobs.spawn('sh', { pollIntervalMs: 10 });
+    const output = [];
+    session.on('stdout', data => output.push(data));
+
+    await session.write('echo hello\n');
+    await session.write('pwd\n');
+    await session.end();
+
+    expect(await session.wait()).toEqual({ status: 'exited', exitCode: 0 });
+    expect(output.join('')).toBe('hello\n/\n');
+  });
+
+  test('should list and kill jobs by ID', async () => {
+    const top = await sandbox.jobs.spawn('top -d 1');
+    const logcat = await sandbox.jobs.spawn('logcat');
+
+    const jobs = await sandbox.jobs.list();
+    expect(jobs.map(job => job.command)).toEqual(['top -d 1', 'logcat']);
+    expect(jobs[0]).toMatchObject({ id: top.id, status: 'running', exitCode: null, startedAt: expect.any(Date) });
+    expect(sandbox.jobs.get(logcat.id)).toBe(logcat);
+
+    await sandbox.jobs.kill(top.id, 'KILL');
+    expect(await top.wait()).toEqual({ status: 'killed', exitCode: 137 });
+
+    await sandbox.jobs.killAll();
+    expect((await logcat.wait()).status).toBe('killed');
+  });
+
+  test('should encode job IDs in request paths', async () => {
+    server.requests = [];
+    await expect(sandbox.jobs.kill('../devices')).rejects.toThrow(JobError);
+    expect(server.requests.map(request => request.path)).toEqual([
+      `/v1/devices/${sandbox.deviceId}/jobs/..%2Fdevices/kill`
+    ]);
+  });
+
+  test('should only keep the process alive while the job is awaited', async () => {
+    const job = await sandbox.jobs.spawn('logcat', { pollIntervalMs: 10 });
+    expect(job._timer.hasRef()).toBe(false);
+
+    const waiting = job.wait();
+    expect(job._timer.hasRef()).toBe(true);
+    await job.kill();
+    await waiting;
+    expect(job._waiters).toBe(0);
+  });
+
+  test('should stop polling when the sandbox closes', async () => {
+    const job = await sandbox.jobs.spawn('logcat', { pollIntervalMs: 10 });
+    await sandbox.close();
+    expect(await job.wait()).toEqual({ status: 'closed', exitCode: null });
+  });
+
+  test('should fail when the job output is lost', async () => {
+    const job = await sandbox.jobs.spawn('logcat', { pollIntervalMs: 10 });
+    server.injectFault({ method: 'GET', path: /\/output$/, status: 404 });
+
+    await expect(job.wait()).rejects.toThrow(JobError);
+    expect(job.status).toBe('failed');
+  });
+});
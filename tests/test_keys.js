@@ -0,0 +1,114 @@
+/**
+ * Unit tests for key codes and key input
+ */
+
+const { AndroidSandbox, Keys, MetaState, KeyError } = require('../index');
+const { normalizeKey, metaStateOf } = require('../keys');
+const { FakeAirTapServer } = require('../fake');
+
+describe('Key codes', () => {
+  test('should normalize both naming styles, aliases and key codes', () => {
+    expect(Keys.ENTER).toBe('KEYCODE_ENTER');
+    expect(normalizeKey('ENTER')).toBe('KEYCODE_ENTER');
+    expect(normalizeKey('KEYCODE_ENTER')).toBe('KEYCODE_ENTER');
+    expect(normalizeKey('keycode_enter')).toBe('KEYCODE_ENTER');
+    expect(normalizeKey('Return')).toBe('KEYCODE_ENTER');
+    expect(normalizeKey('ctrl')).toBe('KEYCODE_CTRL_LEFT');
+    expect(normalizeKey('7')).toBe('KEYCODE_7');
+    expect(normalizeKey(66)).toBe('KEYCODE_ENTER');
+  });
+
+  test('should reject unknown keys', () => {
+    expect(() => normalizeKey('not a key')).toThrow('Unknown key "not a key"');
+    expect(() => normalizeKey('')).toThrow(KeyError);
+    expect(() => normalizeKey(0)).toThrow(KeyError);
+    expect(() => normalizeKey(null)).toThrow(KeyError);
+  });
+
+  test('should combine the meta state of held modifiers', () => {
+    expect(metaStateOf([Keys.SHIFT_LEFT, Keys.CTRL_RIGHT, Keys.A])).toBe(
+      MetaState.SHIFT_ON | MetaState.SHIFT_LEFT_ON | MetaState.CTRL_ON | MetaState.CTRL_RIGHT_ON
+    );
+    expect(metaStateOf([])).toBe(0);
+  });
+});
+
+describe('AndroidSandbox key input', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device.inputs = [];
+    server.requests = [];
+  });
+
+  test('should send normalized keys', async () => {
+    await sandbox.pressKey('enter');
+    await sandbox.pressKey(Keys.BACK);
+    await sandbox.pressCombo(['ctrl', Keys.A]);
+
+    expect(device.inputs).toEqual([
+      { type: 'key', key: 'KEYCODE_ENTER' },
+      { type: 'key', key: 'KEYCODE_BACK' },
+      { type: 'combo', keys: ['KEYCODE_CTRL_LEFT', 'KEYCODE_A'] }
+    ]);
+  });
+
+  test('should validate keys before sending anything', async () => {
+    await expect(sandbox.pressKey('ENTRE')).rejects.toThrow('Unknown key "ENTRE"');
+    await expect(sandbox.pressCombo([Keys.CTRL_LEFT, 'KEYCODE_NOPE'])).rejects.toThrow(KeyError);
+    await expect(sandbox.pressCombo([])).rejects.toThrow('at least one key');
+    expect(server.requests).toEqual([]);
+  });
+
+  test('should hold modifiers between keyDown and keyUp', async () => {
+    const shift = MetaState.SHIFT_ON | MetaState.SHIFT_LEFT_ON;
+
+    await sandbox.keyDown('shift');
+    expect(sandbox.heldKeys).toEqual(['KEYCODE_SHIFT_LEFT']);
+    await sandbox.pressKey('DPAD_RIGHT');
+    await sandbox.keyUp(Keys.SHIFT_LEFT);
+    await sandbox.pressKey('DPAD_RIGHT');
+
+    expect(device.inputs).toEqual([
+      { type: 'key', key: 'KEYCODE_SHIFT_LEFT', action: 'down' },
+      { type: 'key', key: 'KEYCODE_DPAD_RIGHT', meta_state: shift },
+      { type: 'key', key: 'KEYCODE_SHIFT_LEFT', action: 'up' },
+      { type: 'key', key: 'KEYCODE_DPAD_RIGHT' }
+    ]);
+    expect(sandbox.heldKeys).toEqual([]);
+
+    await expect(sandbox.keyUp('shift')).rejects.toThrow('KEYCODE_SHIFT_LEFT is not held');
+  });
+
+  test('should hold keys across steps of a batch', async () => {
+    const results = await sandbox.actions()
+      .keyDown(Keys.CTRL_LEFT).pressKey('c').keyUp(Keys.CTRL_LEFT)
+      .keyDown(Keys.DPAD_LEFT).wait(300).keyUp(Keys.DPAD_LEFT)
+      .run();
+
+    expect(results.every(result => result.status === 'ok')).toBe(true);
+    expect(device.inputs).toEqual([
+      { type: 'key', key: 'KEYCODE_CTRL_LEFT', action: 'down' },
+      { type: 'key', key: 'KEYCODE_C', meta_state: MetaState.CTRL_ON | MetaState.CTRL_LEFT_ON },
+      { type: 'key', key: 'KEYCODE_CTRL_LEFT', action: 'up' },
+      { type: 'key', key: 'KEYCODE_DPAD_LEFT', action: 'down' },
+      { type: 'key', key: 'KEYCODE_DPAD_LEFT', action: 'up' }
+    ]);
+
+    await expect(sandbox.actions().keyDown(Keys.SPACE).run()).rejects.toThrow('leaves KEYCODE_SPACE held');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for mock location and route playback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AndroidSandbox, LocationError } = require('../index');
+const { parseRoute, distanceBetween, bearingBetween } = require('../location');
+const { FakeAirTapServer } = require('../fake');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="0" lon="0"><name>Ignored when there is a track</name></wpt>
+  <trk>
+    <name>Morning walk</name>
+    <trkseg>
+      <trkpt lat="52.5163" lon="13.3777"><ele>34.5</ele><time>2024-05-01T08:00:00Z</time></trkpt>
+      <trkpt lat="52.5186" lon="13.3762"><ele>36.0</ele><time>2024-05-01T08:03:00Z</time></trkpt>
+      <trkpt lat="52.5200" lon="13.3700"><time>2024-05-01T08:08:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <LineString>
+        <coordinates>
+          -122.4194,37.7749,10 -122.4089,37.7837,12
+          -122.4000,37.7900
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>`;
+
+const KML_TRACK = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Placemark>
+    <gx:Track>
+      <when>2024-05-01T08:00:00Z</when>
+      <when>2024-05-01T08:00:30Z</when>
+      <gx:coord>2.2945 48.8584 35</gx:coord>
+      <gx:coord>2.2950 48.8590 35</gx:coord>
+    </gx:Track>
+  </Placemark>
+</kml>`;
+
+describe('Route parsing', () => {
+  test('should read GPX track points with elevation and time', () => {
+    const points = parseRoute(GPX);
+
+    expect(points).toHaveLength(3);
+    expect(points[0]).toEqual({
+      latitude: 52.5163,
+      longitude: 13.3777,
+      altitude: 34.5,
+      time: new Date('2024-05-01T08:00:00Z')
+    });
+    expect(points[2].altitude).toBeNull();
+  });
+
+  test('should read KML line strings and timed tracks', () => {
+    expect(parseRoute(KML)).toEqual([
+      { latitude: 37.7749, longitude: -122.4194, altitude: 10, time: null },
+      { latitude: 37.7837, longitude: -122.4089, altitude: 12, time: null },
+      { latitude: 37.79, longitude: -122.4, altitude: null, time: null }
+    ]);
+    expect(parseRoute(KML_TRACK)).toEqual([
+      { latitude: 48.8584, longitude: 2.2945, altitude: 35, time: new Date('2024-05-01T08:00:00Z') },
+      { latitude: 48.859, longitude: 2.295, altitude: 35, time: new Date('2024-05-01T08:00:30Z') }
+    ]);
+  });
+
+  test('should reject documents that are not routes', () => {
+    expect(() => parseRoute('<svg></svg>')).toThrow('Unsupported route document <svg>');
+    expect(() => parseRoute('<gpx><trk>')).toThrow('Invalid route document');
+    expect(() => parseRoute('<gpx></gpx>')).toThrow('contains no points');
+    expect(() => parseRoute('<gpx><wpt lat="91" lon="0"/></gpx>')).toThrow(LocationError);
+  });
+
+  test('should measure distance and bearing', () => {
+    // One degree of latitude is about 111.2 km
+    expect(distanceBetween({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, -1);
+    expect(bearingBetween({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(90);
+    expect(bearingBetween({ latitude: 1, longitude: 0 }, { latitude: 0, longitude: 0 })).toBeCloseTo(180);
+  });
+});
+
+describe('LocationManager', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device.location = null;
+    device.locationHistory = [];
+    server.requests = [];
+  });
+
+  test('should set and read the mock position', async () => {
+    expect(await sandbox.location.get()).toBeNull();
+
+    await sandbox.location.set(48.8584, 2.2945, { altitude: 35, accuracy: 5 });
+
+    expect(await sandbox.location.get()).toEqual({
+      latitude: 48.8584,
+      longitude: 2.2945,
+      altitude: 35,
+      accuracy: 5,
+      speed: null,
+      bearing: null
+    });
+  });
+
+  test('should validate positions before sending anything', async () => {
+    await expect(sandbox.location.set(95, 0)).rejects.toThrow('Invalid latitude 95');
+    await expect(sandbox.location.set(0, '13.4')).rejects.toThrow('Invalid longitude "13.4"');
+    await expect(sandbox.location.set(0, 0, { accuracy: 0 })).rejects.toThrow(LocationError);
+    expect(server.requests).toEqual([]);
+  });
+
+  test('should play a route as interpolated fixes at a constant speed', async () => {
+    // Two points 111.2 m apart at 100 m/s: fixes at 0, 0.5 s, 1 s and the end at 1.11 s
+    const seen = [];
+    const result = await sandbox.location.playRoute([[0, 0], { lat: 0.001, lng: 0 }], {
+      speed: 100,
+      intervalMs: 5,
+      playbackRate: 100,
+      onFix: fix => seen.push(fix.routeTimeMs)
+    });
+
+    expect(result).toMatchObject({ fixes: 4, cancelled: false });
+    expect(result.distanceMeters).toBeCloseTo(111.2, 0);
+    expect(result.durationMs).toBeCloseTo(1112, -1);
+    expect(seen.slice(0, 3)).toEqual([0, 500, 1000]);
+
+    const latitudes = device.locationHistory.map(fix => fix.latitude);
+    expect(latitudes[0]).toBe(0);
+    expect(latitudes[1]).toBeCloseTo(0.00045, 5);
+    expect(latitudes[3]).toBeCloseTo(0.001, 9);
+    expect(device.locationHistory[1].speed).toBeCloseTo(100);
+    expect(device.locationHistory[1].bearing).toBeCloseTo(0);
+  });
+
+  test('should follow recorded times from a GPX file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-route-'));
+    const file = path.join(dir, 'walk.gpx');
+    fs.writeFileSync(file, GPX);
+
+    // 8 minutes of track at 600x, one fix per recorded minute
+    const result = await sandbox.location.playRoute(file, { playbackRate: 600, intervalMs: 100 });
+    fs.rmSync(dir, { recursive: true });
+
+    expect(result.fixes).toBe(9);
+    expect(result.durationMs).toBe(8 * 60 * 1000);
+    expect(device.locationHistory[3]).toMatchObject({ latitude: 52.5186, longitude: 13.3762, altitude: 36 });
+    expect(result.lastFix).toMatchObject({ latitude: 52.52, longitude: 13.37, altitude: 36 });
+  });
+
+  test('should stop when cancelled and leave the device at the last fix', async () => {
+    const controller = new AbortController();
+    const playback = sandbox.location.playRoute(KML, {
+      intervalMs: 20,
+      signal: controller.signal,
+      onFix: () => {
+        if (device.locationHistory.length === 3) controller.abort();
+      }
+    });
+
+    expect(sandbox.location.playing).toBe(true);
+    await expect(sandbox.location.playRoute(KML)).rejects.toThrow('already playing');
+
+    const result = await playback;
+    expect(result).toMatchObject({ fixes: 3, cancelled: true });
+    expect(device.location).toMatchObject({ latitude: result.lastFix.latitude, longitude: result.lastFix.longitude });
+    expect(sandbox.location.playing).toBe(false);
+    expect(sandbox.location.stopRoute()).toBe(false);
+  });
+
+  test('should stop from stopRoute', async () => {
+    const playback = sandbox.location.playRoute(KML_TRACK, { intervalMs: 1000 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(sandbox.location.stopRoute()).toBe(true);
+    expect(await playback).toMatchObject({ fixes: 1, cancelled: true, durationMs: 0 });
+  });
+
+  test('should reject invalid routes', async () => {
+    await expect(sandbox.location.playRoute([[0, 0]])).rejects.toThrow('at least two points');
+    await expect(sandbox.location.playRoute([[0, 0], [1, 200]])).rejects.toThrow('Invalid longitude 200');
+    await expect(sandbox.location.playRoute('/no/such/route.gpx')).rejects.toThrow('Route file not found');
+    await expect(sandbox.location.playRoute([[0, 0], [1, 1]], { speed: -1 })).rejects.toThrow(LocationError);
+    expect(server.requests).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for logcat parsing, streaming and collection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AndroidSandbox, LogLevel, LogError } = require('../index');
+const { parseLogLine, createFilter } = require('../logs');
+const { poll } = require('../wait');
+const { FakeAirTapServer } = require('../fake');
+
+describe('Log entries', () => {
+  test('should parse threadtime lines with and without the year', () => {
+    expect(parseLogLine('2024-05-01 08:00:01.123   580   612 I ActivityManager: Start proc 4000:com.example/u0a0')).toEqual({
+      timestamp: new Date('2024-05-01T08:00:01.123Z'),
+      pid: 580,
+      tid: 612,
+      level: 'I',
+      tag: 'ActivityManager',
+      message: 'Start proc 4000:com.example/u0a0',
+      line: '2024-05-01 08:00:01.123   580   612 I ActivityManager: Start proc 4000:com.example/u0a0'
+    });
+
+    const entry = parseLogLine('12-31 23:59:59.999  4000  4000 A libc    : Fatal signal 6 (SIGABRT): abort');
+    expect(entry).toMatchObject({ level: 'F', tag: 'libc', message: 'Fatal signal 6 (SIGABRT): abort' });
+    expect(entry.timestamp.getUTCMonth()).toBe(11);
+    expect(parseLogLine('--------- beginning of main')).toBeNull();
+  });
+
+  test('should filter by level, tag and package processes', () => {
+    const entry = (pid, level, tag, message = '') => ({ pid, level, tag, message });
+    const filter = createFilter({ level: LogLevel.WARN, tags: ['Net', 'Shop'], package: 'com.example.shop', pids: [4000] });
+
+    expect(filter(entry(4000, 'W', 'Net'))).toBe(true);
+    expect(filter(entry(4000, 'I', 'Net'))).toBe(false);
+    expect(filter(entry(4000, 'E', 'Other'))).toBe(false);
+    expect(filter(entry(4001, 'E', 'Shop'))).toBe(false);
+
+    // The restarted app's new process is followed
+    expect(filter(entry(580, 'I', 'ActivityManager', 'Start proc 4001:com.example.shop/u0a1 for activity'))).toBe(false);
+    expect(filter(entry(4001, 'E', 'Shop'))).toBe(true);
+
+    expect(createFilter({ level: 'warning' })(entry(1, 'E', 'Any'))).toBe(true);
+    expect(() => createFilter({ level: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+});
+
+describe('LogManager', () => {
+  let server;
+  let sandbox;
+  let device;
+  let tmpDir;
+
+  /**
+   * Wait until a streaming logcat job is running on the device
+   */
+  const logcatStarted = () => poll(
+    () => [...device.jobs.values()].some(job => job.onLog && job.status === 'running'),
+    { timeout_ms: 2000, interval_ms: 5, description: 'logcat job' }
+  );
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-logs-'));
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    device.logBuffer = [];
+  });
+
+  test('should dump and clear the log buffer', async () => {
+    device.log('App', 'started');
+    device.log('App', 'cache miss', { level: 'D' });
+    device.log('Net', 'timeout', { level: 'W' });
+
+    expect((await sandbox.logs.dump()).map(entry => entry.message)).toEqual(['started', 'cache miss', 'timeout']);
+    expect((await sandbox.logs.dump({ tags: 'App', level: 'info' })).map(entry => entry.message)).toEqual(['started']);
+    await expect(sandbox.logs.dump({ level: 'loud' })).rejects.toThrow(LogError);
+
+    await sandbox.logs.clear();
+    expect(await sandbox.logs.dump()).toEqual([]);
+  });
+
+  test('should stream new entries matching the filters', async () => {
+    device.log('Net', 'written before the stream', { level: 'E' }).time -= 5000;
+
+    const seen = [];
+    const reading = (async () => {
+      for await (const entry of sandbox.logs.stream({ level: 'W', pollIntervalMs: 10 })) {
+        seen.push(entry);
+        if (seen.length === 2) break;
+      }
+    })();
+    await logcatStarted();
+    device.log('Net', 'timeout', { level: 'W', tid: 612 });
+    device.log('Net', 'retrying', { level: 'D' });
+    device.log('Crash', 'boom', { level: 'E' });
+    await reading;
+
+    expect(seen.map(({ pid, tid, level, tag, message }) => ({ pid, tid, level, tag, message }))).toEqual([
+      { pid: 580, tid: 612, level: 'W', tag: 'Net', message: 'timeout' },
+      { pid: 580, tid: 580, level: 'E', tag: 'Crash', message: 'boom' }
+    ]);
+    expect(seen[0].timestamp).toBeInstanceOf(Date);
+    // Breaking out of the loop kills the logcat job
+    expect([...device.jobs.values()].filter(job => job.onLog && job.status === 'running')).toEqual([]);
+  });
+
+  test('should follow a package across restarts', async () => {
+    device.installPackage('com.example.shop');
+    const firstPid = device.startProcess('com.example.shop');
+
+    const seen = [];
+    const reading = (async () => {
+      for await (const entry of sandbox.logs.stream({ package: 'com.example.shop', pollIntervalMs: 10 })) {
+        seen.push(entry);
+        if (seen.length === 2) break;
+      }
+    })();
+    await logcatStarted();
+    device.log('Shop', 'first run', { pid: 'com.example.shop' });
+    device.log('Other', 'noise', { pid: 1234 });
+    device.processes.delete('com.example.shop');
+    device.log('Shop', 'second run', { pid: 'com.example.shop' });
+    await reading;
+
+    expect(seen.map(entry => entry.message)).toEqual(['first run', 'second run']);
+    expect(seen[0].pid).toBe(firstPid);
+    expect(seen[1].pid).toBe(device.processes.get('com.example.shop'));
+  });
+
+  test('should end the stream when the signal aborts', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    const reading = (async () => {
+      for await (const entry of sandbox.logs.stream({ pollIntervalMs: 10, signal: controller.signal })) {
+        seen.push(entry.message);
+        controller.abort();
+      }
+    })();
+    await logcatStarted();
+    device.log('App', 'last');
+    await reading;
+
+    expect(seen).toEqual(['last']);
+  });
+
+  test('should keep the last entries for failure reports and save them', async () => {
+    await sandbox.logs.start({ bufferSize: 3, tags: 'App', pollIntervalMs: 10 });
+    expect(sandbox.logs.collecting).toBe(true);
+    await expect(sandbox.logs.start()).rejects.toThrow('already running');
+
+    await logcatStarted();
+    [1, 2, 3, 4, 5].forEach(n => device.log('App', `step ${n}`));
+    device.log('Other', 'ignored');
+    await poll(() => sandbox.logs.recent().some(entry => entry.message === 'step 5'), { timeout_ms: 2000, interval_ms: 5 });
+
+    const entries = await sandbox.logs.stop();
+    expect(sandbox.logs.collecting).toBe(false);
+    expect(entries.map(entry => entry.message)).toEqual(['step 3', 'step 4', 'step 5']);
+    expect(sandbox.logs.recent(1).map(entry => entry.message)).toEqual(['step 5']);
+
+    const file = path.join(tmpDir, 'reports', 'failure.log');
+    expect(await sandbox.logs.save(file)).toBe(3);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines.map(line => parseLogLine(line).message)).toEqual(['step 3', 'step 4', 'step 5']);
+  });
+
+  test('should reject invalid options', async () => {
+    await expect(sandbox.logs.start({ bufferSize: 0 })).rejects.toThrow('Invalid buffer size 0');
+    const stream = sandbox.logs.stream({ since: 'yesterday' });
+    await expect(stream.next()).rejects.toThrow('Invalid since "yesterday"');
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * End-to-end tests for the sandbox managers against the fake server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AndroidSandbox } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+describe('Managers', () => {
+  let server;
+  let sandbox;
+  let device;
+  let tmpDir;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer({ deviceDefaults: { store: ['com.spotify.music'] } });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-test-'));
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterEach(async () => {
+    await sandbox.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('AppManager', () => {
+    test('should install, launch and uninstall an app', async () => {
+      expect(await sandbox.apps.isInstalled('com.spotify.music')).toBe(false);
+
+      expect(await sandbox.apps.install('com.spotify.music')).toBe(true);
+      expect(device.packages.has('com.spotify.music')).toBe(true);
+
+      expect(await sandbox.apps.launch('com.spotify.music')).toBe(true);
+      expect(device.currentApp).toBe('com.spotify.music');
+
+      expect(await sandbox.apps.forceStop('com.spotify.music')).toBe(true);
+      expect(device.currentApp).not.toBe('com.spotify.music');
+
+      expect(await sandbox.apps.uninstall('com.spotify.music')).toBe(true);
+      expect(device.packages.has('com.spotify.music')).toBe(false);
+    });
+
+    test('should refuse to launch an app that is not installed', async () => {
+      await expect(sandbox.apps.launch('com.example.missing')).rejects.toThrow('is not installed');
+    });
+
+    test('should reject invalid package names before running anything', async () => {
+      device.shellHistory = [];
+      await expect(sandbox.apps.clearData('com.example; reboot')).rejects.toThrow('Invalid package name: "com.example; reboot"');
+      await expect(sandbox.apps.launch('chrome')).rejects.toThrow('Invalid package name');
+      expect(device.shellHistory).toEqual([]);
+    });
+
+    test('should report failed package commands from their exit code', async () => {
+      expect(await sandbox.apps.clearData('com.example.missing')).toBe(false);
+      // pm list filters by substring; a longer package name must not count as installed
+      expect(await sandbox.apps.isInstalled('com.android')).toBe(false);
+    });
+  });
+
+  describe('FileManager', () => {
+    test('should push and pull files', async () => {
+      const localPath = path.join(tmpDir, 'notes.txt');
+      fs.writeFileSync(localPath, 'shopping list');
+
+      await sandbox.files.pushFile(localPath, '/sdcard/Documents/notes.txt');
+      expect(device.readFile('/sdcard/Documents/notes.txt').toString()).toBe('shopping list');
+
+      const pulledPath = path.join(tmpDir, 'pulled', 'notes.txt');
+      await sandbox.files.pullFile('/sdcard/Documents/notes.txt', pulledPath);
+      expect(fs.readFileSync(pulledPath, 'utf8')).toBe('shopping list');
+    });
+
+    test('should list, create and delete remote files', async () => {
+      device.writeFile('/sdcard/Download/report.pdf', 'pdf-bytes');
+
+      expect(await sandbox.files.createDirectory('/sdcard/Download/archive')).toBe(true);
+      const names = (await sandbox.files.listFiles('/sdcard/Download')).map(file => file.name);
+      expect(names).toEqual(expect.arrayContaining(['archive', 'report.pdf']));
+
+      expect(await sandbox.files.fileExists('/sdcard/Download/report.pdf')).toBe(true);
+      await sandbox.files.deleteFile('/sdcard/Download/report.pdf');
+      expect(await sandbox.files.fileExists('/sdcard/Download/report.pdf')).toBe(false);
+    });
+
+    test('should handle paths with spaces and shell metacharacters', async () => {
+      const dir = '/sdcard/My Files';
+      const file = `${dir}/it's $(here); ok.txt`;
+      device.writeFile(file, 'content');
+
+      expect(await sandbox.files.fileExists(file)).toBe(true);
+      expect((await sandbox.files.listFiles(dir)).map(entry => entry.name)).toContain("it's $(here); ok.txt");
+      expect(await sandbox.files.deleteFile(file)).toBe(true);
+      expect(device.readFile(file)).toBeNull();
+      expect(await sandbox.files.createDirectory(`${dir}/new folder`)).toBe(true);
+      expect(device.fs.get(`${dir}/new folder`).type).toBe('dir');
+    });
+
+    test('should fail to list a missing directory', async () => {
+      await expect(sandbox.files.listFiles('/sdcard/Missing')).rejects.toMatchObject({
+        name: 'FileError',
+        cause: expect.objectContaining({ name: 'ShellError', exitCode: 1 })
+      });
+    });
+  });
+
+  describe('RecordManager', () => {
+    test('should record the screen and save the recording locally', async () => {
+      const recordingId = await sandbox.record.start();
+      expect(sandbox.record.getStatus()).toMatchObject({ isRecording: true, recordingId });
+      const [job] = device.jobs.values();
+      expect(job).toMatchObject({ command: expect.stringMatching(/^screenrecord /), status: 'running' });
+
+      const remotePath = await sandbox.record.stop();
+      expect(remotePath).toBe(`/sdcard/recording_${recordingId}.mp4`);
+      expect(job).toMatchObject({ status: 'killed', exitCode: 130 });
+
+      const localPath = path.join(tmpDir, 'recording.mp4');
+      await sandbox.record.saveRecording(localPath);
+      expect(fs.existsSync(localPath)).toBe(true);
+
+      await sandbox.record.deleteRecording();
+      expect(device.readFile(remotePath)).toBeNull();
+    });
+
+    test('should allow a new recording after the previous job was lost', async () => {
+      await sandbox.record.start();
+      const [job] = device.jobs.values();
+      device.jobs.delete(job.id);
+
+      await expect(sandbox.record.stop()).rejects.toThrow('Failed to stop recording');
+      expect(sandbox.record.getStatus()).toMatchObject({ isRecording: false });
+      expect(sandbox.record.job).toBeNull();
+      await sandbox.record.start();
+      await sandbox.record.stop();
+    });
+  });
+
+  describe('SnapshotManager', () => {
+    test('should save a snapshot and roll the device back to it', async () => {
+      await sandbox.apps.install('com.spotify.music');
+      device.writeFile('/sdcard/session.json', '{"user":"alice"}');
+
+      const snapshot = await sandbox.snapshots.save('logged-in');
+      expect(snapshot).toMatchObject({ name: 'logged-in', deviceId: sandbox.deviceId, sizeBytes: 16 });
+      expect(snapshot.createdAt).toBeInstanceOf(Date);
+
+      await sandbox.apps.uninstall('com.spotify.music');
+      await sandbox.files.deleteFile('/sdcard/session.json');
+      const job = await sandbox.jobs.spawn('logcat');
+
+      expect(await sandbox.snapshots.restore('logged-in')).toBe(true);
+      expect(await sandbox.apps.isInstalled('com.spotify.music')).toBe(true);
+      expect(device.readFile('/sdcard/session.json').toString()).toBe('{"user":"alice"}');
+      expect(job.status).toBe('closed');
+    });
+
+    test('should boot a new device from a snapshot', async () => {
+      device.writeFile('/sdcard/seed.txt', 'seeded');
+      await sandbox.snapshots.save('seeded');
+
+      const clone = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl, from_snapshot: 'seeded' });
+      try {
+        expect((await clone.exec('cat /sdcard/seed.txt')).stdout).toBe('seeded');
+      } finally {
+        await clone.close();
+      }
+
+      await expect(AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl, from_snapshot: 'missing' }))
+        .rejects.toThrow('Failed to initialize device: Snapshot missing not found');
+    });
+
+    test('should list and delete snapshots', async () => {
+      await sandbox.snapshots.save('to-delete');
+      expect((await sandbox.snapshots.list()).map(snapshot => snapshot.name)).toContain('to-delete');
+
+      expect(await sandbox.snapshots.delete('to-delete')).toBe(true);
+      expect((await sandbox.snapshots.list()).map(snapshot => snapshot.name)).not.toContain('to-delete');
+      await expect(sandbox.snapshots.restore('to-delete')).rejects.toMatchObject({
+        name: 'SnapshotError',
+        message: expect.stringContaining('Failed to restore snapshot to-delete')
+      });
+    });
+
+    test('should reject invalid snapshot names', async () => {
+      await expect(sandbox.snapshots.save('../etc')).rejects.toThrow('Invalid snapshot name "../etc"');
+      await expect(sandbox.snapshots.delete('')).rejects.toThrow('Invalid snapshot name');
+    });
+  });
+
+  describe('ClipboardManager', () => {
+    test('should write, read and clear the clipboard', async () => {
+      expect(await sandbox.clipboard.get()).toBeNull();
+
+      expect(await sandbox.clipboard.set('Grüße 👋')).toBe(true);
+      expect(device.clipboard).toBe('Grüße 👋');
+      expect(await sandbox.clipboard.get()).toBe('Grüße 👋');
+
+      // Text copied inside an app
+      device.clipboard = 'ORDER-1234';
+      expect(await sandbox.clipboard.get()).toBe('ORDER-1234');
+
+      expect(await sandbox.clipboard.clear()).toBe(true);
+      expect(await sandbox.clipboard.get()).toBeNull();
+    });
+
+    test('should paste the clipboard or new text', async () => {
+      const events = [];
+      sandbox.on('action:end', event => events.push(event));
+      device.clipboard = 'copied';
+      await sandbox.clipboard.paste();
+      await sandbox.clipboard.paste('naïve café');
+
+      expect(device.inputs).toEqual([
+        { type: 'paste', text: 'copied' },
+        { type: 'paste', text: 'naïve café' }
+      ]);
+      // Pasting is a key press like any other
+      expect(events.map(event => event.name)).toEqual(['pressKey', 'pressKey']);
+    });
+
+    test('should reject non-string text and wrap failures', async () => {
+      await expect(sandbox.clipboard.set(42)).rejects.toMatchObject({
+        name: 'ClipboardError',
+        message: 'Clipboard text must be a string, got number'
+      });
+
+      // The device disappears underneath the sandbox
+      device.released = true;
+      await expect(sandbox.clipboard.get()).rejects.toThrow(`Failed to read clipboard: `);
+      device.released = false;
+    });
+  });
+
+  describe('SettingsManager', () => {
+    test('should toggle connectivity and return the previous state', async () => {
+      expect(await sandbox.settings.setWifi(false)).toBe(true);
+      expect(await sandbox.settings.setMobileData(false)).toBe(true);
+      expect(await sandbox.settings.setAirplaneMode(true)).toBe(false);
+      expect(device.settings.global.get('wifi_on')).toBe('0');
+      expect(device.settings.global.get('airplane_mode_on')).toBe('1');
+
+      expect(await sandbox.settings.setWifi(true)).toBe(false);
+      expect(await sandbox.settings.setAirplaneMode(false)).toBe(true);
+    });
+
+    test('should change display settings and restore them', async () => {
+      expect(await sandbox.settings.setDarkMode(true)).toBe(false);
+      expect(await sandbox.settings.setDarkMode('auto')).toBe(true);
+      expect(await sandbox.settings.setFontScale(1.3)).toBe(1);
+      expect(await sandbox.settings.setDensity(240)).toBeNull();
+      expect(await sandbox.settings.setDensity(null)).toBe(240);
+      expect((await sandbox.exec('wm density')).stdout).toBe('Physical density: 160\n');
+      expect(await sandbox.settings.setScreenTimeout(600000)).toBe(60000);
+      expect(await sandbox.settings.setStayAwake(true)).toBe(false);
+      expect(device.settings.global.get('stay_on_while_plugged_in')).toBe('7');
+      expect(await sandbox.settings.get('system', 'font_scale')).toBe('1.3');
+    });
+
+    test('should restore a screen timeout that was never set', async () => {
+      device.settings.system.delete('screen_off_timeout');
+
+      const previous = await sandbox.settings.setScreenTimeout(600000);
+      expect(previous).toBe(30000);
+      expect(await sandbox.settings.setScreenTimeout(previous)).toBe(600000);
+      expect(device.settings.system.get('screen_off_timeout')).toBe('30000');
+    });
+
+    test('should disable and restore animations', async () => {
+      const previous = await sandbox.settings.disableAnimations();
+      expect(previous).toEqual({ window: 1, transition: 1, animator: 1 });
+      expect(device.settings.global.get('animator_duration_scale')).toBe('0');
+
+      expect(await sandbox.settings.setAnimationScale(previous)).toEqual({ window: 0, transition: 0, animator: 0 });
+      expect(device.settings.global.get('window_animation_scale')).toBe('1');
+    });
+
+    test('should set the clock, time zone and locale', async () => {
+      const time = new Date('2030-01-15T09:30:00Z');
+      expect(await sandbox.settings.setTime(time)).toBeNull();
+      const { stdout } = await sandbox.exec('date +%s');
+      expect(Math.abs(parseInt(stdout, 10) * 1000 - time.getTime())).toBeLessThan(5000);
+      expect(await sandbox.settings.setTime(null)).toBeInstanceOf(Date);
+      expect(device.settings.global.get('auto_time')).toBe('1');
+
+      expect(await sandbox.settings.setTimezone('Asia/Tokyo')).toBeNull();
+      expect(await sandbox.settings.setTimezone('Europe/Paris')).toBe('Asia/Tokyo');
+      expect(await sandbox.settings.setLocale('fr-fr')).toBe('en-US');
+      expect((await sandbox.exec('getprop persist.sys.locale')).stdout).toBe('fr-FR\n');
+    });
+
+    test('should write raw settings and reject invalid values', async () => {
+      expect(await sandbox.settings.put('secure', 'show_ime_with_hard_keyboard', 1)).toBeNull();
+      expect(await sandbox.settings.put('secure', 'show_ime_with_hard_keyboard', null)).toBe('1');
+      expect(await sandbox.settings.get('secure', 'show_ime_with_hard_keyboard')).toBeNull();
+
+      await expect(sandbox.settings.setFontScale(5)).rejects.toMatchObject({
+        name: 'SettingsError',
+        message: 'Failed to set font scale: Invalid font scale 5: expected a number from 0.5 to 2'
+      });
+      await expect(sandbox.settings.setWifi('on')).rejects.toThrow('expected true or false');
+      await expect(sandbox.settings.setTimezone('Mars/Olympus')).rejects.toThrow('Invalid timezone');
+      await expect(sandbox.settings.get('private', 'x')).rejects.toThrow('Invalid settings namespace');
+      await expect(sandbox.settings.put('global', 'a; reboot', 1)).rejects.toThrow('Invalid setting key');
+    });
+  });
+
+  describe('StreamManager', () => {
+    test('should start, query and stop a stream', async () => {
+      const url = await sandbox.stream.start();
+      expect(url).toContain(server.baseUrl);
+
+      const status = await sandbox.stream.getStatus();
+      expect(status.isStreaming).toBe(true);
+
+      await sandbox.stream.stop();
+      expect(server.streams.size).toBe(0);
+    });
+  });
+});
+
+describe('Managers without exit codes', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    // Older API versions answer shell commands with their output only
+    server = new FakeAirTapServer({ legacyShell: true, deviceDefaults: { store: ['com.spotify.music'] } });
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  test('should check the outcome of package commands', async () => {
+    expect(await sandbox.apps.install('com.spotify.music')).toBe(true);
+    expect(device.shellHistory.some(command => command.includes('market://'))).toBe(false);
+
+    expect(await sandbox.apps.clearData('com.spotify.music')).toBe(true);
+    expect(await sandbox.apps.clearData('com.example.missing')).toBe(false);
+    expect(await sandbox.apps.forceStop('com.spotify.music')).toBe(true);
+    expect(await sandbox.apps.uninstall('com.spotify.music')).toBe(true);
+    expect(device.packages.has('com.spotify.music')).toBe(false);
+  });
+
+  test('should check the outcome of file commands', async () => {
+    device.writeFile('/sdcard/Download/report.pdf', 'pdf-bytes');
+
+    expect(await sandbox.files.fileExists('/sdcard/Download/report.pdf')).toBe(true);
+    expect(await sandbox.files.fileExists('/sdcard/Download/missing.pdf')).toBe(false);
+    expect(await sandbox.files.createDirectory('/sdcard/Download/archive')).toBe(true);
+    expect(await sandbox.files.deleteFile('/sdcard/Download/report.pdf')).toBe(true);
+    expect(device.readFile('/sdcard/Download/report.pdf')).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for network condition emulation and traffic capture
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AndroidSandbox, NETWORK_PRESETS, NetworkError } = require('../index');
+const { resolveConditions, toHar } = require('../network');
+const { FakeAirTapServer } = require('../fake');
+
+const LOGIN_EXCHANGE = {
+  started_at: '2024-05-01T08:00:01.000Z',
+  time_ms: 120,
+  server_ip: '203.0.113.7',
+  request: {
+    method: 'POST',
+    url: 'https://api.example.com/v1/login?lang=en&retry=1',
+    http_version: 'HTTP/2',
+    headers: [
+      { name: 'Content-Type', value: 'application/json' },
+      { name: 'Cookie', value: 'session=abc; theme=dark' }
+    ],
+    body: { text: '{"user":"ada"}' }
+  },
+  response: {
+    status: 200,
+    status_text: 'OK',
+    headers: { 'content-type': 'application/json', 'set-cookie': ['token=xyz; HttpOnly; Secure'] },
+    body: { text: '{"ok":true}' }
+  },
+  timings: { dns: 5, connect: 20, ssl: 15, send: 1, wait: 70, receive: 9 }
+};
+
+describe('Network conditions', () => {
+  test('should resolve presets and custom conditions', () => {
+    expect(resolveConditions('3g')).toEqual(NETWORK_PRESETS['3g']);
+    expect(resolveConditions({ preset: '3g', lossPercent: 5 })).toEqual({ ...NETWORK_PRESETS['3g'], lossPercent: 5 });
+    expect(resolveConditions({ latencyMs: 250 })).toEqual({
+      offline: false,
+      latencyMs: 250,
+      downloadKbps: null,
+      uploadKbps: null,
+      lossPercent: 0
+    });
+    expect(resolveConditions('offline').offline).toBe(true);
+  });
+
+  test('should reject invalid conditions', () => {
+    expect(() => resolveConditions('5g')).toThrow('Unknown network preset "5g"');
+    expect(() => resolveConditions({ latency: 100 })).toThrow('Unknown network condition "latency"');
+    expect(() => resolveConditions({ lossPercent: 120 })).toThrow('Invalid packet loss 120');
+    expect(() => resolveConditions({ downloadKbps: 0 })).toThrow(NetworkError);
+    expect(() => resolveConditions(42)).toThrow('expected a preset name or an object');
+  });
+});
+
+describe('HAR export', () => {
+  test('should convert captured exchanges to HAR 1.2 entries', () => {
+    const har = toHar([LOGIN_EXCHANGE], { comment: 'test' });
+
+    expect(har.log).toMatchObject({ version: '1.2', creator: { name: 'airtap-android-js' }, comment: 'test' });
+    const [entry] = har.log.entries;
+    expect(entry).toMatchObject({
+      startedDateTime: '2024-05-01T08:00:01.000Z',
+      time: 120,
+      serverIPAddress: '203.0.113.7',
+      timings: { blocked: -1, dns: 5, connect: 20, ssl: 15, send: 1, wait: 70, receive: 9 }
+    });
+    expect(entry.request).toMatchObject({
+      method: 'POST',
+      httpVersion: 'HTTP/2',
+      queryString: [{ name: 'lang', value: 'en' }, { name: 'retry', value: '1' }],
+      cookies: [{ name: 'session', value: 'abc' }, { name: 'theme', value: 'dark' }],
+      postData: { mimeType: 'application/json', text: '{"user":"ada"}' },
+      bodySize: 14
+    });
+    expect(entry.response).toMatchObject({
+      status: 200,
+      httpVersion: 'HTTP/2',
+      cookies: [{ name: 'token', value: 'xyz' }],
+      headers: [
+        { name: 'content-type', value: 'application/json' },
+        { name: 'set-cookie', value: 'token=xyz; HttpOnly; Secure' }
+      ],
+      content: { size: 11, mimeType: 'application/json', text: '{"ok":true}' }
+    });
+  });
+
+  test('should keep binary bodies base64-encoded and sort entries by start time', () => {
+    const image = {
+      started_at: '2024-05-01T08:00:00.000Z',
+      request: { method: 'GET', url: 'https://cdn.example.com/logo.png', headers: [] },
+      response: { status: 200, headers: [], body: { text: 'iVBORw0KGgo=', encoding: 'base64', mime_type: 'image/png' } }
+    };
+    const { entries } = toHar([LOGIN_EXCHANGE, image]).log;
+
+    expect(entries.map(entry => entry.request.url)).toEqual([image.request.url, LOGIN_EXCHANGE.request.url]);
+    expect(entries[0].response.content).toEqual({ size: 8, mimeType: 'image/png', text: 'iVBORw0KGgo=', encoding: 'base64' });
+    expect(entries[0].request).not.toHaveProperty('postData');
+  });
+});
+
+describe('NetworkManager', () => {
+  let server;
+  let sandbox;
+  let device;
+  let tmpDir;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+    device = server.devices.get(sandbox.deviceId);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-network-'));
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should apply conditions and return the previous ones', async () => {
+    const previous = await sandbox.network.setConditions('2g');
+
+    expect(previous).toEqual(resolveConditions(null));
+    expect(device.networkConditions).toEqual({
+      offline: false,
+      latency_ms: 800,
+      download_kbps: 250,
+      upload_kbps: 50,
+      loss_percent: 0
+    });
+
+    expect(await sandbox.network.setConditions({ preset: 'lossy', lossPercent: 25 })).toEqual(NETWORK_PRESETS['2g']);
+    expect(await sandbox.network.getConditions()).toMatchObject({ latencyMs: 150, lossPercent: 25 });
+
+    await sandbox.network.setConditions(null);
+    expect(device.networkConditions).toBeNull();
+  });
+
+  test('should validate conditions before sending anything', async () => {
+    server.requests = [];
+    await expect(sandbox.network.setConditions('dialup')).rejects.toThrow(NetworkError);
+    expect(server.requests).toEqual([]);
+  });
+
+  test('should capture traffic and export it as a HAR file', async () => {
+    const harPath = path.join(tmpDir, 'captures', 'login.har');
+
+    expect(device.recordTraffic(LOGIN_EXCHANGE)).toBe(false);
+    await sandbox.network.startCapture({ hosts: ['api.example.com'] });
+    expect(sandbox.network.capturing).toBe(true);
+    await expect(sandbox.network.startCapture()).rejects.toThrow('already running');
+
+    expect(device.recordTraffic(LOGIN_EXCHANGE)).toBe(true);
+    expect(device.recordTraffic({
+      request: { method: 'GET', url: 'https://ads.example.net/pixel' },
+      response: { status: 204 }
+    })).toBe(false);
+
+    const har = await sandbox.network.stopCapture({ path: harPath });
+
+    expect(sandbox.network.capturing).toBe(false);
+    expect(har.log.entries.map(entry => entry.request.url)).toEqual([LOGIN_EXCHANGE.request.url]);
+    expect(har.log.comment).toBe(`Captured on device ${sandbox.deviceId}`);
+    expect(JSON.parse(fs.readFileSync(harPath, 'utf8'))).toEqual(har);
+    expect(device.capture).toBeNull();
+  });
+
+  test('should leave bodies out when asked', async () => {
+    await sandbox.network.startCapture({ includeBodies: false });
+    device.recordTraffic(LOGIN_EXCHANGE);
+    const { log } = await sandbox.network.stopCapture();
+
+    expect(log.entries[0].request).not.toHaveProperty('postData');
+    expect(log.entries[0].response.content).toEqual({ size: 0, mimeType: 'application/json' });
+  });
+
+  test('should keep the captured traffic when the HAR file cannot be written', async () => {
+    const blocker = path.join(tmpDir, 'not-a-dir');
+    fs.writeFileSync(blocker, '');
+
+    await sandbox.network.startCapture();
+    device.recordTraffic(LOGIN_EXCHANGE);
+    const error = await sandbox.network.stopCapture({ path: path.join(blocker, 'login.har') }).catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.message).toMatch(/^Failed to save capture to /);
+    expect(error.har.log.entries.map(entry => entry.request.url)).toEqual([LOGIN_EXCHANGE.request.url]);
+    expect(sandbox.network.capturing).toBe(false);
+  });
+
+  test('should fail to stop a capture that is not running', async () => {
+    await expect(sandbox.network.stopCapture()).rejects.toThrow('No capture is running');
+    await expect(sandbox.network.startCapture({ hosts: 'api.example.com' })).rejects.toThrow('array of host names');
+  });
+});
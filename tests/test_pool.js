@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the DevicePool class
+ */
+
+const { DevicePool, PoolError } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('DevicePool', () => {
+  let server;
+  let pool;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer({ deviceDefaults: { packages: ['com.android.launcher3', 'com.example.shop'] } });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    pool = new DevicePool({
+      max: 2,
+      sandboxOptions: { api_key: 'test-key', base_url: server.baseUrl, logger: silentLogger },
+      resetPackages: ['com.example.shop']
+    });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  const liveDevices = () => [...server.devices.values()].filter(device => !device.released);
+
+  test('should provision up to max sandboxes and queue further requests', async () => {
+    const before = server.devices.size;
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    expect(first.deviceId).not.toBe(second.deviceId);
+
+    let third = null;
+    const pending = pool.acquire().then(sandbox => { third = sandbox; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(third).toBeNull();
+    expect(pool.stats).toEqual({ size: 2, idle: 0, leased: 2, pending: 1, provisioning: 0 });
+
+    await pool.release(first);
+    await pending;
+    expect(third).toBe(first);
+    expect(server.devices.size - before).toBe(2);
+  });
+
+  test('should reset app state between leases', async () => {
+    const sandbox = await pool.acquire();
+    const device = server.devices.get(sandbox.deviceId);
+    await sandbox.apps.launch('com.example.shop');
+    const job = await sandbox.jobs.spawn('logcat');
+    device.shellHistory = [];
+
+    await pool.release(sandbox);
+
+    expect(device.currentApp).toBe('com.android.launcher3');
+    expect(device.shellHistory).toEqual(expect.arrayContaining(['pm clear com.example.shop']));
+    expect(device.jobs.get(job.id).status).toBe('killed');
+    expect(pool.stats.idle).toBe(1);
+  });
+
+  test('should replace sandboxes that fail the health check', async () => {
+    const sandbox = await pool.acquire();
+    const deadId = sandbox.deviceId;
+    server.devices.get(deadId).released = true;
+
+    await pool.release(sandbox);
+    expect(pool.stats.size).toBe(0);
+
+    const replacement = await pool.acquire();
+    expect(replacement.deviceId).not.toBe(deadId);
+  });
+
+  test('should time out or abort pending acquires', async () => {
+    await pool.acquire();
+    await pool.acquire();
+
+    await expect(pool.acquire({ timeoutMs: 30 })).rejects.toThrow('Timed out after 30ms waiting for a sandbox (2 leased, 0 idle, max 2)');
+
+    const controller = new AbortController();
+    const aborted = pool.acquire({ signal: controller.signal });
+    controller.abort();
+    await expect(aborted).rejects.toThrow(PoolError);
+    expect(pool.stats.pending).toBe(0);
+  });
+
+  test('should release every device on close', async () => {
+    expect(await pool.use(async sandbox => sandbox.deviceId)).toMatch(/^fake-device-/);
+    const leased = await pool.acquire();
+    await pool.acquire();
+    const waiting = pool.acquire().catch(error => error);
+
+    await pool.close();
+
+    expect(leased.deviceId).toBeNull();
+    expect(liveDevices()).toEqual([]);
+    expect(await waiting).toBeInstanceOf(PoolError);
+    await expect(pool.release(leased)).resolves.toBeUndefined();
+    await expect(pool.acquire()).rejects.toThrow('Pool is closed');
+  });
+
+  test('should reject an acquire whose sandbox is still being provisioned on close', async () => {
+    const provisioning = pool.acquire().catch(error => error);
+    expect(pool.stats.provisioning).toBe(1);
+
+    await pool.close();
+
+    const error = await provisioning;
+    expect(error).toBeInstanceOf(PoolError);
+    expect(error.message).toBe('Pool is closed');
+    expect(liveDevices()).toEqual([]);
+  });
+
+  test('should keep listeners attached outside the lease', async () => {
+    const events = [];
+    const lifePool = new DevicePool({
+      max: 1,
+      sandboxOptions: { api_key: 'test-key', base_url: server.baseUrl, logger: silentLogger },
+      onCreate: sandbox => sandbox.on('action:end', ({ name }) => events.push(`pool:${name}`))
+    });
+
+    const sandbox = await lifePool.acquire();
+    sandbox.on('action:end', ({ name }) => events.push(`lease:${name}`));
+    await sandbox.pressKey('KEYCODE_BACK');
+    await lifePool.release(sandbox);
+
+    expect(await lifePool.acquire()).toBe(sandbox);
+    events.length = 0;
+    await sandbox.pressKey('KEYCODE_BACK');
+    expect(events).toEqual(['pool:pressKey']);
+
+    await lifePool.close();
+  });
+
+  test('should report provisioning failures to the waiting caller', async () => {
+    const badPool = new DevicePool({ sandboxOptions: { api_key: 'wrong-key', base_url: server.baseUrl } });
+    const authServer = new FakeAirTapServer({ apiKey: 'right-key' });
+    badPool.sandboxOptions.base_url = await authServer.start();
+
+    await expect(badPool.acquire()).rejects.toMatchObject({
+      name: 'PoolError',
+      message: expect.stringContaining('Failed to provision a sandbox'),
+      cause: expect.objectContaining({ name: 'ConnectionError' })
+    });
+    expect(badPool.stats.provisioning).toBe(0);
+
+    await badPool.close();
+    await authServer.stop();
+  });
+});
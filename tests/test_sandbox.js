@@ -2,127 +2,322 @@
  * Unit tests for the AndroidSandbox class
  */
 
-const { AndroidSandbox } = require('../index');
-const { expect } = require('jest');
-
-// Mock the API client
-jest.mock('../api/client', () => {
-  return class MockApiClient {
-    constructor() {
-      this.get = jest.fn().mockResolvedValue({});
-      this.post = jest.fn().mockResolvedValue({ deviceId: 'test-device-id' });
-      this.put = jest.fn().mockResolvedValue({});
-      this.delete = jest.fn().mockResolvedValue({});
-    }
-  };
-});
+const { AndroidSandbox, ApiError, ApiKeyError, ShellError, ProfileError, DEVICE_PRESETS } = require('../index');
+const { FakeAirTapServer } = require('../fake');
 
 describe('AndroidSandbox', () => {
+  let server;
   let sandbox;
-  
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer({ apiKey: 'test-key' });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
   beforeEach(async () => {
     // Create a new sandbox for each test
     sandbox = await AndroidSandbox.create({
       resolution: [1080, 1920],
       dpi: 320,
-      webrtc: false
+      webrtc: false,
+      api_key: 'test-key',
+      base_url: server.baseUrl
     });
+    device = server.devices.get(sandbox.deviceId);
   });
-  
+
   afterEach(async () => {
     // Clean up after each test
-    if (sandbox) {
+    if (sandbox && sandbox.deviceId) {
       await sandbox.close();
     }
   });
-  
+
   test('should create a sandbox with valid device ID', () => {
-    expect(sandbox).toBeDefined();
-    expect(sandbox.deviceId).toBe('test-device-id');
+    expect(sandbox.deviceId).toMatch(/^fake-device-/);
+    expect(device.config).toMatchObject({ resolution: [1080, 1920], dpi: 320 });
   });
-  
+
+  test('should send the API key and client version with every request', () => {
+    const request = server.requests[server.requests.length - 1];
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.headers['x-client-version']).toBeDefined();
+  });
+
+  test('should fail to create a sandbox with a wrong API key', async () => {
+    await expect(AndroidSandbox.create({ api_key: 'wrong-key', base_url: server.baseUrl }))
+      .rejects.toThrow('Invalid API key');
+  });
+
   test('should execute shell commands', async () => {
-    // Mock the executeShellCommand response
-    sandbox.apiClient.post.mockResolvedValueOnce({
-      output: 'command output'
-    });
-    
-    const output = await sandbox.executeShellCommand('ls -la');
-    expect(output).toBe('command output');
-    expect(sandbox.apiClient.post).toHaveBeenCalledWith('/shell', {
-      deviceId: 'test-device-id',
-      command: 'ls -la'
-    });
+    device.writeFile('/sdcard/hello.txt', 'hello from the device');
+
+    const output = await sandbox.shell('cat /sdcard/hello.txt');
+    expect(output).toBe('hello from the device');
   });
-  
+
+  test('should return the exit code and stderr of shell commands', async () => {
+    const result = await sandbox.exec('cat /sdcard/missing.txt');
+    expect(result).toMatchObject({ stdout: '', exitCode: 1, durationMs: expect.any(Number) });
+    expect(result.stderr).toMatch('No such file or directory');
+
+    expect(await sandbox.exec('pwd', { cwd: '/sdcard' })).toMatchObject({ stdout: '/sdcard\n', exitCode: 0 });
+    expect((await sandbox.exec('echo "$GREETING, ${NAME}"', { env: { GREETING: 'hi', NAME: 'bob' } })).stdout).toBe('hi, bob\n');
+  });
+
+  test('should throw on a non-zero exit code when asked to', async () => {
+    const error = await sandbox.exec('pm clear com.example.missing', { throw_on_error: true }).catch(e => e);
+    expect(error).toBeInstanceOf(ShellError);
+    expect(error).toMatchObject({ command: 'pm clear com.example.missing', exitCode: 1, stdout: 'Failed\n' });
+    expect(error.message).toBe('Command exited with code 1: pm clear com.example.missing (Failed)');
+  });
+
   test('should tap on the screen', async () => {
-    // Mock the tap response
-    sandbox.apiClient.post.mockResolvedValueOnce({});
-    
-    await sandbox.tap([500, 500]);
-    expect(sandbox.apiClient.post).toHaveBeenCalledWith('/input/tap', {
-      deviceId: 'test-device-id',
-      x: 500,
-      y: 500
-    });
+    await sandbox.tap(500, 600);
+    expect(device.inputs).toEqual([{ type: 'tap', x: 500, y: 600 }]);
   });
-  
+
   test('should swipe on the screen', async () => {
-    // Mock the swipe response
-    sandbox.apiClient.post.mockResolvedValueOnce({});
-    
     await sandbox.swipe([100, 100], [500, 500], 300);
-    expect(sandbox.apiClient.post).toHaveBeenCalledWith('/input/swipe', {
-      deviceId: 'test-device-id',
-      startX: 100,
-      startY: 100,
-      endX: 500,
-      endY: 500,
-      duration: 300
-    });
-  });
-  
-  test('should input text', async () => {
-    // Mock the inputText response
-    sandbox.apiClient.post.mockResolvedValueOnce({});
-    
-    await sandbox.inputText('Hello, world!');
-    expect(sandbox.apiClient.post).toHaveBeenCalledWith('/input/text', {
-      deviceId: 'test-device-id',
-      text: 'Hello, world!'
-    });
-  });
-  
-  test('should press a key', async () => {
-    // Mock the pressKey response
-    sandbox.apiClient.post.mockResolvedValueOnce({});
-    
+    expect(device.inputs).toEqual([{
+      type: 'swipe',
+      start_x: 100,
+      start_y: 100,
+      end_x: 500,
+      end_y: 500,
+      duration_ms: 300
+    }]);
+  });
+
+  test('should type text', async () => {
+    await sandbox.typeText('Hello, world!');
+    expect(device.inputs).toEqual([{ type: 'text', text: 'Hello, world!' }]);
+  });
+
+  test('should return to the launcher on HOME', async () => {
+    await sandbox.shell('am start -n com.android.settings/.Settings');
+    expect(await sandbox.waitForApp('com.android.settings', 1000)).toBe(true);
+
     await sandbox.pressKey('KEYCODE_HOME');
-    expect(sandbox.apiClient.post).toHaveBeenCalledWith('/input/key', {
-      deviceId: 'test-device-id',
-      key: 'KEYCODE_HOME'
-    });
+    expect(await sandbox.waitForApp('com.android.settings', 600)).toBe(false);
   });
-  
+
   test('should take a screenshot', async () => {
-    // Mock the screenshot response
-    sandbox.apiClient.get.mockResolvedValueOnce({
-      screenshot: 'base64-encoded-image',
-      path: '/sdcard/screenshot.png'
-    });
-    
-    const path = await sandbox.screenshot();
-    expect(path).toBe('/sdcard/screenshot.png');
-    expect(sandbox.apiClient.get).toHaveBeenCalledWith('/screenshot', {
-      deviceId: 'test-device-id'
-    });
+    const image = Buffer.from('fake-png-data');
+    device.setScreenshots([image]);
+
+    const screenshot = await sandbox.screenshot();
+    expect(Buffer.isBuffer(screenshot)).toBe(true);
+    expect(screenshot.equals(image)).toBe(true);
   });
-  
+
   test('should close the sandbox', async () => {
-    // Mock the close response
-    sandbox.apiClient.delete.mockResolvedValueOnce({});
-    
     await sandbox.close();
-    expect(sandbox.apiClient.delete).toHaveBeenCalledWith(`/devices/${sandbox.deviceId}`);
+    expect(device.released).toBe(true);
+    expect(sandbox.deviceId).toBeNull();
+  });
+
+  test('should emit action events', async () => {
+    const events = [];
+    ['action:start', 'action:end', 'action:error'].forEach(type => {
+      sandbox.on(type, event => events.push({ type, ...event }));
+    });
+
+    await sandbox.tap(10, 20);
+
+    expect(events.map(event => event.type)).toEqual(['action:start', 'action:end']);
+    expect(events[1]).toMatchObject({
+      name: 'tap',
+      args: { x: 10, y: 20 },
+      device_id: sandbox.deviceId,
+      status: 'ok',
+      duration_ms: expect.any(Number)
+    });
+  });
+
+  test('should route failures to an injected logger', async () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const events = [];
+    sandbox.logger = logger;
+    sandbox.on('action:error', event => events.push(event));
+    sandbox.on('action:end', event => events.push(event));
+    device.released = true;
+
+    await sandbox.pressKey('KEYCODE_BACK');
+
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Error pressing key'));
+    expect(events.map(event => event.status)).toEqual(['error', 'error']);
+    expect(events[0].error.status).toBe(404);
+
+    device.released = false;
+  });
+
+  describe('reattaching', () => {
+    test('should list running devices', async () => {
+      const devices = await AndroidSandbox.listDevices({ api_key: 'test-key', base_url: server.baseUrl });
+      expect(devices.find(d => d.device_id === sandbox.deviceId)).toMatchObject({
+        status: 'running',
+        resolution: [1080, 1920],
+        dpi: 320,
+        session_id: sandbox.session_id
+      });
+      expect(devices.every(d => d.status === 'running')).toBe(true);
+    });
+
+    test('should need an API key to list devices', async () => {
+      const envKey = process.env.AIRTAP_API_KEY;
+      delete process.env.AIRTAP_API_KEY;
+      try {
+        await expect(AndroidSandbox.listDevices({ base_url: server.baseUrl })).rejects.toBeInstanceOf(ApiKeyError);
+      } finally {
+        if (envKey !== undefined) process.env.AIRTAP_API_KEY = envKey;
+      }
+    });
+
+    test('should attach to an existing device', async () => {
+      const attached = await AndroidSandbox.attach(sandbox.deviceId, { api_key: 'test-key', base_url: server.baseUrl });
+      expect(attached.deviceId).toBe(sandbox.deviceId);
+      expect(attached.resolution).toEqual([1080, 1920]);
+
+      await attached.tap(5, 5);
+      expect(device.inputs).toEqual([{ type: 'tap', x: 5, y: 5 }]);
+    });
+
+    test('should hand a session between processes', async () => {
+      const json = JSON.stringify(sandbox);
+      expect(json).not.toContain('test-key');
+
+      const session = sandbox.detach();
+      expect(sandbox.deviceId).toBeNull();
+      expect(device.released).toBe(false);
+
+      const restored = await AndroidSandbox.fromSession(json, { api_key: 'test-key' });
+      expect(restored.toSession()).toEqual(session);
+      await restored.close();
+      expect(device.released).toBe(true);
+    });
+
+    test('should refuse to attach to an unknown or released device', async () => {
+      const options = { api_key: 'test-key', base_url: server.baseUrl };
+      await expect(AndroidSandbox.attach('fake-device-0', options)).rejects.toThrow('Device fake-device-0 not found');
+      await expect(AndroidSandbox.fromSession({}, options)).rejects.toThrow('no device_id');
+    });
+  });
+
+  describe('device profiles', () => {
+    test('should provision the default Android 13 / Pixel 4 device', () => {
+      expect(device.config).toMatchObject({ android_version: '13', device_model: 'Pixel 4', memory_mb: 2048 });
+      expect(device.config).not.toHaveProperty('locale');
+    });
+
+    test('should apply a preset with explicit options taking precedence', async () => {
+      const tablet = await AndroidSandbox.create({
+        api_key: 'test-key',
+        base_url: server.baseUrl,
+        profile: 'tablet',
+        android_version: 13,
+        locale: 'fr-fr',
+        timezone: 'Europe/Paris',
+        orientation: 'landscape',
+        battery: { level: 15 }
+      });
+      try {
+        expect(server.devices.get(tablet.deviceId).config).toMatchObject({
+          resolution: [2560, 1600],
+          dpi: 320,
+          device_model: 'Pixel Tablet',
+          android_version: '13',
+          locale: 'fr-FR',
+          timezone: 'Europe/Paris',
+          orientation: 'landscape',
+          battery: { level: 15, charging: false }
+        });
+        expect((await tablet.shell('getprop ro.product.model')).trim()).toBe('Pixel Tablet');
+        expect(tablet.toSession()).toMatchObject({ android_version: '13', device_model: 'Pixel Tablet' });
+      } finally {
+        await tablet.close();
+      }
+    });
+
+    test('should reject invalid profiles before provisioning', () => {
+      const create = overrides => () => new AndroidSandbox({ api_key: 'test-key', ...overrides });
+
+      expect(create({ profile: 'watch' })).toThrow('Unknown device profile "watch": expected one of "phone", "tablet", "foldable", "low-end"');
+      expect(create({ android_version: '9' })).toThrow('Unsupported android_version "9"');
+      expect(create({ profile: 'phone', dpi: 1000 })).toThrow('Invalid dpi 1000');
+      expect(create({ locale: 'english' })).toThrow(ProfileError);
+      expect(create({ timezone: 'Mars/Olympus_Mons' })).toThrow('Invalid timezone');
+      expect(create({ orientation: 'upside-down' })).toThrow('Invalid orientation');
+      expect(create({ gpu_mode: 'metal' })).toThrow('Invalid gpu_mode');
+      expect(create({ battery: { level: 120 } })).toThrow('Invalid battery level 120');
+    });
+
+    test('should expose the presets', () => {
+      expect(Object.keys(DEVICE_PRESETS)).toEqual(['phone', 'tablet', 'foldable', 'low-end']);
+      expect(new AndroidSandbox({ api_key: 'test-key', profile: 'low-end' })).toMatchObject({
+        android_version: '11',
+        memory_mb: 2048,
+        gpu_mode: 'software'
+      });
+    });
+  });
+
+  describe('error handling', () => {
+    let consoleError;
+
+    beforeEach(() => {
+      consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+    });
+
+    test('should log and return empty results by default', async () => {
+      device.released = true;
+
+      await expect(sandbox.tap(1, 2)).resolves.toBeUndefined();
+      expect((await sandbox.screenshot()).length).toBe(0);
+      expect(await sandbox.shell('ls')).toBe('');
+      expect(await sandbox.exec('ls')).toMatchObject({ stdout: '', exitCode: null });
+      expect(consoleError).toHaveBeenCalledTimes(4);
+
+      device.released = false;
+    });
+
+    test('should throw rich errors in strict mode', async () => {
+      sandbox.strict = true;
+      device.released = true;
+
+      const error = await sandbox.tap(1, 2).catch(e => e);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toMatchObject({
+        status: 404,
+        method: 'POST',
+        endpoint: `/devices/${sandbox.deviceId}/input/gesture`,
+        deviceId: sandbox.deviceId
+      });
+      expect(error.requestId).toMatch(/^req-/);
+      expect(consoleError).not.toHaveBeenCalled();
+
+      device.released = false;
+    });
+
+    test('should surface shell failures to managers in strict mode', async () => {
+      sandbox.strict = true;
+      device.released = true;
+
+      await expect(sandbox.apps.isInstalled('com.android.chrome')).rejects.toMatchObject({
+        name: 'AppError',
+        cause: expect.any(ApiError)
+      });
+
+      device.released = false;
+    });
   });
 });
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for coordinate units, orientation and screenshot mapping
+ */
+
+const { AndroidSandbox, ScreenGeometry, Gesture, norm, dp, px, ScreenError, GestureError } = require('../index');
+const { FakeAirTapServer } = require('../fake');
+
+/**
+ * Minimal PNG header of the given size
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+/**
+ * Minimal JPEG header (SOI, APP0, SOF0) of the given size
+ */
+function jpegHeader(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+  const sof0 = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0]);
+}
+
+describe('ScreenGeometry', () => {
+  const portrait = new ScreenGeometry({ resolution: [1080, 2400], dpi: 420 });
+
+  test('should resolve normalized, dp and pixel coordinates', () => {
+    expect(portrait.toPixels(norm(0.5), norm(0.25))).toEqual([540, 600]);
+    expect(portrait.toPixels(dp(100), px(30))).toEqual([263, 30]);
+    expect(portrait.toPixels(12, 34)).toEqual([12, 34]);
+    // Lengths are relative to the shorter side
+    expect(portrait.toPixelLength(norm(0.5))).toBe(540);
+    expect(portrait.toDp([420, 840])).toEqual([160, 320]);
+    expect(portrait.toNormalized([1079, 0])).toEqual([1, 0]);
+  });
+
+  test('should keep the far edge on screen', () => {
+    expect(portrait.toPixels(norm(0), norm(0))).toEqual([0, 0]);
+    expect(portrait.toPixels(norm(1), norm(1))).toEqual([1079, 2399]);
+    expect(portrait.toNormalized([1079, 2399])).toEqual([1, 1]);
+    // Lengths still span the whole side
+    expect(portrait.toPixelLength(norm(1))).toBe(1080);
+  });
+
+  test('should reject invalid units and orientations', () => {
+    expect(() => norm(1.5)).toThrow('outside the range 0-1');
+    expect(() => dp('48')).toThrow(ScreenError);
+    expect(() => new ScreenGeometry({ resolution: [1080, 2400], dpi: 420, rotation: 45 })).toThrow('Unknown orientation 45');
+  });
+
+  test('should follow the rotation of the display', () => {
+    const landscape = new ScreenGeometry({ resolution: [1080, 2400], dpi: 420, rotation: 'landscape' });
+    expect(landscape.rotation).toBe(90);
+    expect([landscape.width, landscape.height, landscape.orientation]).toEqual([2400, 1080, 'landscape']);
+    expect(landscape.toPixels(norm(0.5), norm(0.25))).toEqual([1200, 270]);
+
+    // The top-left corner of the panel ends up bottom-left after a quarter turn
+    expect(landscape.fromOrientation([0, 0], 'portrait')).toEqual([0, 1079]);
+    expect(landscape.fromOrientation([100, 200], 0)).toEqual([200, 979]);
+    for (const rotation of [0, 90, 180, 270]) {
+      const geometry = new ScreenGeometry({ resolution: [1080, 2400], dpi: 420, rotation });
+      expect(portrait.fromOrientation(geometry.fromOrientation([100, 200], 0), rotation)).toEqual([100, 200]);
+    }
+
+    // Corners stay on screen and map back exactly in every orientation
+    for (const rotation of [0, 90, 180, 270]) {
+      const geometry = new ScreenGeometry({ resolution: [1080, 2400], dpi: 420, rotation });
+      const corners = [[0, 0], geometry.toPixels(norm(1), 0), geometry.toPixels(0, norm(1)), geometry.toPixels(norm(1), norm(1))];
+      for (const corner of corners) {
+        const natural = portrait.fromOrientation(corner, rotation);
+        expect(natural[0]).toBeGreaterThanOrEqual(0);
+        expect(natural[0]).toBeLessThan(1080);
+        expect(natural[1]).toBeGreaterThanOrEqual(0);
+        expect(natural[1]).toBeLessThan(2400);
+        expect(geometry.fromOrientation(natural, 0)).toEqual(corner);
+      }
+    }
+
+    // Landscape-first tablets are portrait after a quarter turn
+    expect(ScreenGeometry.rotationOf('portrait', [2560, 1600])).toBe(90);
+  });
+
+  test('should map points between scaled screenshots and the device', () => {
+    expect(portrait.fromScreenshot([270, 600], { width: 540, height: 1200 })).toEqual([540, 1200]);
+    expect(portrait.toScreenshot([540, 1200], pngHeader(540, 1200))).toEqual([270, 600]);
+    expect(portrait.fromScreenshot([100, 100], jpegHeader(360, 800))).toEqual([300, 300]);
+    expect(() => portrait.fromScreenshot([0, 0], Buffer.from('not an image'))).toThrow('Unsupported image');
+  });
+});
+
+describe('AndroidSandbox screen coordinates', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({
+      api_key: 'test-key',
+      base_url: server.baseUrl,
+      resolution: [1080, 2400],
+      dpi: 420
+    });
+    device = server.devices.get(sandbox.deviceId);
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device.inputs = [];
+  });
+
+  test('should resolve units in touch methods, gestures and batches', async () => {
+    await sandbox.tap(norm(0.5), norm(0.5));
+    await sandbox.longPress(dp(48), dp(96), 600);
+    await sandbox.swipe([norm(0.5), norm(0.8)], [norm(0.5), norm(0.2)], 300);
+
+    const gesture = sandbox.gesture();
+    gesture.pointer().down(norm(0.1), norm(0.1)).wait(50).up();
+    await gesture.perform();
+
+    await sandbox.actions().tap(norm(1), norm(1)).run();
+
+    expect(device.inputs).toEqual([
+      { type: 'tap', x: 540, y: 1200 },
+      { type: 'long_press', x: 126, y: 252, duration_ms: 600 },
+      { type: 'swipe', start_x: 540, start_y: 1919, end_x: 540, end_y: 480, duration_ms: 300 },
+      { type: 'tap', x: 108, y: 240 },
+      { type: 'tap', x: 1079, y: 2399 }
+    ]);
+
+    expect(() => new Gesture().pointer().down(norm(0.5), 10)).toThrow(GestureError);
+  });
+
+  test('should rotate the display and resolve coordinates in the new orientation', async () => {
+    expect(await sandbox.getOrientation()).toEqual({ rotation: 0, orientation: 'portrait' });
+
+    expect(await sandbox.setOrientation('landscape')).toBe(true);
+    expect(device.rotation).toBe(90);
+    expect(await sandbox.getOrientation()).toEqual({ rotation: 90, orientation: 'landscape' });
+
+    await sandbox.tap(norm(0.5), norm(0.25));
+    expect(device.inputs).toEqual([{ type: 'tap', x: 1200, y: 270 }]);
+
+    await expect(sandbox.setOrientation('sideways')).rejects.toThrow(ScreenError);
+    await sandbox.setOrientation('portrait');
+    expect(sandbox.screen.orientation).toBe('portrait');
+  });
+
+  test('should pick up the orientation of a device created in landscape', async () => {
+    const landscape = await AndroidSandbox.create({
+      api_key: 'test-key',
+      base_url: server.baseUrl,
+      profile: 'phone',
+      orientation: 'landscape'
+    });
+    try {
+      expect(landscape.rotation).toBe(90);
+      expect([landscape.screen.width, landscape.screen.height]).toEqual([2400, 1080]);
+    } finally {
+      await landscape.close();
+    }
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for shell command building
+ */
+
+const { quote, sh } = require('../shell');
+const { FakeDevice } = require('../fake');
+
+describe('quote', () => {
+  test('should leave safe arguments alone', () => {
+    expect(quote('/sdcard/Download/report.pdf')).toBe('/sdcard/Download/report.pdf');
+    expect(quote('com.example.app')).toBe('com.example.app');
+    expect(quote(42)).toBe('42');
+  });
+
+  test('should single-quote everything else', () => {
+    expect(quote('')).toBe("''");
+    expect(quote('My Files')).toBe("'My Files'");
+    expect(quote('$(reboot)')).toBe("'$(reboot)'");
+    expect(quote("it's")).toBe("'it'\\''s'");
+  });
+
+  test('should reject null and undefined', () => {
+    expect(() => quote(undefined)).toThrow(TypeError);
+    expect(() => quote(null)).toThrow(TypeError);
+  });
+});
+
+describe('sh', () => {
+  test('should quote each interpolated value as one argument', () => {
+    expect(sh`rm -f -- ${'/sdcard/a b.txt'}`).toBe("rm -f -- '/sdcard/a b.txt'");
+    expect(sh`ls ${['x', 'y z']}`).toBe("ls x 'y z'");
+  });
+
+  test('should survive a round trip through the device shell', () => {
+    const device = new FakeDevice('fake-device-1');
+    const hostile = ["a b", "it's", '$HOME', '; rm -rf /sdcard', '"quoted"', 'back\\slash'];
+
+    hostile.forEach(value => {
+      expect(device.shell(sh`echo ${value}`).stdout).toBe(`${value}\n`);
+    });
+  });
+});
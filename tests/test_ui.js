@@ -0,0 +1,141 @@
+/**
+ * Unit tests for UI hierarchy parsing and queries
+ */
+
+const { AndroidSandbox } = require('../index');
+const { UiNode, parseXml } = require('../ui');
+const { FakeAirTapServer } = require('../fake');
+
+const LOGIN_SCREEN = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" resource-id="" class="android.widget.FrameLayout" package="com.example.app" content-desc="" clickable="false" enabled="true" focused="false" scrollable="false" bounds="[0,0][1080,1920]">
+    <node index="0" text="" resource-id="com.example.app:id/form" class="android.widget.ScrollView" package="com.example.app" content-desc="" clickable="false" enabled="true" focused="false" scrollable="true" bounds="[0,200][1080,1700]">
+      <node index="0" text="" resource-id="com.example.app:id/email" class="android.widget.EditText" package="com.example.app" content-desc="Email" clickable="true" enabled="true" focused="true" scrollable="false" bounds="[90,400][990,520]" />
+      <node index="1" text="" resource-id="com.example.app:id/password" class="android.widget.EditText" package="com.example.app" content-desc="Password" clickable="true" enabled="true" focused="false" scrollable="false" password="true" bounds="[90,560][990,680]" />
+      <node index="2" text="Sign in" resource-id="com.example.app:id/sign_in" class="android.widget.Button" package="com.example.app" content-desc="" clickable="true" enabled="true" focused="false" scrollable="false" bounds="[90,760][990,880]" />
+      <node index="3" text="Terms &amp; conditions" resource-id="" class="android.widget.TextView" package="com.example.app" content-desc="" clickable="false" enabled="true" focused="false" scrollable="false" bounds="[90,920][990,980]" />
+    </node>
+  </node>
+</hierarchy>`;
+
+describe('UiNode', () => {
+  let root;
+
+  beforeEach(() => {
+    root = new UiNode(parseXml(LOGIN_SCREEN));
+  });
+
+  test('should parse typed node attributes', () => {
+    const button = root.find({ resourceId: 'com.example.app:id/sign_in' });
+    expect(button).toMatchObject({
+      text: 'Sign in',
+      className: 'android.widget.Button',
+      clickable: true,
+      focused: false,
+      bounds: { left: 90, top: 760, right: 990, bottom: 880, width: 900, height: 120 }
+    });
+    expect(button.center).toEqual({ x: 540, y: 820 });
+    expect(button.parent.scrollable).toBe(true);
+  });
+
+  test('should decode XML entities', () => {
+    expect(root.find({ text: /^Terms/ }).text).toBe('Terms & conditions');
+  });
+
+  test('should query by attributes and regular expressions', () => {
+    expect(root.findAll({ className: 'android.widget.EditText' })).toHaveLength(2);
+    expect(root.findAll({ contentDesc: /pass/i, password: true })).toHaveLength(1);
+    expect(root.find({ focused: true }).contentDesc).toBe('Email');
+    expect(root.find({ text: 'Missing' })).toBeNull();
+  });
+
+  test('should query with XPath-like expressions', () => {
+    expect(root.xpath("//android.widget.Button[@text='Sign in']")).toHaveLength(1);
+    expect(root.xpath('/hierarchy/node/node/node[2]')[0].contentDesc).toBe('Password');
+    expect(root.xpath('//android.widget.ScrollView/node[last()]')[0].text).toBe('Terms & conditions');
+    expect(root.xpath("//*[contains(@resource-id,'id/pass')]")[0].password).toBe(true);
+    expect(root.findAll({ xpath: '//android.widget.EditText', focused: false })).toHaveLength(1);
+  });
+
+  test('should reject unsupported expressions', () => {
+    expect(() => root.xpath('//node[position() > 1]')).toThrow('Unsupported predicate');
+    expect(() => root.xpath('//node@text')).toThrow('Invalid path expression');
+  });
+});
+
+describe('UiManager', () => {
+  let server;
+  let sandbox;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  test('should dump the hierarchy of the current screen', async () => {
+    server.devices.get(sandbox.deviceId).setUiHierarchy(LOGIN_SCREEN);
+
+    const root = await sandbox.ui.dump();
+    expect(root.tag).toBe('hierarchy');
+
+    const fields = await sandbox.ui.findAll({ className: 'android.widget.EditText' });
+    expect(fields.map(field => field.contentDesc)).toEqual(['Email', 'Password']);
+    expect((await sandbox.ui.find("//*[@text='Sign in']")).clickable).toBe(true);
+  });
+
+  describe('selector actions', () => {
+    let device;
+
+    beforeEach(() => {
+      device = server.devices.get(sandbox.deviceId);
+      device.setUiHierarchy(LOGIN_SCREEN);
+      device.inputs = [];
+    });
+
+    test('should tap the center of the matching element', async () => {
+      const node = await sandbox.tapOn({ text: 'Sign in' });
+      expect(node.resourceId).toBe('com.example.app:id/sign_in');
+      expect(device.inputs).toEqual([{ type: 'tap', x: 540, y: 820 }]);
+    });
+
+    test('should type into the matching element', async () => {
+      await sandbox.typeInto({ resourceId: 'com.example.app:id/email' }, 'me@example.com');
+      expect(device.inputs).toEqual([
+        { type: 'tap', x: 540, y: 460 },
+        { type: 'text', text: 'me@example.com' }
+      ]);
+    });
+
+    test('should paste into the matching element', async () => {
+      await sandbox.pasteInto({ resourceId: 'com.example.app:id/email' }, 'jürgen@example.com');
+      expect(device.inputs).toEqual([
+        { type: 'tap', x: 540, y: 460 },
+        { type: 'paste', text: 'jürgen@example.com' }
+      ]);
+    });
+
+    test('should long press the nth matching element', async () => {
+      await sandbox.longPressOn({ className: 'android.widget.EditText' }, { index: 1, duration_ms: 800 });
+      expect(device.inputs).toEqual([{ type: 'long_press', x: 540, y: 620, duration_ms: 800 }]);
+    });
+
+    test('should fail clearly when zero or several elements match', async () => {
+      await expect(sandbox.tapOn({ text: 'Register' })).rejects.toMatchObject({
+        name: 'ElementNotFoundError',
+        message: 'No element matches { text: "Register" }'
+      });
+      await expect(sandbox.tapOn({ className: /EditText$/ })).rejects.toMatchObject({
+        name: 'AmbiguousElementError',
+        matches: expect.any(Array)
+      });
+      await expect(sandbox.tapOn({ className: /EditText$/ }, { index: 5 })).rejects.toThrow('out of range');
+      expect(device.inputs).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the wait primitives
+ */
+
+const { AndroidSandbox, WaitTimeoutError, WaitCancelledError } = require('../index');
+const { poll } = require('../wait');
+const { FakeAirTapServer } = require('../fake');
+
+const SPINNER_SCREEN = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" class="android.widget.FrameLayout" package="com.example.app" bounds="[0,0][1080,1920]">
+    <node index="0" text="" resource-id="com.example.app:id/spinner" class="android.widget.ProgressBar" package="com.example.app" bounds="[490,910][590,1010]" />
+  </node>
+</hierarchy>`;
+
+const LOADED_SCREEN = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" class="android.widget.FrameLayout" package="com.example.app" bounds="[0,0][1080,1920]">
+    <node index="0" text="Welcome" resource-id="com.example.app:id/title" class="android.widget.TextView" package="com.example.app" bounds="[90,400][990,520]" />
+  </node>
+</hierarchy>`;
+
+describe('poll', () => {
+  test('should resolve with the first truthy result', async () => {
+    let calls = 0;
+    const value = await poll(async () => (++calls === 3 ? 'ready' : null), { interval_ms: 10 });
+    expect(value).toBe('ready');
+    expect(calls).toBe(3);
+  });
+
+  test('should report diagnostics on timeout', async () => {
+    let calls = 0;
+    const error = await poll(async () => {
+      calls++;
+      throw new Error('device busy');
+    }, { timeout_ms: 100, interval_ms: 20, description: 'the answer' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(WaitTimeoutError);
+    expect(error.message).toMatch(/^Timed out after \d+ms waiting for the answer \(\d+ attempts; last error: device busy\)$/);
+    expect(error).toMatchObject({ timeout_ms: 100, attempts: calls });
+    expect(error.elapsed_ms).toBeGreaterThanOrEqual(100);
+    expect(error.cause).toBe(error.last_error);
+
+    const falsy = await poll(async () => 0, { timeout_ms: 30, interval_ms: 10 }).catch(e => e);
+    expect(falsy).toMatchObject({ last_value: 0, last_error: null });
+  });
+
+  test('should stop when the signal aborts', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    await expect(poll(async () => false, { timeout_ms: 5000, interval_ms: 1000, signal: controller.signal }))
+      .rejects.toBeInstanceOf(WaitCancelledError);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should not wait for a pending predicate call when the signal aborts', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    const never = () => new Promise(() => {});
+    await expect(poll(never, { timeout_ms: 5000, signal: controller.signal, description: 'the device' }))
+      .rejects.toThrow(new WaitCancelledError('Wait for the device cancelled'));
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('AndroidSandbox waits', () => {
+  let server;
+  let sandbox;
+  let device;
+
+  beforeAll(async () => {
+    server = new FakeAirTapServer();
+    await server.start();
+    sandbox = await AndroidSandbox.create({ api_key: 'test-key', base_url: server.baseUrl });
+  });
+
+  afterAll(async () => {
+    await sandbox.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    device = server.devices.get(sandbox.deviceId);
+    device.setUiHierarchy(SPINNER_SCREEN);
+  });
+
+  test('should wait for an element to appear and disappear', async () => {
+    setTimeout(() => device.setUiHierarchy(LOADED_SCREEN), 100);
+
+    const [gone, title] = await Promise.all([
+      sandbox.waitForElementGone({ resourceId: 'com.example.app:id/spinner' }, { interval_ms: 20 }),
+      sandbox.waitForElement({ text: 'Welcome' }, { interval_ms: 20 })
+    ]);
+    expect(gone).toBe(true);
+    expect(title.center).toEqual({ x: 540, y: 460 });
+  });
+
+  test('should name the selector when an element never appears', async () => {
+    await expect(sandbox.waitForElement({ text: 'Welcome' }, { timeout_ms: 100, interval_ms: 20 }))
+      .rejects.toThrow('waiting for element { text: "Welcome" }');
+  });
+
+  test('should wait for an activity to resume', async () => {
+    expect(await sandbox.getCurrentActivity()).toBe('com.android.launcher3/.MainActivity');
+    setTimeout(() => device.shell('am start -n com.android.settings/.Settings'), 100);
+
+    expect(await sandbox.waitForActivity('Settings', { interval_ms: 20 })).toBe('com.android.settings/.Settings');
+    expect(await sandbox.waitForActivity('com.android.settings/com.android.settings.Settings')).toBe('com.android.settings/.Settings');
+    expect(await sandbox.waitForActivity(/settings\.Settings$/)).toBe('com.android.settings/.Settings');
+
+    const error = await sandbox.waitForActivity('.Login', { timeout_ms: 50, interval_ms: 20 }).catch(e => e);
+    expect(error).toBeInstanceOf(WaitTimeoutError);
+    expect(error.last_value).toBe('com.android.settings/.Settings');
+
+    await sandbox.pressKey('KEYCODE_HOME');
+  });
+
+  test('should wait for consecutive identical screenshots', async () => {
+    const frames = ['frame-1', 'frame-2', 'frame-3'].map(frame => Buffer.from(frame));
+    device.setScreenshots(frames);
+
+    const image = await sandbox.waitForScreenStable({ stable_count: 3, interval_ms: 10 });
+    expect(image.equals(frames[2])).toBe(true);
+    expect(device.screenshotIndex).toBe(5);
+  });
+
+  test('should wait for the hierarchy to settle', async () => {
+    setTimeout(() => device.setUiHierarchy(LOADED_SCREEN), 60);
+
+    const root = await sandbox.waitForIdle({ interval_ms: 100 });
+    expect(root.find({ text: 'Welcome' })).not.toBeNull();
+  });
+
+  test('should cancel waits through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const events = [];
+    sandbox.on('action:end', event => events.push(event));
+    setTimeout(() => controller.abort(), 50);
+
+    const results = await Promise.allSettled([
+      sandbox.wait(5000, { signal: controller.signal }),
+      sandbox.waitFor(() => false, { signal: controller.signal })
+    ]);
+    results.forEach(({ reason }) => expect(reason).toBeInstanceOf(WaitCancelledError));
+
+    const event = events.find(e => e.name === 'waitFor');
+    expect(event.status).toBe('error');
+    expect(event.args).not.toHaveProperty('signal');
+    sandbox.removeAllListeners('action:end');
+  });
+});
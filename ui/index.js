@@ -0,0 +1,14 @@
+/**
+ * UI Module for AirTap Android SDK
+ * Exports the UI manager and node types for view hierarchy inspection
+ */
+
+const UiManager = require('./manager');
+const UiNode = require('./node');
+const { parseXml } = require('./xml');
+
+module.exports = {
+  UiManager,
+  UiNode,
+  parseXml
+};
@@ -0,0 +1,213 @@
+/**
+ * UI Manager for AirTap Android SDK
+ * Dumps and queries the view hierarchy of the current screen
+ */
+
+const UiNode = require('./node');
+const { parseXml } = require('./xml');
+const { poll } = require('../wait');
+const { sh } = require('../shell');
+const { UiError, ElementNotFoundError, AmbiguousElementError } = require('../exceptions');
+
+const DUMP_PATH = '/sdcard/window_dump.xml';
+
+/**
+ * Describe a selector for error messages
+ * @param {Object|string} selector - Attribute selector or XPath-like expression
+ * @returns {string} Human-readable selector
+ */
+function describeSelector(selector) {
+  if (typeof selector === 'string') {
+    return selector;
+  }
+  const parts = Object.entries(selector).map(([key, value]) => {
+    if (value instanceof RegExp || typeof value === 'function') {
+      return `${key}: ${value.toString()}`;
+    }
+    return `${key}: ${JSON.stringify(value)}`;
+  });
+  return `{ ${parts.join(', ')} }`;
+}
+
+class UiManager {
+  /**
+   * Create a new UI manager
+   * @param {Object} sandbox - Reference to the parent AndroidSandbox
+   */
+  constructor(sandbox) {
+    this.sandbox = sandbox;
+  }
+
+  /**
+   * Dump the raw uiautomator XML of the current screen
+   * @returns {Promise<string>} Hierarchy XML
+   */
+  async dumpXml() {
+    try {
+      const output = await this.sandbox.executeShellCommand(sh`uiautomator dump ${DUMP_PATH} && cat ${DUMP_PATH}`);
+      // uiautomator prints a status line before the document
+      const start = output.search(/<\?xml|<hierarchy/);
+      if (start === -1) {
+        throw new UiError(`No hierarchy in uiautomator output: ${output.trim() || '(empty)'}`);
+      }
+      return output.slice(start);
+    } catch (error) {
+      throw new UiError(`Failed to dump UI hierarchy: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Dump and parse the view hierarchy of the current screen
+   * @returns {Promise<UiNode>} Root node (the <hierarchy> element)
+   */
+  async dump() {
+    return this.parse(await this.dumpXml());
+  }
+
+  /**
+   * Parse uiautomator XML into a node tree
+   * @param {string} xml - Hierarchy XML, as returned by dumpXml
+   * @returns {UiNode} Root node (the <hierarchy> element)
+   * @throws {UiError} If the XML is malformed
+   */
+  parse(xml) {
+    try {
+      return new UiNode(parseXml(xml));
+    } catch (error) {
+      throw new UiError(`Failed to parse UI hierarchy: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Find all elements on the current screen matching a selector
+   * @param {Object|string} selector - Attribute selector (e.g. { text: /^Sign in$/i, clickable: true })
+   *   or an XPath-like expression (e.g. "//android.widget.Button[@text='OK']")
+   * @returns {Promise<Array<UiNode>>} Matching nodes in document order
+   */
+  async findAll(selector) {
+    const root = await this.dump();
+    try {
+      return root.findAll(selector);
+    } catch (error) {
+      throw new UiError(`Invalid selector: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Find the first element on the current screen matching a selector
+   * @param {Object|string} selector - See findAll
+   * @returns {Promise<UiNode|null>} First matching node, or null
+   */
+  async find(selector) {
+    const nodes = await this.findAll(selector);
+    return nodes[0] || null;
+  }
+
+  /**
+   * Resolve a selector to exactly one element with usable bounds
+   * @param {Object|string} selector - See findAll
+   * @param {Object} [options] - Resolution options
+   * @param {number} [options.index] - Zero-based index among the matches, to pick one of several
+   * @returns {Promise<UiNode>} The element
+   * @throws {ElementNotFoundError} If nothing matches (or index is out of range)
+   * @throws {AmbiguousElementError} If several elements match and no index was given
+   */
+  async resolve(selector, { index = null } = {}) {
+    const matches = await this.findAll(selector);
+    const description = describeSelector(selector);
+
+    if (matches.length === 0) {
+      throw new ElementNotFoundError(`No element matches ${description}`, selector);
+    }
+    if (index === null && matches.length > 1) {
+      throw new AmbiguousElementError(
+        `${matches.length} elements match ${description}; narrow the selector or pass an index`,
+        selector,
+        matches
+      );
+    }
+
+    const node = matches[index === null ? 0 : index];
+    if (!node) {
+      throw new ElementNotFoundError(`Index ${index} is out of range: ${matches.length} element(s) match ${description}`, selector);
+    }
+    if (!node.bounds || node.bounds.width <= 0 || node.bounds.height <= 0) {
+      throw new UiError(`Element matching ${description} has no visible bounds`);
+    }
+    return node;
+  }
+
+  /**
+   * Wait until an element matching a selector appears
+   * @param {Object|string} selector - See findAll
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.index=0] - Zero-based index among the matches to wait for
+   * @param {number} [options.timeout_ms=10000] - Timeout in milliseconds
+   * @param {number} [options.interval_ms=500] - Delay between hierarchy dumps
+   * @param {AbortSignal} [options.signal] - Cancels the wait
+   * @returns {Promise<UiNode>} The matching element
+   * @throws {WaitTimeoutError} If no element matches in time
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitFor(selector, { index = 0, ...options } = {}) {
+    return poll(async () => {
+      const matches = await this.findAll(selector);
+      return matches[index] || null;
+    }, { ...options, description: `element ${describeSelector(selector)}` });
+  }
+
+  /**
+   * Wait until no element matches a selector
+   * @param {Object|string} selector - See findAll
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @returns {Promise<boolean>} True once the element is gone
+   * @throws {WaitTimeoutError} If the element is still present at the timeout
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForGone(selector, options = {}) {
+    return poll(async () => {
+      const matches = await this.findAll(selector);
+      return matches.length === 0;
+    }, { ...options, description: `element ${describeSelector(selector)} to disappear` });
+  }
+
+  /**
+   * Wait until the view hierarchy stops changing
+   * @param {Object} [options] - Wait options (timeout_ms, interval_ms, signal; see waitFor)
+   * @param {number} [options.stable_count=2] - Number of consecutive identical dumps required
+   * @returns {Promise<UiNode>} Root node of the settled hierarchy
+   * @throws {WaitTimeoutError} If the hierarchy is still changing at the timeout
+   * @throws {WaitCancelledError} If the signal aborts
+   */
+  async waitForIdle({ stable_count = 2, ...options } = {}) {
+    let previous = null;
+    let streak = 0;
+
+    const xml = await poll(async () => {
+      let current;
+      try {
+        current = await this.dumpXml();
+      } catch (error) {
+        // A failed dump breaks the streak
+        previous = null;
+        throw error;
+      }
+      streak = current === previous ? streak + 1 : 1;
+      previous = current;
+      return streak >= stable_count ? current : null;
+    }, { ...options, description: 'the UI hierarchy to settle' });
+
+    return this.parse(xml);
+  }
+
+  /**
+   * Evaluate an XPath-like expression against the current screen
+   * @param {string} path - Expression (see UiNode#xpath)
+   * @returns {Promise<Array<UiNode>>} Matching nodes in document order
+   */
+  async xpath(path) {
+    return this.findAll(path);
+  }
+}
+
+module.exports = UiManager;
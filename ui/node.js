@@ -0,0 +1,298 @@
+/**
+ * UI Node for AirTap Android SDK
+ * Typed view hierarchy nodes with attribute, regex and XPath-like queries
+ */
+
+// Selector keys mapped to the uiautomator attribute they read
+const SELECTOR_ATTRIBUTES = {
+  text: 'text',
+  resourceId: 'resource-id',
+  contentDesc: 'content-desc',
+  className: 'class',
+  packageName: 'package',
+  checkable: 'checkable',
+  checked: 'checked',
+  clickable: 'clickable',
+  enabled: 'enabled',
+  focusable: 'focusable',
+  focused: 'focused',
+  scrollable: 'scrollable',
+  longClickable: 'long-clickable',
+  password: 'password',
+  selected: 'selected'
+};
+
+/**
+ * Parse a uiautomator bounds string
+ * @param {string} value - Bounds in the form "[left,top][right,bottom]"
+ * @returns {Object|null} Bounds of the form { left, top, right, bottom, width, height }
+ */
+function parseBounds(value) {
+  const match = /^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [left, top, right, bottom] = match.slice(1).map(Number);
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+}
+
+/**
+ * Test one selector value against a node value
+ * @param {*} expected - String, boolean, RegExp or predicate function
+ * @param {*} actual - Node value
+ * @returns {boolean} True if it matches
+ */
+function matchValue(expected, actual) {
+  if (expected instanceof RegExp) {
+    return expected.test(String(actual));
+  }
+  if (typeof expected === 'function') {
+    return !!expected(actual);
+  }
+  return expected === actual;
+}
+
+/**
+ * Split an XPath-like expression into location steps
+ * @param {string} path - Expression such as "//node[@text='OK']" or "/hierarchy/node[1]"
+ * @returns {Array<Object>} Steps of the form { axis, name, predicates }
+ * @throws {Error} If the expression cannot be parsed
+ */
+function parsePath(path) {
+  const steps = [];
+  const stepPattern = /(\/\/?)([\w.$*-]+)((?:\[(?:[^\]'"]|'[^']*'|"[^"]*")*\])*)/y;
+  let position = 0;
+
+  while (position < path.length) {
+    stepPattern.lastIndex = position;
+    const match = stepPattern.exec(path);
+    if (!match) {
+      throw new Error(`Invalid path expression at offset ${position}: ${path}`);
+    }
+    const predicates = (match[3].match(/\[(?:[^\]'"]|'[^']*'|"[^"]*")*\]/g) || []).map(p => p.slice(1, -1).trim());
+    steps.push({ axis: match[1] === '//' ? 'descendant' : 'child', name: match[2], predicates });
+    position = stepPattern.lastIndex;
+  }
+
+  return steps;
+}
+
+/**
+ * Evaluate an XPath-like predicate (without brackets) against a node
+ * @param {string} predicate - e.g. "@text='OK'", "contains(@text,'OK')", "@clickable", "2"
+ * @param {UiNode} node - Candidate node
+ * @param {number} position - 1-based position of the node among its sibling candidates
+ * @param {number} size - Number of sibling candidates
+ * @returns {boolean} True if the predicate holds
+ */
+function evaluatePredicate(predicate, node, position, size) {
+  if (/^\d+$/.test(predicate)) {
+    return position === parseInt(predicate, 10);
+  }
+  if (predicate === 'last()') {
+    return position === size;
+  }
+
+  const literal = "(?:'([^']*)'|\"([^\"]*)\")";
+  const comparison = new RegExp(`^@([\\w:-]+)\\s*(!?=)\\s*${literal}$`).exec(predicate);
+  if (comparison) {
+    const actual = node.attributes[comparison[1]];
+    const expected = comparison[3] !== undefined ? comparison[3] : comparison[4];
+    return comparison[2] === '=' ? actual === expected : actual !== expected;
+  }
+
+  const fn = new RegExp(`^(contains|starts-with|ends-with|matches)\\(\\s*@([\\w:-]+)\\s*,\\s*${literal}\\s*\\)$`).exec(predicate);
+  if (fn) {
+    const actual = node.attributes[fn[2]];
+    const argument = fn[3] !== undefined ? fn[3] : fn[4];
+    if (actual === undefined) return false;
+    switch (fn[1]) {
+      case 'contains': return actual.includes(argument);
+      case 'starts-with': return actual.startsWith(argument);
+      case 'ends-with': return actual.endsWith(argument);
+      case 'matches': return new RegExp(argument).test(actual);
+    }
+  }
+
+  const exists = /^@([\w:-]+)$/.exec(predicate);
+  if (exists) {
+    return node.attributes[exists[1]] !== undefined;
+  }
+
+  throw new Error(`Unsupported predicate: [${predicate}]`);
+}
+
+class UiNode {
+  /**
+   * Create a node from a parsed XML element
+   * @param {Object} element - Element of the form { tag, attributes, children }
+   * @param {UiNode} [parent] - Parent node
+   */
+  constructor(element, parent = null) {
+    const attributes = element.attributes;
+    const flag = name => attributes[name] === 'true';
+
+    this.tag = element.tag;
+    this.attributes = attributes;
+    this.parent = parent;
+
+    this.index = attributes.index !== undefined ? parseInt(attributes.index, 10) : null;
+    this.text = attributes.text || '';
+    this.resourceId = attributes['resource-id'] || '';
+    this.contentDesc = attributes['content-desc'] || '';
+    this.className = attributes.class || '';
+    this.packageName = attributes.package || '';
+    this.checkable = flag('checkable');
+    this.checked = flag('checked');
+    this.clickable = flag('clickable');
+    this.enabled = flag('enabled');
+    this.focusable = flag('focusable');
+    this.focused = flag('focused');
+    this.scrollable = flag('scrollable');
+    this.longClickable = flag('long-clickable');
+    this.password = flag('password');
+    this.selected = flag('selected');
+    this.bounds = parseBounds(attributes.bounds);
+
+    this.children = element.children.map(child => new UiNode(child, this));
+  }
+
+  /**
+   * Center point of the node's bounds
+   * @type {Object|null} Point of the form { x, y }
+   */
+  get center() {
+    if (!this.bounds) {
+      return null;
+    }
+    return {
+      x: Math.round((this.bounds.left + this.bounds.right) / 2),
+      y: Math.round((this.bounds.top + this.bounds.bottom) / 2)
+    };
+  }
+
+  /**
+   * Iterate over this node's descendants in document order
+   * @param {boolean} [includeSelf=false] - Yield this node first
+   * @yields {UiNode}
+   */
+  * descendants(includeSelf = false) {
+    if (includeSelf) {
+      yield this;
+    }
+    for (const child of this.children) {
+      yield * child.descendants(true);
+    }
+  }
+
+  /**
+   * Check whether this node matches a selector
+   * @param {Object} selector - Attribute selector; values may be strings, booleans, RegExps or predicates.
+   *   Keys: text, resourceId, contentDesc, className, packageName and the boolean flags
+   *   (clickable, enabled, focused, scrollable, ...). Unknown keys are matched against raw attributes.
+   * @returns {boolean} True if every selector key matches
+   */
+  matches(selector) {
+    return Object.entries(selector).every(([key, expected]) => {
+      const actual = key in SELECTOR_ATTRIBUTES ? this[key] : this.attributes[key];
+      return matchValue(expected, actual);
+    });
+  }
+
+  /**
+   * Find descendants matching a selector or an XPath-like expression
+   * @param {Object|string} selector - Attribute selector (see matches), optionally with an xpath key,
+   *   or an XPath-like expression string
+   * @returns {Array<UiNode>} Matching nodes in document order
+   */
+  findAll(selector) {
+    if (typeof selector === 'string') {
+      return this.xpath(selector);
+    }
+    const { xpath, ...attributes } = selector;
+    const candidates = xpath ? this.xpath(xpath) : [...this.descendants(true)];
+    return candidates.filter(node => node.matches(attributes));
+  }
+
+  /**
+   * Find the first descendant matching a selector or an XPath-like expression
+   * @param {Object|string} selector - See findAll
+   * @returns {UiNode|null} First matching node
+   */
+  find(selector) {
+    return this.findAll(selector)[0] || null;
+  }
+
+  /**
+   * Evaluate an XPath-like expression.
+   *
+   * Supports absolute (/hierarchy/node) and relative paths, the descendant axis (//), * and
+   * class-name steps (//android.widget.Button), and predicates: [@attr='v'], [@attr!='v'],
+   * [@attr], [contains|starts-with|ends-with|matches(@attr,'v')], [N] and [last()].
+   *
+   * @param {string} path - Expression
+   * @returns {Array<UiNode>} Matching nodes in document order
+   * @throws {Error} If the expression is not supported
+   */
+  xpath(path) {
+    let context;
+    if (path.startsWith('/')) {
+      const top = this._root();
+      // Virtual document node above the root element
+      context = [{ children: [top], * descendants() { yield * top.descendants(true); } }];
+    } else {
+      context = [this];
+      path = `/${path}`;
+    }
+
+    for (const step of parsePath(path)) {
+      const next = [];
+      for (const node of context) {
+        // As in XPath, //x[1] selects every x that is the first x child of its parent
+        const parents = step.axis === 'child' ? [node] : [node, ...node.descendants()];
+        for (const parent of parents) {
+          let candidates = parent.children.filter(candidate =>
+            step.name === '*' || candidate.tag === step.name || candidate.className === step.name
+          );
+          for (const predicate of step.predicates) {
+            candidates = candidates.filter((candidate, i, all) => evaluatePredicate(predicate, candidate, i + 1, all.length));
+          }
+          candidates.forEach(candidate => {
+            if (!next.includes(candidate)) next.push(candidate);
+          });
+        }
+      }
+      context = next;
+    }
+
+    // Restore document order, which the descendant axis can break across parents
+    const order = [...this._root().descendants(true)];
+    return context.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  }
+
+  /**
+   * Top-most ancestor of this node
+   * @private
+   * @returns {UiNode} Root node
+   */
+  _root() {
+    let top = this;
+    while (top.parent) top = top.parent;
+    return top;
+  }
+
+  /**
+   * Plain-object form of the node and its subtree
+   * @returns {Object} JSON-serializable node
+   */
+  toJSON() {
+    const json = {};
+    Object.keys(SELECTOR_ATTRIBUTES).forEach(key => { json[key] = this[key]; });
+    json.index = this.index;
+    json.bounds = this.bounds;
+    json.children = this.children.map(child => child.toJSON());
+    return json;
+  }
+}
+
+module.exports = UiNode;
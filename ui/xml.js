@@ -0,0 +1,77 @@
+/**
+ * XML Parser for AirTap Android SDK
+ * Minimal dependency-free XML parser for uiautomator dumps and similar device output
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode XML character and entity references
+ * @param {string} value - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[ref] !== undefined ? ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Parse an XML document into a tree of plain element objects
+ * @param {string} xml - XML document
+ * @returns {Object} Root element of the form { tag, attributes, children, text }
+ * @throws {Error} If the document is malformed
+ */
+function parseXml(xml) {
+  const root = { tag: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let position = 0;
+  let match;
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(position, match.index));
+    position = tagPattern.lastIndex;
+
+    const [, cdata, closingTag, openingTag, rawAttributes, selfClosing] = match;
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingTag) {
+      if (current.tag !== closingTag) {
+        throw new Error(`Unexpected closing tag </${closingTag}> (expected </${current.tag}>)`);
+      }
+      stack.pop();
+    } else if (openingTag) {
+      const attributes = {};
+      let attribute;
+      attributePattern.lastIndex = 0;
+      while ((attribute = attributePattern.exec(rawAttributes)) !== null) {
+        attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const element = { tag: openingTag, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].tag}>`);
+  }
+  if (root.children.length === 0) {
+    throw new Error('Document has no root element');
+  }
+  return root.children[0];
+}
+
+module.exports = {
+  parseXml,
+  decodeEntities
+};
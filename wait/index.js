@@ -0,0 +1,11 @@
+/**
+ * Wait Module for AirTap Android SDK
+ * Exports the polling helpers used by the sandbox wait methods
+ */
+
+const { sleep, poll } = require('./poll');
+
+module.exports = {
+  sleep,
+  poll
+};
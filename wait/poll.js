@@ -0,0 +1,113 @@
+/**
+ * Polling helpers for AirTap Android SDK
+ * Cancellable sleep and predicate polling with diagnostics on timeout
+ */
+
+const { WaitTimeoutError, WaitCancelledError } = require('../exceptions');
+
+/**
+ * Sleep for a duration, rejecting early if the signal aborts
+ * @param {number} duration_ms - Duration in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ * @throws {WaitCancelledError} If the signal aborts
+ */
+function sleep(duration_ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new WaitCancelledError('Wait cancelled', signal.reason));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new WaitCancelledError('Wait cancelled', signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, duration_ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait for a promise, rejecting as soon as the signal aborts
+ * @param {Promise<*>} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {string} message - Message of the cancellation error
+ * @returns {Promise<*>} The promise's result
+ * @throws {WaitCancelledError} If the signal aborts first
+ */
+function untilAborted(promise, signal, message) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new WaitCancelledError(message, signal.reason));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Poll a predicate until it returns a truthy value.
+ *
+ * Errors thrown by the predicate do not stop polling; the last one is reported on timeout. Aborting
+ * the signal cancels the wait right away, without waiting for a pending predicate call to settle.
+ *
+ * @param {Function} predicate - Async function receiving { attempt, elapsed_ms }; polling stops on a truthy result
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.timeout_ms=10000] - Give up after this long
+ * @param {number} [options.interval_ms=500] - Delay between attempts
+ * @param {AbortSignal} [options.signal] - Cancels the wait
+ * @param {string} [options.description='condition'] - What is being waited for, used in the timeout message
+ * @returns {Promise<*>} The predicate's truthy result
+ * @throws {WaitTimeoutError} On timeout, with attempts, elapsed_ms, last_value and last_error
+ * @throws {WaitCancelledError} If the signal aborts
+ */
+async function poll(predicate, { timeout_ms = 10000, interval_ms = 500, signal = null, description = 'condition' } = {}) {
+  const started = Date.now();
+  let attempts = 0;
+  let last_value;
+  let last_error = null;
+  const cancelled = `Wait for ${description} cancelled`;
+
+  for (;;) {
+    if (signal && signal.aborted) {
+      throw new WaitCancelledError(cancelled, signal.reason);
+    }
+
+    attempts++;
+    try {
+      const attempt = predicate({ attempt: attempts, elapsed_ms: Date.now() - started });
+      last_value = await untilAborted(Promise.resolve(attempt), signal, cancelled);
+      last_error = null;
+      if (last_value) {
+        return last_value;
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error instanceof WaitCancelledError ? error : new WaitCancelledError(cancelled, signal.reason);
+      }
+      last_error = error;
+    }
+
+    const elapsed_ms = Date.now() - started;
+    if (elapsed_ms >= timeout_ms) {
+      throw new WaitTimeoutError(`Timed out after ${elapsed_ms}ms waiting for ${description}`, {
+        timeout_ms,
+        elapsed_ms,
+        attempts,
+        last_value,
+        last_error
+      });
+    }
+    // Never sleep past the deadline, so the last check happens right at the timeout
+    await sleep(Math.min(interval_ms, timeout_ms - elapsed_ms), signal);
+  }
+}
+
+module.exports = {
+  sleep,
+  poll
+};